@@ -2,6 +2,15 @@ import express from "express";
 import dotenv from "dotenv";
 import swaggerRoutes from "./src/routes/swaggerRoutes.js";
 import userRoutes from "./src/routes/userRoutes.js";
+import endpointRoutes from "./src/routes/endpointRoutes.js";
+import resultRoutes from "./src/routes/resultRoutes.js";
+import specRoutes from "./src/routes/specRoutes.js";
+import environmentRoutes from "./src/routes/environmentRoutes.js";
+import scenarioRoutes from "./src/routes/scenarioRoutes.js";
+import jobRoutes from "./src/routes/jobRoutes.js";
+import authRoutes from "./src/routes/authRoutes.js";
+import { requireAuth } from "./src/middleware/auth.js";
+import { jobService } from "./src/services/jobService.js";
 import cors from 'cors';
 // Load environment variables
 dotenv.config();
@@ -11,11 +20,19 @@ app.use(cors('*'));
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// Inline spec documents can be much larger than the 100kb default
+app.use(express.json({ limit: "10mb" }));
 
-// Routes
-app.use("/api/swagger", swaggerRoutes);
+// Routes; apart from login and sign-up every route needs a token or API key
+app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/swagger", requireAuth, swaggerRoutes);
+app.use("/api/endpoints", requireAuth, endpointRoutes);
+app.use("/api/results", requireAuth, resultRoutes);
+app.use("/api/specs", requireAuth, specRoutes);
+app.use("/api/environments", requireAuth, environmentRoutes);
+app.use("/api/scenarios", requireAuth, scenarioRoutes);
+app.use("/api/jobs", requireAuth, jobRoutes);
 
 // Health check route
 app.get("/health", (req, res) => {
@@ -25,4 +42,9 @@ app.get("/health", (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+
+  // Background load jobs; LOAD_JOB_CONCURRENCY caps how many run at once
+  jobService.startWorker().catch((error) => {
+    console.error("Failed to start the load job worker:", error);
+  });
 });
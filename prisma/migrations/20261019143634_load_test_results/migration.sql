@@ -0,0 +1,53 @@
+-- Endpoints referenced users by their uuid "user_id"; they now reference "users"."id".
+-- The existing rows are carried over: bodies are converted in place, owners mapped
+-- through the uuid, and boolean load statuses turned into the new status names.
+
+-- DropForeignKey
+ALTER TABLE "api_endpoints" DROP CONSTRAINT "api_endpoints_user_id_fkey";
+
+-- AlterTable
+ALTER TABLE "api_endpoints" ALTER COLUMN "request_body" SET DATA TYPE JSONB USING "request_body"::jsonb,
+ALTER COLUMN "load_status" DROP DEFAULT,
+ALTER COLUMN "load_status" SET DATA TYPE TEXT USING CASE WHEN "load_status" THEN 'completed' ELSE 'pending' END,
+ALTER COLUMN "load_status" SET DEFAULT 'pending',
+ADD COLUMN     "owner_id" INTEGER;
+
+-- Backfill the owner from the old uuid mapping; the foreign key guaranteed a match
+UPDATE "api_endpoints" SET "owner_id" = "users"."id"
+FROM "users"
+WHERE "users"."user_id" = "api_endpoints"."user_id";
+
+ALTER TABLE "api_endpoints" DROP COLUMN "user_id";
+ALTER TABLE "api_endpoints" RENAME COLUMN "owner_id" TO "user_id";
+ALTER TABLE "api_endpoints" ALTER COLUMN "user_id" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "users_user_id_key";
+
+-- AlterTable
+ALTER TABLE "users" DROP COLUMN "user_id";
+
+-- CreateTable
+CREATE TABLE "load_test_results" (
+    "id" SERIAL NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "api_endpoint_id" INTEGER NOT NULL,
+    "total_requests" INTEGER NOT NULL,
+    "success_count" INTEGER NOT NULL,
+    "error_count" INTEGER NOT NULL,
+    "avg_latency_ms" DOUBLE PRECISION NOT NULL,
+    "duration" BIGINT NOT NULL,
+    "rps" DOUBLE PRECISION NOT NULL,
+    "fastest_ms" INTEGER NOT NULL,
+    "slowest_ms" INTEGER NOT NULL,
+    "status_code" JSONB NOT NULL,
+
+    CONSTRAINT "load_test_results_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "api_endpoints" ADD CONSTRAINT "api_endpoints_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "load_test_results" ADD CONSTRAINT "load_test_results_api_endpoint_id_fkey" FOREIGN KEY ("api_endpoint_id") REFERENCES "api_endpoints"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
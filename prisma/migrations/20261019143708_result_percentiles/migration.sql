@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "load_test_results" ADD COLUMN     "p50_ms" DOUBLE PRECISION,
+ADD COLUMN     "p90_ms" DOUBLE PRECISION,
+ADD COLUMN     "p95_ms" DOUBLE PRECISION,
+ADD COLUMN     "p99_ms" DOUBLE PRECISION,
+ADD COLUMN     "timeline" JSONB;
@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "api_endpoints" ADD COLUMN     "operation_id" TEXT,
+ADD COLUMN     "spec_id" INTEGER,
+ADD COLUMN     "spec_version_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "api_specs" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "source_type" TEXT NOT NULL,
+    "source_url" TEXT,
+    "user_id" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "api_specs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "api_spec_versions" (
+    "id" SERIAL NOT NULL,
+    "spec_id" INTEGER NOT NULL,
+    "version" TEXT,
+    "content_hash" TEXT NOT NULL,
+    "document" JSONB NOT NULL,
+    "fetched_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "api_spec_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_spec_versions_spec_id_content_hash_key" ON "api_spec_versions"("spec_id", "content_hash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_endpoints_spec_id_operation_id_key" ON "api_endpoints"("spec_id", "operation_id");
+
+-- AddForeignKey
+ALTER TABLE "api_endpoints" ADD CONSTRAINT "api_endpoints_spec_id_fkey" FOREIGN KEY ("spec_id") REFERENCES "api_specs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_endpoints" ADD CONSTRAINT "api_endpoints_spec_version_id_fkey" FOREIGN KEY ("spec_version_id") REFERENCES "api_spec_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_specs" ADD CONSTRAINT "api_specs_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_spec_versions" ADD CONSTRAINT "api_spec_versions_spec_id_fkey" FOREIGN KEY ("spec_id") REFERENCES "api_specs"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
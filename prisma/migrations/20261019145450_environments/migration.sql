@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "load_test_results" ADD COLUMN     "environment_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "environments" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "base_url" TEXT,
+    "variables" JSONB NOT NULL DEFAULT '{}',
+    "secrets" JSONB NOT NULL DEFAULT '{}',
+    "user_id" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "environments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "environments_user_id_name_key" ON "environments"("user_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "load_test_results" ADD CONSTRAINT "load_test_results_environment_id_fkey" FOREIGN KEY ("environment_id") REFERENCES "environments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "environments" ADD CONSTRAINT "environments_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "load_test_results" ADD COLUMN     "validated_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "violation_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "violations" JSONB;
@@ -0,0 +1,70 @@
+-- CreateTable
+CREATE TABLE "scenarios" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "iterations" INTEGER NOT NULL DEFAULT 1,
+    "threads" INTEGER NOT NULL DEFAULT 1,
+    "load_status" TEXT NOT NULL DEFAULT 'pending',
+    "user_id" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "scenarios_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "scenario_steps" (
+    "id" SERIAL NOT NULL,
+    "scenario_id" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "name" TEXT,
+    "api_endpoint_id" INTEGER NOT NULL,
+    "extract" JSONB NOT NULL DEFAULT '[]',
+    "path_params" JSONB,
+    "query_params" JSONB,
+    "request_url" TEXT,
+    "request_headers" JSONB,
+    "request_body" JSONB,
+
+    CONSTRAINT "scenario_steps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "scenario_results" (
+    "id" SERIAL NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "scenario_id" INTEGER NOT NULL,
+    "environment_id" INTEGER,
+    "iterations" INTEGER NOT NULL,
+    "success_count" INTEGER NOT NULL,
+    "error_count" INTEGER NOT NULL,
+    "avg_latency_ms" DOUBLE PRECISION NOT NULL,
+    "duration" BIGINT NOT NULL,
+    "rps" DOUBLE PRECISION NOT NULL,
+    "p50_ms" DOUBLE PRECISION NOT NULL,
+    "p90_ms" DOUBLE PRECISION NOT NULL,
+    "p95_ms" DOUBLE PRECISION NOT NULL,
+    "p99_ms" DOUBLE PRECISION NOT NULL,
+    "steps" JSONB NOT NULL,
+
+    CONSTRAINT "scenario_results_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "scenario_steps_scenario_id_position_key" ON "scenario_steps"("scenario_id", "position");
+
+-- AddForeignKey
+ALTER TABLE "scenarios" ADD CONSTRAINT "scenarios_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_steps" ADD CONSTRAINT "scenario_steps_scenario_id_fkey" FOREIGN KEY ("scenario_id") REFERENCES "scenarios"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_steps" ADD CONSTRAINT "scenario_steps_api_endpoint_id_fkey" FOREIGN KEY ("api_endpoint_id") REFERENCES "api_endpoints"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_results" ADD CONSTRAINT "scenario_results_scenario_id_fkey" FOREIGN KEY ("scenario_id") REFERENCES "scenarios"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_results" ADD CONSTRAINT "scenario_results_environment_id_fkey" FOREIGN KEY ("environment_id") REFERENCES "environments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
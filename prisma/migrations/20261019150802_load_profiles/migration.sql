@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "api_endpoints" ADD COLUMN     "load_profile" JSONB;
+
+-- AlterTable
+ALTER TABLE "load_test_results" ADD COLUMN     "dropped_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "load_profile" JSONB;
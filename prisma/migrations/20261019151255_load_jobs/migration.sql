@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "load_jobs" (
+    "id" SERIAL NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "api_endpoint_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "environment_id" INTEGER,
+    "options" JSONB NOT NULL DEFAULT '{}',
+    "checkpoint" JSONB,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "load_test_result_id" INTEGER,
+    "started_at" TIMESTAMP(3),
+    "finished_at" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "load_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "load_jobs_load_test_result_id_key" ON "load_jobs"("load_test_result_id");
+
+-- CreateIndex
+CREATE INDEX "load_jobs_status_createdAt_idx" ON "load_jobs"("status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "load_jobs" ADD CONSTRAINT "load_jobs_api_endpoint_id_fkey" FOREIGN KEY ("api_endpoint_id") REFERENCES "api_endpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "load_jobs" ADD CONSTRAINT "load_jobs_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "load_jobs" ADD CONSTRAINT "load_jobs_environment_id_fkey" FOREIGN KEY ("environment_id") REFERENCES "environments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "load_jobs" ADD CONSTRAINT "load_jobs_load_test_result_id_fkey" FOREIGN KEY ("load_test_result_id") REFERENCES "load_test_results"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "load_test_results" DROP CONSTRAINT "load_test_results_api_endpoint_id_fkey";
+
+-- AddForeignKey
+ALTER TABLE "load_test_results" ADD CONSTRAINT "load_test_results_api_endpoint_id_fkey" FOREIGN KEY ("api_endpoint_id") REFERENCES "api_endpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "api_endpoints" ADD COLUMN     "edited_fields" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "api_specs" ADD COLUMN     "source_key" TEXT;
+
+-- Backfill: the URL for URL imports, the name for uploads
+UPDATE "api_specs" SET "source_key" = CASE WHEN "source_type" = 'url' THEN COALESCE("source_url", "name") ELSE "name" END;
+
+-- Specs duplicated by concurrent imports keep their rows; all but the oldest get a distinct key
+UPDATE "api_specs" AS s SET "source_key" = s."source_key" || '#' || s."id"
+WHERE EXISTS (
+    SELECT 1 FROM "api_specs" AS o
+    WHERE o."user_id" = s."user_id" AND o."source_type" = s."source_type" AND o."source_key" = s."source_key" AND o."id" < s."id"
+);
+
+ALTER TABLE "api_specs" ALTER COLUMN "source_key" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_specs_user_id_source_type_source_key_key" ON "api_specs"("user_id", "source_type", "source_key");
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "scenarios" ADD COLUMN     "load_profile" JSONB;
+
+-- AlterTable
+ALTER TABLE "scenario_results" ADD COLUMN     "dropped_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "load_profile" JSONB;
+
+-- AlterTable
+ALTER TABLE "load_jobs" ADD COLUMN     "scenario_id" INTEGER,
+ADD COLUMN     "scenario_result_id" INTEGER,
+ALTER COLUMN "api_endpoint_id" DROP NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "load_jobs_scenario_result_id_key" ON "load_jobs"("scenario_result_id");
+
+-- AddForeignKey
+ALTER TABLE "load_jobs" ADD CONSTRAINT "load_jobs_scenario_id_fkey" FOREIGN KEY ("scenario_id") REFERENCES "scenarios"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "load_jobs" ADD CONSTRAINT "load_jobs_scenario_result_id_fkey" FOREIGN KEY ("scenario_result_id") REFERENCES "scenario_results"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "load_job_samples" (
+    "id" SERIAL NOT NULL,
+    "load_job_id" INTEGER NOT NULL,
+    "samples" JSONB NOT NULL,
+    "step_samples" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "load_job_samples_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "load_job_samples_load_job_id_idx" ON "load_job_samples"("load_job_id");
+
+-- AddForeignKey
+ALTER TABLE "load_job_samples" ADD CONSTRAINT "load_job_samples_load_job_id_fkey" FOREIGN KEY ("load_job_id") REFERENCES "load_jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,100 @@
+import { authService } from "../services/authService.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Log in with { email, password } and receive a bearer access token
+ */
+async function login(req, res) {
+  const { email, password } = req.body || {};
+
+  try {
+    res.json(await authService.login(email, password));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error logging in:", err.message);
+    res.status(500).json({ error: "Failed to log in." });
+  }
+}
+
+/**
+ * Revoke all access tokens of the current user
+ */
+async function logout(req, res) {
+  try {
+    await authService.logout(req.user.id);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error logging out:", err.message);
+    res.status(500).json({ error: "Failed to log out." });
+  }
+}
+
+/**
+ * The user behind the request's credential
+ */
+function getCurrentUser(req, res) {
+  res.json(req.user);
+}
+
+/**
+ * Create an API key for the current user; the key is shown only once
+ */
+async function createApiKey(req, res) {
+  try {
+    const apiKey = await authService.createApiKey(req.user.id, req.body || {});
+    res.status(201).json(apiKey);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error creating API key:", err.message);
+    res.status(500).json({ error: "Failed to create API key." });
+  }
+}
+
+/**
+ * List the current user's API keys without the keys themselves
+ */
+async function getApiKeys(req, res) {
+  try {
+    res.json(await authService.listApiKeys(req.user.id));
+  } catch (err) {
+    console.error("Error fetching API keys:", err.message);
+    res.status(500).json({ error: "Failed to fetch API keys." });
+  }
+}
+
+/**
+ * Revoke one of the current user's API keys
+ */
+async function revokeApiKey(req, res) {
+  const apiKeyId = Number(req.params.id);
+
+  if (!Number.isInteger(apiKeyId)) {
+    return res.status(400).json({ error: "Invalid API key id." });
+  }
+
+  try {
+    const apiKey = await authService.revokeApiKey(req.user.id, apiKeyId);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found." });
+    }
+
+    res.json(apiKey);
+  } catch (err) {
+    console.error("Error revoking API key:", err.message);
+    res.status(500).json({ error: "Failed to revoke API key." });
+  }
+}
+
+export const authController = {
+  login,
+  logout,
+  getCurrentUser,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,237 @@
+import { databaseService } from "../services/databaseService.js";
+import { progressService } from "../services/progressService.js";
+import { endpointService } from "../services/endpointService.js";
+import { jobService } from "../services/jobService.js";
+import { serializeLoadTestResult, parseRunOptions } from "../utils/loadTestUtils.js";
+import { streamRunEvents } from "../utils/eventStream.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Get a saved endpoint by ID
+ */
+async function getEndpointById(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  try {
+    const endpoint = await databaseService.getApiEndpointById(endpointId);
+
+    if (!endpoint) {
+      return res.status(404).json({ error: "Endpoint not found." });
+    }
+
+    res.json(endpoint);
+  } catch (err) {
+    console.error("Error fetching endpoint:", err.message);
+    res.status(500).json({ error: "Failed to fetch endpoint." });
+  }
+}
+
+/**
+ * Edit an endpoint's request or load settings. An edited request_body is
+ * checked against the operation's schema unless ?validate=false.
+ */
+async function updateEndpoint(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  try {
+    const endpoint = await endpointService.updateEndpoint(endpointId, req.body || {}, {
+      validateBody: req.query.validate !== "false",
+    });
+
+    if (!endpoint) {
+      return res.status(404).json({ error: "Endpoint not found." });
+    }
+
+    res.json(endpoint);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error updating endpoint:", err.message);
+    res.status(500).json({ error: "Failed to update endpoint." });
+  }
+}
+
+/**
+ * Apply the same header or load setting changes to several of a user's
+ * endpoints: { endpointIds, specId, changes }
+ */
+async function bulkUpdateEndpoints(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    res.json(await endpointService.bulkUpdateEndpoints(userId, req.body || {}));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error updating endpoints:", err.message);
+    res.status(500).json({ error: "Failed to update endpoints." });
+  }
+}
+
+/**
+ * Copy an endpoint, optionally with the same edits an update takes
+ */
+async function cloneEndpoint(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  try {
+    const endpoint = await endpointService.cloneEndpoint(endpointId, req.body || {}, {
+      validateBody: req.query.validate !== "false",
+    });
+
+    if (!endpoint) {
+      return res.status(404).json({ error: "Endpoint not found." });
+    }
+
+    res.status(201).json(endpoint);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error cloning endpoint:", err.message);
+    res.status(500).json({ error: "Failed to clone endpoint." });
+  }
+}
+
+/**
+ * Delete an endpoint with its results and jobs
+ */
+async function deleteEndpoint(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  try {
+    const deleted = await endpointService.deleteEndpoint(endpointId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Endpoint not found." });
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error deleting endpoint:", err.message);
+    res.status(500).json({ error: "Failed to delete endpoint." });
+  }
+}
+
+/**
+ * Run the load test configured on a saved endpoint
+ */
+async function runEndpoint(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  try {
+    const result = await jobService.runEndpointNow(endpointId, parseRunOptions(req.body || {}));
+
+    if (!result) {
+      return res.status(404).json({ error: "Endpoint not found." });
+    }
+
+    res.status(201).json(result);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error running load test:", err.message);
+    res.status(500).json({ error: "Failed to run load test." });
+  }
+}
+
+/**
+ * List the load test results recorded for an endpoint
+ */
+async function getEndpointResults(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  try {
+    const results = await databaseService.getLoadTestResultsByEndpointId(endpointId);
+    res.json(results.map(serializeLoadTestResult));
+  } catch (err) {
+    console.error("Error fetching load test results:", err.message);
+    res.status(500).json({ error: "Failed to fetch load test results." });
+  }
+}
+
+/**
+ * Stream the progress of an endpoint's load test as Server-Sent Events: a
+ * "progress" event per second, then "summary" (the saved result), "failed",
+ * or "paused" / "cancelled" for background jobs. When no run is in flight
+ * or queued, a single "idle" event carries the endpoint's load_status and
+ * the stream ends.
+ */
+async function streamEndpointProgress(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  let endpoint;
+  let activeJob;
+  try {
+    endpoint = await databaseService.getApiEndpointById(endpointId);
+    activeJob = endpoint && (await databaseService.getActiveLoadJobByEndpointId(endpointId));
+  } catch (err) {
+    console.error("Error fetching endpoint:", err.message);
+    return res.status(500).json({ error: "Failed to fetch endpoint." });
+  }
+
+  if (!endpoint) {
+    return res.status(404).json({ error: "Endpoint not found." });
+  }
+
+  // Queued jobs and endpoints waiting in a user-level run are followed once their turn comes
+  streamRunEvents(
+    req,
+    res,
+    (listener) =>
+      progressService.subscribe({ endpoint_id: endpointId }, listener, {
+        // A paused job only runs again once resumed
+        waitForRun: Boolean(activeJob) && activeJob.status !== "paused",
+      }),
+    { endpoint_id: endpointId, load_status: endpoint.load_status }
+  );
+}
+
+export const endpointController = {
+  getEndpointById,
+  updateEndpoint,
+  bulkUpdateEndpoints,
+  cloneEndpoint,
+  deleteEndpoint,
+  runEndpoint,
+  getEndpointResults,
+  streamEndpointProgress,
+};
@@ -0,0 +1,128 @@
+import { databaseService } from "../services/databaseService.js";
+import { environmentService } from "../services/environmentService.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Create an environment for a user: { name, base_url, variables, secrets }
+ */
+async function createEnvironment(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    const environment = await environmentService.createEnvironment(userId, req.body || {});
+    res.status(201).json(environment);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error creating environment:", err.message);
+    res.status(500).json({ error: "Failed to create environment." });
+  }
+}
+
+/**
+ * List a user's environments (secret names only)
+ */
+async function getUserEnvironments(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    const environments = await databaseService.getEnvironmentsByUserId(userId);
+    res.json(environments.map(environmentService.serializeEnvironment));
+  } catch (err) {
+    console.error("Error fetching environments:", err.message);
+    res.status(500).json({ error: "Failed to fetch environments." });
+  }
+}
+
+/**
+ * Get an environment by ID (secret names only)
+ */
+async function getEnvironmentById(req, res) {
+  const environmentId = Number(req.params.id);
+
+  if (!Number.isInteger(environmentId)) {
+    return res.status(400).json({ error: "Invalid environment id." });
+  }
+
+  try {
+    const environment = await databaseService.getEnvironmentById(environmentId);
+
+    if (!environment) {
+      return res.status(404).json({ error: "Environment not found." });
+    }
+
+    res.json(environmentService.serializeEnvironment(environment));
+  } catch (err) {
+    console.error("Error fetching environment:", err.message);
+    res.status(500).json({ error: "Failed to fetch environment." });
+  }
+}
+
+/**
+ * Update an environment; variables and secrets are merged, null removes one
+ */
+async function updateEnvironment(req, res) {
+  const environmentId = Number(req.params.id);
+
+  if (!Number.isInteger(environmentId)) {
+    return res.status(400).json({ error: "Invalid environment id." });
+  }
+
+  try {
+    const environment = await environmentService.updateEnvironment(environmentId, req.body || {});
+
+    if (!environment) {
+      return res.status(404).json({ error: "Environment not found." });
+    }
+
+    res.json(environment);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error updating environment:", err.message);
+    res.status(500).json({ error: "Failed to update environment." });
+  }
+}
+
+/**
+ * Delete an environment
+ */
+async function deleteEnvironment(req, res) {
+  const environmentId = Number(req.params.id);
+
+  if (!Number.isInteger(environmentId)) {
+    return res.status(400).json({ error: "Invalid environment id." });
+  }
+
+  try {
+    const environment = await databaseService.getEnvironmentById(environmentId);
+
+    if (!environment) {
+      return res.status(404).json({ error: "Environment not found." });
+    }
+
+    await databaseService.deleteEnvironment(environmentId);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error deleting environment:", err.message);
+    res.status(500).json({ error: "Failed to delete environment." });
+  }
+}
+
+export const environmentController = {
+  createEnvironment,
+  getUserEnvironments,
+  getEnvironmentById,
+  updateEnvironment,
+  deleteEnvironment,
+};
@@ -0,0 +1,176 @@
+import { jobService } from "../services/jobService.js";
+import { parseRunOptions } from "../utils/loadTestUtils.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Queue a background load run of a saved endpoint; takes the same options
+ * as a direct run
+ */
+async function enqueueEndpointJob(req, res) {
+  const endpointId = Number(req.params.id);
+
+  if (!Number.isInteger(endpointId)) {
+    return res.status(400).json({ error: "Invalid endpoint id." });
+  }
+
+  try {
+    const job = await jobService.enqueueEndpointJob(endpointId, parseRunOptions(req.body || {}));
+
+    if (!job) {
+      return res.status(404).json({ error: "Endpoint not found." });
+    }
+
+    res.status(202).json(job);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error queueing load job:", err.message);
+    res.status(500).json({ error: "Failed to queue load job." });
+  }
+}
+
+/**
+ * Queue a background load run of a scenario; takes the same options as a
+ * direct run
+ */
+async function enqueueScenarioJob(req, res) {
+  const scenarioId = Number(req.params.id);
+
+  if (!Number.isInteger(scenarioId)) {
+    return res.status(400).json({ error: "Invalid scenario id." });
+  }
+
+  try {
+    const job = await jobService.enqueueScenarioJob(scenarioId, parseRunOptions(req.body || {}));
+
+    if (!job) {
+      return res.status(404).json({ error: "Scenario not found." });
+    }
+
+    res.status(202).json(job);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error queueing load job:", err.message);
+    res.status(500).json({ error: "Failed to queue load job." });
+  }
+}
+
+/**
+ * Queue background load runs for all (or the selected) endpoints of a user
+ */
+async function enqueueUserJobs(req, res) {
+  const userId = Number(req.params.userId);
+  const { endpointIds = [] } = req.body || {};
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  if (!Array.isArray(endpointIds)) {
+    return res.status(400).json({ error: '"endpointIds" must be an array.' });
+  }
+
+  try {
+    const results = await jobService.enqueueUserJobs(userId, endpointIds, parseRunOptions(req.body || {}));
+    res.status(202).json({
+      jobsQueued: results.filter((result) => result.status === "queued").length,
+      results,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error queueing load jobs:", err.message);
+    res.status(500).json({ error: "Failed to queue load jobs." });
+  }
+}
+
+/**
+ * List a user's load jobs, newest first
+ */
+async function getUserJobs(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    res.json(await jobService.getUserJobs(userId));
+  } catch (err) {
+    console.error("Error fetching load jobs:", err.message);
+    res.status(500).json({ error: "Failed to fetch load jobs." });
+  }
+}
+
+/**
+ * Get a load job with its status and progress
+ */
+async function getJobById(req, res) {
+  const jobId = Number(req.params.id);
+
+  if (!Number.isInteger(jobId)) {
+    return res.status(400).json({ error: "Invalid job id." });
+  }
+
+  try {
+    const job = await jobService.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found." });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error("Error fetching load job:", err.message);
+    res.status(500).json({ error: "Failed to fetch load job." });
+  }
+}
+
+/**
+ * Shared handler for cancel, pause and resume. Running jobs stop once their
+ * requests in flight complete, so the job returned may still be "running".
+ */
+function createJobActionHandler(action, verb) {
+  return async function changeJob(req, res) {
+    const jobId = Number(req.params.id);
+
+    if (!Number.isInteger(jobId)) {
+      return res.status(400).json({ error: "Invalid job id." });
+    }
+
+    try {
+      const job = await jobService[action](jobId);
+
+      if (!job) {
+        return res.status(404).json({ error: "Job not found." });
+      }
+
+      res.json(job);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(`Error trying to ${verb} load job:`, err.message);
+      res.status(500).json({ error: `Failed to ${verb} load job.` });
+    }
+  };
+}
+
+const cancelJob = createJobActionHandler("cancelJob", "cancel");
+const pauseJob = createJobActionHandler("pauseJob", "pause");
+const resumeJob = createJobActionHandler("resumeJob", "resume");
+
+export const jobController = {
+  enqueueEndpointJob,
+  enqueueScenarioJob,
+  enqueueUserJobs,
+  getUserJobs,
+  getJobById,
+  cancelJob,
+  pauseJob,
+  resumeJob,
+};
@@ -0,0 +1,30 @@
+import { databaseService } from "../services/databaseService.js";
+import { serializeLoadTestResult } from "../utils/loadTestUtils.js";
+
+/**
+ * Get a single load test run with percentiles and timeline
+ */
+async function getResultById(req, res) {
+  const resultId = Number(req.params.resultId);
+
+  if (!Number.isInteger(resultId)) {
+    return res.status(400).json({ error: "Invalid result id." });
+  }
+
+  try {
+    const result = await databaseService.getLoadTestResultById(resultId);
+
+    if (!result) {
+      return res.status(404).json({ error: "Load test result not found." });
+    }
+
+    res.json(serializeLoadTestResult(result));
+  } catch (err) {
+    console.error("Error fetching load test result:", err.message);
+    res.status(500).json({ error: "Failed to fetch load test result." });
+  }
+}
+
+export const resultController = {
+  getResultById,
+};
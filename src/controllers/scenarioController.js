@@ -0,0 +1,224 @@
+import { databaseService } from "../services/databaseService.js";
+import { scenarioService } from "../services/scenarioService.js";
+import { progressService } from "../services/progressService.js";
+import { jobService } from "../services/jobService.js";
+import { serializeLoadTestResult, parseRunOptions } from "../utils/loadTestUtils.js";
+import { streamRunEvents } from "../utils/eventStream.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Create a scenario for a user: { name, description, iterations, threads,
+ * load_profile, steps }
+ */
+async function createScenario(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    const scenario = await scenarioService.createScenario(userId, req.body || {});
+    res.status(201).json(scenario);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error creating scenario:", err.message);
+    res.status(500).json({ error: "Failed to create scenario." });
+  }
+}
+
+/**
+ * List a user's scenarios with their steps
+ */
+async function getUserScenarios(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    const scenarios = await databaseService.getScenariosByUserId(userId);
+    res.json(scenarios.map(scenarioService.serializeScenario));
+  } catch (err) {
+    console.error("Error fetching scenarios:", err.message);
+    res.status(500).json({ error: "Failed to fetch scenarios." });
+  }
+}
+
+/**
+ * Get a scenario by ID with its steps
+ */
+async function getScenarioById(req, res) {
+  const scenarioId = Number(req.params.id);
+
+  if (!Number.isInteger(scenarioId)) {
+    return res.status(400).json({ error: "Invalid scenario id." });
+  }
+
+  try {
+    const scenario = await databaseService.getScenarioById(scenarioId);
+
+    if (!scenario) {
+      return res.status(404).json({ error: "Scenario not found." });
+    }
+
+    res.json(scenarioService.serializeScenario(scenario));
+  } catch (err) {
+    console.error("Error fetching scenario:", err.message);
+    res.status(500).json({ error: "Failed to fetch scenario." });
+  }
+}
+
+/**
+ * Update a scenario; a "steps" list replaces all of its steps
+ */
+async function updateScenario(req, res) {
+  const scenarioId = Number(req.params.id);
+
+  if (!Number.isInteger(scenarioId)) {
+    return res.status(400).json({ error: "Invalid scenario id." });
+  }
+
+  try {
+    const scenario = await scenarioService.updateScenario(scenarioId, req.body || {});
+
+    if (!scenario) {
+      return res.status(404).json({ error: "Scenario not found." });
+    }
+
+    res.json(scenario);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error updating scenario:", err.message);
+    res.status(500).json({ error: "Failed to update scenario." });
+  }
+}
+
+/**
+ * Delete a scenario with its results
+ */
+async function deleteScenario(req, res) {
+  const scenarioId = Number(req.params.id);
+
+  if (!Number.isInteger(scenarioId)) {
+    return res.status(400).json({ error: "Invalid scenario id." });
+  }
+
+  try {
+    const deleted = await scenarioService.deleteScenario(scenarioId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Scenario not found." });
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error deleting scenario:", err.message);
+    res.status(500).json({ error: "Failed to delete scenario." });
+  }
+}
+
+/**
+ * Load test a scenario as a unit
+ */
+async function runScenario(req, res) {
+  const scenarioId = Number(req.params.id);
+
+  if (!Number.isInteger(scenarioId)) {
+    return res.status(400).json({ error: "Invalid scenario id." });
+  }
+
+  try {
+    const result = await jobService.runScenarioNow(scenarioId, parseRunOptions(req.body || {}));
+
+    if (!result) {
+      return res.status(404).json({ error: "Scenario not found." });
+    }
+
+    res.status(201).json(result);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error running scenario:", err.message);
+    res.status(500).json({ error: "Failed to run scenario." });
+  }
+}
+
+/**
+ * List the results recorded for a scenario
+ */
+async function getScenarioResults(req, res) {
+  const scenarioId = Number(req.params.id);
+
+  if (!Number.isInteger(scenarioId)) {
+    return res.status(400).json({ error: "Invalid scenario id." });
+  }
+
+  try {
+    const results = await databaseService.getScenarioResultsByScenarioId(scenarioId);
+    res.json(results.map(serializeLoadTestResult));
+  } catch (err) {
+    console.error("Error fetching scenario results:", err.message);
+    res.status(500).json({ error: "Failed to fetch scenario results." });
+  }
+}
+
+/**
+ * Stream a scenario's load run as Server-Sent Events, like an endpoint's:
+ * "progress" every second (iterations count as requests), then "summary",
+ * "failed", "paused" or "cancelled". A queued job is followed once it
+ * starts; otherwise a single "idle" event carries the scenario's
+ * load_status and the stream ends.
+ */
+async function streamScenarioProgress(req, res) {
+  const scenarioId = Number(req.params.id);
+
+  if (!Number.isInteger(scenarioId)) {
+    return res.status(400).json({ error: "Invalid scenario id." });
+  }
+
+  let scenario;
+  let activeJob;
+  try {
+    scenario = await databaseService.getScenarioById(scenarioId);
+    activeJob = scenario && (await databaseService.getActiveLoadJobByScenarioId(scenarioId));
+  } catch (err) {
+    console.error("Error fetching scenario:", err.message);
+    return res.status(500).json({ error: "Failed to fetch scenario." });
+  }
+
+  if (!scenario) {
+    return res.status(404).json({ error: "Scenario not found." });
+  }
+
+  streamRunEvents(
+    req,
+    res,
+    (listener) =>
+      progressService.subscribe({ scenario_id: scenarioId }, listener, {
+        // A paused job only runs again once resumed
+        waitForRun: Boolean(activeJob) && activeJob.status !== "paused",
+      }),
+    { scenario_id: scenarioId, load_status: scenario.load_status }
+  );
+}
+
+export const scenarioController = {
+  createScenario,
+  getUserScenarios,
+  getScenarioById,
+  updateScenario,
+  deleteScenario,
+  runScenario,
+  getScenarioResults,
+  streamScenarioProgress,
+};
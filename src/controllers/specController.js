@@ -0,0 +1,162 @@
+import { databaseService } from "../services/databaseService.js";
+import { specDiffService } from "../services/specDiffService.js";
+import { scenarioService } from "../services/scenarioService.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Get an imported spec with its version history
+ */
+async function getSpecById(req, res) {
+  const specId = Number(req.params.specId);
+
+  if (!Number.isInteger(specId)) {
+    return res.status(400).json({ error: "Invalid spec id." });
+  }
+
+  try {
+    const spec = await databaseService.getApiSpecById(specId);
+
+    if (!spec) {
+      return res.status(404).json({ error: "Spec not found." });
+    }
+
+    res.json(spec);
+  } catch (err) {
+    console.error("Error fetching spec:", err.message);
+    res.status(500).json({ error: "Failed to fetch spec." });
+  }
+}
+
+/**
+ * List the versions of a spec, newest first
+ */
+async function getSpecVersions(req, res) {
+  const specId = Number(req.params.specId);
+
+  if (!Number.isInteger(specId)) {
+    return res.status(400).json({ error: "Invalid spec id." });
+  }
+
+  try {
+    const spec = await databaseService.getApiSpecById(specId);
+
+    if (!spec) {
+      return res.status(404).json({ error: "Spec not found." });
+    }
+
+    const versions = await databaseService.getApiSpecVersions(specId);
+    res.json(versions);
+  } catch (err) {
+    console.error("Error fetching spec versions:", err.message);
+    res.status(500).json({ error: "Failed to fetch spec versions." });
+  }
+}
+
+/**
+ * Get a single spec version including its stored document
+ */
+async function getSpecVersionById(req, res) {
+  const specId = Number(req.params.specId);
+  const versionId = Number(req.params.versionId);
+
+  if (!Number.isInteger(specId) || !Number.isInteger(versionId)) {
+    return res.status(400).json({ error: "Invalid spec or version id." });
+  }
+
+  try {
+    const version = await databaseService.getApiSpecVersionById(versionId);
+
+    if (!version || version.spec_id !== specId) {
+      return res.status(404).json({ error: "Spec version not found." });
+    }
+
+    res.json(version);
+  } catch (err) {
+    console.error("Error fetching spec version:", err.message);
+    res.status(500).json({ error: "Failed to fetch spec version." });
+  }
+}
+
+/**
+ * Diff a stored version against another version of the same spec
+ * (?against=<versionId>), by default the version fetched before it
+ */
+async function diffSpecVersion(req, res) {
+  const specId = Number(req.params.specId);
+  const versionId = Number(req.params.versionId);
+  const against = req.query.against === undefined ? undefined : Number(req.query.against);
+
+  if (!Number.isInteger(specId) || !Number.isInteger(versionId)) {
+    return res.status(400).json({ error: "Invalid spec or version id." });
+  }
+
+  if (against !== undefined && !Number.isInteger(against)) {
+    return res.status(400).json({ error: "Invalid 'against' version id." });
+  }
+
+  try {
+    const versions = await databaseService.getApiSpecVersions(specId);
+    const index = versions.findIndex((version) => version.id === versionId);
+
+    if (index === -1) {
+      return res.status(404).json({ error: "Spec version not found." });
+    }
+
+    // Versions are listed newest first
+    const baseId = against ?? versions[index + 1]?.id;
+
+    if (baseId === undefined) {
+      return res.status(400).json({ error: "This is the first version; pass 'against' to compare." });
+    }
+
+    if (!versions.some((version) => version.id === baseId)) {
+      return res.status(404).json({ error: "Version to compare against not found." });
+    }
+
+    const diff = await specDiffService.diffSpecs({ versionId: baseId }, { versionId });
+    res.json({ baseVersionId: baseId, headVersionId: versionId, ...diff });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error diffing spec versions:", err.message);
+    res.status(500).json({ error: "Failed to diff spec versions." });
+  }
+}
+
+/**
+ * Suggest two-step scenarios from the OpenAPI links between a spec's saved
+ * endpoints; each suggestion can be posted as a scenario
+ */
+async function getScenarioSuggestions(req, res) {
+  const specId = Number(req.params.specId);
+
+  if (!Number.isInteger(specId)) {
+    return res.status(400).json({ error: "Invalid spec id." });
+  }
+
+  try {
+    const spec = await databaseService.getApiSpecById(specId);
+
+    if (!spec) {
+      return res.status(404).json({ error: "Spec not found." });
+    }
+
+    const suggestions = await scenarioService.suggestScenarios(specId);
+    res.json({ suggestions });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error suggesting scenarios:", err.message);
+    res.status(500).json({ error: "Failed to suggest scenarios." });
+  }
+}
+
+export const specController = {
+  getSpecById,
+  getSpecVersions,
+  getSpecVersionById,
+  diffSpecVersion,
+  getScenarioSuggestions,
+};
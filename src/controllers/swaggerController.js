@@ -1,47 +1,205 @@
 import { swaggerService } from "../services/swaggerService.js";
+import { specDiffService } from "../services/specDiffService.js";
+import { importService } from "../services/importService.js";
+import { loadSpecDocument } from "../utils/specLoader.js";
+import { resolveLoadSettings } from "../utils/loadProfile.js";
+import { HttpError } from "../utils/errors.js";
 
 /**
- * Parse Swagger documentation from a URL and save processed data
+ * Multipart fields always arrive as strings; decode JSON values where possible
+ */
+function parseJsonField(value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Read the spec source: a fetchable "url", an inline "spec" document
+ * (JSON/YAML string or object) or an uploaded "file". Files referenced by
+ * external $refs can be sent as a "files" map of { path: content } or as
+ * additional "files" uploads named after their relative path.
+ */
+function getSpecSource(body = {}, uploads = {}) {
+  const [mainFile] = uploads.file || [];
+  const document = mainFile ? mainFile.buffer : body.spec;
+
+  if (!body.url && (document === undefined || document === null || document === "")) {
+    return null;
+  }
+
+  const files = { ...(parseJsonField(body.files) || {}) };
+  for (const upload of uploads.files || []) {
+    files[upload.originalname] = upload.buffer;
+  }
+
+  return {
+    url: body.url,
+    document,
+    fileName: mainFile?.originalname || body.fileName,
+    files,
+  };
+}
+
+/**
+ * Server choice for generated requests: "serverIndex" or "serverUrl" from
+ * the spec's servers, "serverVariables" for their {placeholders}, or a
+ * "baseUrl" that overrides the spec altogether
+ */
+function getServerOptions(body = {}) {
+  const serverIndex = parseJsonField(body.serverIndex);
+  const serverVariables = parseJsonField(body.serverVariables);
+
+  if (serverIndex !== undefined && (!Number.isInteger(serverIndex) || serverIndex < 0)) {
+    throw new HttpError(400, '"serverIndex" must be a non-negative integer.');
+  }
+
+  if (serverVariables !== undefined && (typeof serverVariables !== "object" || Array.isArray(serverVariables))) {
+    throw new HttpError(400, '"serverVariables" must be an object of variable values.');
+  }
+
+  // "{{baseUrl}}" defers the base URL to the environment chosen at run time
+  if (body.baseUrl !== undefined && !/^(https?:\/\/|\{\{)/i.test(body.baseUrl)) {
+    throw new HttpError(400, '"baseUrl" must be an absolute http(s) URL or a {{variable}}.');
+  }
+
+  return {
+    serverIndex,
+    serverUrl: body.serverUrl,
+    serverVariables,
+    baseUrl: body.baseUrl,
+  };
+}
+
+/**
+ * How request values are produced: "rules" (the schema-based generator, the
+ * default) or "ai" (an LLM via payloadService, checked against the schemas)
+ */
+function getPayloadMode(body) {
+  const mode = body.payloadMode ?? "rules";
+
+  if (!["rules", "ai"].includes(mode)) {
+    throw new HttpError(400, '"payloadMode" must be "rules" or "ai".');
+  }
+
+  return mode;
+}
+
+/**
+ * Load settings stored on imported endpoints: total_requests and threads,
+ * optionally with a load_profile (see utils/loadProfile.js)
+ */
+function getLoadSettings(body) {
+  return resolveLoadSettings({
+    total_requests: parseJsonField(body.total_requests),
+    threads: parseJsonField(body.threads),
+    load_profile: parseJsonField(body.load_profile),
+  });
+}
+
+/**
+ * Parse Swagger documentation from a URL or document and save processed data
  */
 async function parseSwagger(req, res) {
-  const { url, user_id: userId, total_requests, threads, selectedIds, token } = req.body;
+  const body = req.body || {};
+  const { token, tokenSecret, seed, specName } = body;
+  const userId = req.user.id;
+  // Environment the token is stored in as an encrypted secret
+  const environmentId = parseJsonField(body.environment_id);
+  const selectedIds = parseJsonField(body.selectedIds);
+  const parameterValues = parseJsonField(body.parameterValues);
+  const filters = parseJsonField(body.filters);
+  // Per security scheme name, e.g. { "api_key": "...", "oauth": { "clientId": "...", "clientSecret": "..." } }
+  const credentials = parseJsonField(body.credentials);
+  const source = getSpecSource(body, req.files);
 
-  if (!url) {
-    return res.status(400).json({ error: 'Missing "url" in request body.' });
+  if (!source) {
+    return res.status(400).json({ error: 'Missing "url" or "spec" in request body.' });
   }
 
-  if (!userId) {
-    return res.status(400).json({ error: 'Missing "user_id" in request body.' });
+  // An uploaded document has no URL; its name is what later uploads are matched on
+  if (source.document && (typeof specName !== "string" || specName.trim() === "")) {
+    return res.status(400).json({ error: '"specName" is required when uploading a spec document.' });
   }
 
-  if (!total_requests) {
-    return res.status(400).json({ error: 'Missing "total_requests" in request body.' });
+  if (selectedIds !== undefined && !Array.isArray(selectedIds)) {
+    return res.status(400).json({ error: '"selectedIds" must be an array of endpoint ids.' });
   }
 
-  if (!threads) {
-    return res.status(400).json({ error: 'Missing "threads" in request body.' });
+  if (credentials !== undefined && (typeof credentials !== "object" || Array.isArray(credentials))) {
+    return res.status(400).json({ error: '"credentials" must be an object keyed by security scheme name.' });
+  }
+
+  if (token !== undefined && typeof token !== "string") {
+    return res.status(400).json({ error: '"token" must be a string.' });
+  }
+
+  if (environmentId !== undefined && !Number.isInteger(environmentId)) {
+    return res.status(400).json({ error: '"environment_id" must be an integer.' });
+  }
+
+  if (tokenSecret !== undefined && !/^[\w.-]+$/.test(tokenSecret)) {
+    return res.status(400).json({ error: '"tokenSecret" must be a secret name of letters, digits, "_", "." or "-".' });
   }
 
   try {
-    const result = await swaggerService.processSwaggerData(url, userId, total_requests, threads, selectedIds, token);
+    const load = getLoadSettings(body);
+    const result = await swaggerService.processSwaggerData(source, userId, load.total_requests, load.threads, selectedIds, token, {
+      loadProfile: load.load_profile,
+      payloadMode: getPayloadMode(body),
+      seed,
+      parameterValues,
+      filters,
+      specName,
+      credentials,
+      environmentId,
+      tokenSecret,
+      server: getServerOptions(body),
+    });
     res.json(result);
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error parsing Swagger docs:", err.message);
     res.status(500).json({ error: "Failed to fetch or parse Swagger data." });
   }
 }
 
 async function getEndpointsFormData(req, res) {
-  const { url, selectedIds } = req.body;
+  const body = req.body || {};
+  const selectedIds = parseJsonField(body.selectedIds);
+  const parameterValues = parseJsonField(body.parameterValues);
+  const filters = parseJsonField(body.filters);
+  const source = getSpecSource(body, req.files);
 
-  if (!url) {
-    return res.status(400).json({ error: 'Missing "url" in request body.' });
+  if (!source) {
+    return res.status(400).json({ error: 'Missing "url" or "spec" in request body.' });
+  }
+
+  if (selectedIds !== undefined && !Array.isArray(selectedIds)) {
+    return res.status(400).json({ error: '"selectedIds" must be an array of endpoint ids.' });
   }
 
   try {
-    const result = await swaggerService.extractRequestBodyTemplates(url, selectedIds);
+    const result = await swaggerService.extractRequestBodyTemplates(source, selectedIds, {
+      payloadMode: getPayloadMode(body),
+      seed: body.seed,
+      parameterValues,
+      filters,
+      server: getServerOptions(body),
+    });
     res.json(result);
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error parsing Swagger docs:", err.message);
     res.status(500).json({ error: "Failed to fetch or parse Swagger data." });
   }
@@ -51,16 +209,20 @@ async function getEndpointsFormData(req, res) {
  * Fetch raw Swagger data without processing
  */
 async function getRawSwaggerData(req, res) {
-  const { url } = req.body;
+  const source = getSpecSource(req.body, req.files);
 
-  if (!url) {
-    return res.status(400).json({ error: 'Missing "url" in request body.' });
+  if (!source) {
+    return res.status(400).json({ error: 'Missing "url" or "spec" in request body.' });
   }
 
   try {
-    const result = await swaggerService.getSwaggerData(url);
-    res.json(result);
+    // The ref resolver is an internal helper, not part of the raw data
+    const { resolver, ...swaggerData } = await swaggerService.getSwaggerData(source);
+    res.json(swaggerData);
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error parsing Swagger docs:", err.message);
     res.status(500).json({ error: "Failed to fetch or parse Swagger data." });
   }
@@ -68,23 +230,151 @@ async function getRawSwaggerData(req, res) {
 
 async function getSwaggerEndpoints(req, res) {
   try {
-    const url = req.query.url;
+    // GET takes ?url= plus filters as query params (tags/methods comma
+    // separated), POST takes the same body as the other routes
+    const isGet = req.method === "GET";
+    const input = isGet ? req.query : req.body || {};
+    const source = isGet
+      ? getSpecSource({ url: req.query.url })
+      : getSpecSource(input, req.files);
+
+    if (!source) {
+      return res.status(400).json({ error: "Missing 'url' query parameter or 'spec' document" });
+    }
 
-    if (!url) {
-      return res.status(400).json({ error: "Missing 'url' query parameter" });
+    const filters = isGet
+      ? {
+          tags: input.tags,
+          methods: input.methods,
+          path: input.path,
+          deprecated: input.deprecated,
+        }
+      : parseJsonField(input.filters);
+    const groupBy = input.groupBy;
+
+    if (groupBy !== undefined && groupBy !== "tag") {
+      return res.status(400).json({ error: "'groupBy' only supports 'tag'" });
+    }
+
+    const endpoints = await swaggerService.getSwaggerEndpointPaths(source, {
+      filters,
+      groupBy,
+    });
+
+    if (groupBy === "tag") {
+      return res.status(200).json({ groups: endpoints });
     }
 
-    const endpoints = await swaggerService.getSwaggerEndpointPaths(url);
     return res.status(200).json({ endpoints });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Swagger controller error:", error);
     return res.status(500).json({ error: "Failed to fetch Swagger endpoints" });
   }
 }
 
+/**
+ * One side of a diff: a URL string, { url } / { spec, files } like the other
+ * routes, or { versionId } of a stored spec version
+ */
+function getDiffSide(side) {
+  if (typeof side === "string") {
+    return getSpecSource({ url: side });
+  }
+
+  if (side && typeof side === "object" && side.versionId !== undefined) {
+    return { versionId: side.versionId };
+  }
+
+  return side && typeof side === "object" ? getSpecSource(side) : null;
+}
+
+/**
+ * Compare two specs and list breaking and non-breaking changes
+ */
+async function diffSwagger(req, res) {
+  const body = req.body || {};
+  const base = getDiffSide(body.base);
+  const head = getDiffSide(body.head);
+
+  if (!base || !head) {
+    return res.status(400).json({
+      error: 'Both "base" and "head" are required: a URL, { url }, { spec } or { versionId }.',
+    });
+  }
+
+  try {
+    const diff = await specDiffService.diffSpecs(base, head, { userId: req.user.id });
+    res.json(diff);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error diffing Swagger docs:", err.message);
+    res.status(500).json({ error: "Failed to diff Swagger data." });
+  }
+}
+
+/**
+ * Shared handler for the Postman and HAR imports. The document comes from an
+ * uploaded "file", the `field` in the body (object or JSON string) or a "url".
+ */
+function createImportHandler(kind, field) {
+  return async function importDocument(req, res) {
+    const body = req.body || {};
+    const userId = req.user.id;
+    const [upload] = req.files?.file || [];
+    const document = upload ? upload.buffer : parseJsonField(body[field]);
+    // Environment the credentials found in the requests are stored in
+    const environmentId = parseJsonField(body.environment_id);
+
+    if (!body.url && (document === undefined || document === null || document === "")) {
+      return res.status(400).json({ error: `Missing "url", "${field}" or an uploaded "file".` });
+    }
+
+    if (environmentId !== undefined && !Number.isInteger(environmentId)) {
+      return res.status(400).json({ error: '"environment_id" must be an integer.' });
+    }
+
+    try {
+      const load = getLoadSettings(body);
+      const parsed = await loadSpecDocument(upload || body[field] ? { document } : { url: body.url });
+      const result = await importService.importEndpoints(kind, parsed, userId, load.total_requests, load.threads, {
+        loadProfile: load.load_profile,
+        variables: parseJsonField(body.variables),
+        includeStatic: parseJsonField(body.includeStatic) === true,
+        dedupe: parseJsonField(body.dedupe) !== false,
+        environmentId,
+      });
+      res.json(result);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(`Error importing ${kind} document:`, err.message);
+      res.status(500).json({ error: `Failed to import ${kind} document.` });
+    }
+  };
+}
+
+/**
+ * Import the requests of a Postman v2.x collection as endpoints
+ */
+const importPostman = createImportHandler("postman", "collection");
+
+/**
+ * Import the requests recorded in a HAR file as endpoints
+ */
+const importHar = createImportHandler("har", "har");
+
 export const swaggerController = {
   parseSwagger,
   getRawSwaggerData,
   getSwaggerEndpoints,
-  getEndpointsFormData
+  getEndpointsFormData,
+  diffSwagger,
+  importPostman,
+  importHar,
 };
@@ -1,26 +1,21 @@
 import { databaseService } from "../services/databaseService.js";
-import { v4 as uuidv4 } from "uuid";
+import { jobService } from "../services/jobService.js";
+import { exportService } from "../services/exportService.js";
+import { serializeLoadTestResult, parseRunOptions } from "../utils/loadTestUtils.js";
+import { HttpError } from "../utils/errors.js";
+import { authService } from "../services/authService.js";
 
 /**
- * Create a new user
+ * Create a new user: { name, email, password, phone }
  */
 async function createUser(req, res) {
-  const { name, email, phone } = req.body;
-
-  if (!name || !email) {
-    return res.status(400).json({ error: "Name and email are required." });
-  }
-
   try {
-    const user = await databaseService.createUser({
-      user_id: uuidv4(),
-      name,
-      email,
-      phone,
-    });
-
+    const user = await authService.register(req.body || {});
     res.status(201).json(user);
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error creating user:", err.message);
     res.status(500).json({ error: "Failed to create user." });
   }
@@ -30,16 +25,14 @@ async function createUser(req, res) {
  * Get user by ID
  */
 async function getUserById(req, res) {
-  const { userId } = req.params;
-
   try {
-    const user = await databaseService.getUserById(userId);
+    const user = await databaseService.getUserById(req.user.id);
 
     if (!user) {
       return res.status(404).json({ error: "User not found." });
     }
 
-    res.json(user);
+    res.json(authService.serializeUser(user));
   } catch (err) {
     console.error("Error fetching user:", err.message);
     res.status(500).json({ error: "Failed to fetch user." });
@@ -50,10 +43,8 @@ async function getUserById(req, res) {
  * Get all API endpoints for a user
  */
 async function getUserEndpoints(req, res) {
-  const { userId } = req.params;
-
   try {
-    const endpoints = await databaseService.getApiEndpointsByUserId(userId);
+    const endpoints = await databaseService.getApiEndpointsByUserId(req.user.id);
     res.json(endpoints);
   } catch (err) {
     console.error("Error fetching endpoints:", err.message);
@@ -61,9 +52,113 @@ async function getUserEndpoints(req, res) {
   }
 }
 
+/**
+ * Run load tests for all (or the selected) endpoints of a user
+ */
+async function runUserEndpoints(req, res) {
+  const userId = Number(req.params.userId);
+  const { endpointIds = [] } = req.body || {};
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  if (!Array.isArray(endpointIds)) {
+    return res.status(400).json({ error: '"endpointIds" must be an array.' });
+  }
+
+  try {
+    const results = await jobService.runUserEndpointsNow(
+      userId,
+      endpointIds,
+      parseRunOptions(req.body || {})
+    );
+    res.json({ endpointsRun: results.length, results });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error running load tests:", err.message);
+    res.status(500).json({ error: "Failed to run load tests." });
+  }
+}
+
+/**
+ * List load test results across all endpoints of a user
+ */
+async function getUserResults(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    const results = await databaseService.getLoadTestResultsByUserId(userId);
+    res.json(results.map(serializeLoadTestResult));
+  } catch (err) {
+    console.error("Error fetching load test results:", err.message);
+    res.status(500).json({ error: "Failed to fetch load test results." });
+  }
+}
+
+/**
+ * List the specs a user has imported, with their latest version
+ */
+async function getUserSpecs(req, res) {
+  const userId = Number(req.params.userId);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  try {
+    const specs = await databaseService.getApiSpecsByUserId(userId);
+    res.json(specs);
+  } catch (err) {
+    console.error("Error fetching specs:", err.message);
+    res.status(500).json({ error: "Failed to fetch specs." });
+  }
+}
+
+/**
+ * Download a user's endpoints as a Postman collection, k6 script, JMeter
+ * plan or HAR file (?format=postman|k6|jmeter|har&endpointIds=1,2)
+ */
+async function exportUserEndpoints(req, res) {
+  const userId = Number(req.params.userId);
+  const { format = "postman", endpointIds } = req.query;
+  const ids = endpointIds ? String(endpointIds).split(",").map(Number) : [];
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+
+  if (!ids.every(Number.isInteger)) {
+    return res.status(400).json({ error: '"endpointIds" must be a comma separated list of ids.' });
+  }
+
+  try {
+    const file = await exportService.exportUserEndpoints(userId, format, ids);
+    res.set("Content-Type", file.contentType);
+    res.attachment(file.fileName);
+    res.send(file.content);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error exporting endpoints:", err.message);
+    res.status(500).json({ error: "Failed to export endpoints." });
+  }
+}
+
 // Export as a flat object for controller use
 export const userController = {
   createUser,
   getUserById,
   getUserEndpoints,
+  runUserEndpoints,
+  getUserResults,
+  getUserSpecs,
+  exportUserEndpoints,
 };
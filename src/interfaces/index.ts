@@ -3,16 +3,23 @@
 export interface SwaggerData {
   info: any;
   servers: any[];
+  server: { index: number; url: string } | null;
+  baseUrl: string;
   endpoints: SwaggerEndpoint[];
 }
 
 export interface SwaggerEndpoint {
+  id: string;
+  operationId: string | null;
   method: string;
   path: string;
   summary: string;
   tags: string[];
   parameters?: any[];
   requestBody?: any;
+  responses?: Record<string, any>;
+  servers?: any[] | null;
+  baseUrl: string;
 }
 
 export interface ProcessedApiEndpoint {
@@ -29,6 +36,19 @@ export interface GeminiRequest {
   definitions?: any;
 }
 
+// Backend for payloadMode "ai"; replies with raw text expected to hold
+// { parameters, body } as JSON
+export interface PayloadProvider {
+  name: string;
+  generatePayload(request: GeminiRequest): Promise<string>;
+}
+
+export interface GeneratedPayload {
+  body?: any;
+  parameters: Record<string, any>;
+  rejected: string[];
+}
+
 export interface UserData {
   user_id: string;
   name: string;
@@ -0,0 +1,109 @@
+import { authService } from "../services/authService.js";
+import { databaseService } from "../services/databaseService.js";
+
+/**
+ * Owner of each kind of resource routes take an id for
+ */
+const OWNER_LOOKUPS = {
+  endpoint: async (id) => (await databaseService.getApiEndpointById(id))?.user_id,
+  spec: async (id) => (await databaseService.getApiSpecById(id))?.user_id,
+  result: async (id) => (await databaseService.getLoadTestResultById(id))?.api_endpoint.user_id,
+  environment: async (id) => (await databaseService.getEnvironmentById(id))?.user_id,
+  scenario: async (id) => (await databaseService.getScenarioById(id))?.user_id,
+  job: async (id) => (await databaseService.getLoadJobById(id))?.user_id,
+};
+
+const NOT_FOUND_MESSAGES = {
+  endpoint: "Endpoint not found.",
+  spec: "Spec not found.",
+  result: "Load test result not found.",
+  environment: "Environment not found.",
+  scenario: "Scenario not found.",
+  job: "Job not found.",
+};
+
+// Server-Sent Events routes (GET /:id/progress), whose clients can't send headers
+const EVENT_STREAM_PATH = /^\/[^/]+\/progress\/?$/;
+
+/**
+ * Credential of a request: "Authorization: Bearer <token or API key>",
+ * "X-API-Key: <key>", or on event stream routes an "access_token" query
+ * parameter, since EventSource can't send headers. Elsewhere it would only
+ * leak the credential into logs and browser history.
+ */
+function getCredential(req) {
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+
+  if (scheme?.toLowerCase() === "bearer" && value) {
+    return value;
+  }
+
+  if (req.headers["x-api-key"]) {
+    return req.headers["x-api-key"];
+  }
+
+  const isEventStream = req.method === "GET" && EVENT_STREAM_PATH.test(req.path);
+  return isEventStream ? req.query?.access_token : undefined;
+}
+
+/**
+ * Reject requests without a valid credential; sets req.user otherwise
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const user = await authService.authenticate(getCredential(req));
+
+    if (!user) {
+      return res
+        .status(401)
+        .set("WWW-Authenticate", "Bearer")
+        .json({ error: "Authentication required." });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("Error authenticating request:", err.message);
+    res.status(500).json({ error: "Failed to authenticate request." });
+  }
+}
+
+/**
+ * Param handler for :userId routes; users only reach their own
+ */
+function requireSelf(req, res, next, value) {
+  if (Number(value) !== req.user?.id) {
+    return res.status(403).json({ error: "You can only access your own account." });
+  }
+  next();
+}
+
+/**
+ * Param handler checking that the resource named by the param belongs to
+ * req.user. Other users' resources answer 404 like missing ones, so ids
+ * can't be probed; ids that aren't integers are left to the controller.
+ */
+function requireOwnership(kind) {
+  return async function checkOwnership(req, res, next, value) {
+    const id = Number(value);
+
+    if (!Number.isInteger(id)) {
+      return next();
+    }
+
+    try {
+      const ownerId = await OWNER_LOOKUPS[kind](id);
+
+      if (ownerId === undefined || ownerId !== req.user?.id) {
+        return res.status(404).json({ error: NOT_FOUND_MESSAGES[kind] });
+      }
+
+      next();
+    } catch (err) {
+      console.error(`Error checking ${kind} ownership:`, err.message);
+      res.status(500).json({ error: "Failed to check access." });
+    }
+  };
+}
+
+export { requireAuth, requireSelf, requireOwnership };
@@ -0,0 +1,29 @@
+import express from "express";
+import { authController } from "../controllers/authController.js";
+import { userController } from "../controllers/userController.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const authRoutes = express.Router();
+
+// Create an account (same as POST /api/users)
+authRoutes.post("/register", userController.createUser);
+
+// Log in with email and password for an access token
+authRoutes.post("/login", authController.login);
+
+// Revoke every access token of the current user
+authRoutes.post("/logout", requireAuth, authController.logout);
+
+// Get the user behind the credential
+authRoutes.get("/me", requireAuth, authController.getCurrentUser);
+
+// Create an API key for CI use
+authRoutes.post("/api-keys", requireAuth, authController.createApiKey);
+
+// List the current user's API keys
+authRoutes.get("/api-keys", requireAuth, authController.getApiKeys);
+
+// Revoke an API key
+authRoutes.delete("/api-keys/:id", requireAuth, authController.revokeApiKey);
+
+export default authRoutes;
@@ -0,0 +1,35 @@
+import express from "express";
+import { endpointController } from "../controllers/endpointController.js";
+import { jobController } from "../controllers/jobController.js";
+import { requireOwnership } from "../middleware/auth.js";
+
+const endpointRoutes = express.Router();
+
+// Other users' endpoints answer 404 as if they didn't exist
+endpointRoutes.param("id", requireOwnership("endpoint"));
+
+// Get an endpoint
+endpointRoutes.get("/:id", endpointController.getEndpointById);
+
+// Edit an endpoint's request or load settings
+endpointRoutes.patch("/:id", endpointController.updateEndpoint);
+
+// Delete an endpoint with its results
+endpointRoutes.delete("/:id", endpointController.deleteEndpoint);
+
+// Copy an endpoint, optionally with edits
+endpointRoutes.post("/:id/clone", endpointController.cloneEndpoint);
+
+// Run the load test configured on an endpoint
+endpointRoutes.post("/:id/run", endpointController.runEndpoint);
+
+// Queue the endpoint's load test as a background job
+endpointRoutes.post("/:id/jobs", jobController.enqueueEndpointJob);
+
+// Stream live progress of the endpoint's running load test (Server-Sent Events)
+endpointRoutes.get("/:id/progress", endpointController.streamEndpointProgress);
+
+// List load test results for an endpoint
+endpointRoutes.get("/:id/results", endpointController.getEndpointResults);
+
+export default endpointRoutes;
@@ -0,0 +1,19 @@
+import express from "express";
+import { environmentController } from "../controllers/environmentController.js";
+import { requireOwnership } from "../middleware/auth.js";
+
+const environmentRoutes = express.Router();
+
+// Other users' environments answer 404 as if they didn't exist
+environmentRoutes.param("id", requireOwnership("environment"));
+
+// Get an environment
+environmentRoutes.get("/:id", environmentController.getEnvironmentById);
+
+// Update an environment's base URL, variables or secrets
+environmentRoutes.patch("/:id", environmentController.updateEnvironment);
+
+// Delete an environment
+environmentRoutes.delete("/:id", environmentController.deleteEnvironment);
+
+export default environmentRoutes;
@@ -0,0 +1,22 @@
+import express from "express";
+import { jobController } from "../controllers/jobController.js";
+import { requireOwnership } from "../middleware/auth.js";
+
+const jobRoutes = express.Router();
+
+// Other users' jobs answer 404 as if they didn't exist
+jobRoutes.param("id", requireOwnership("job"));
+
+// Get a load job with its status and progress
+jobRoutes.get("/:id", jobController.getJobById);
+
+// Cancel a queued, paused or running job
+jobRoutes.post("/:id/cancel", jobController.cancelJob);
+
+// Pause a queued or running job, keeping its progress
+jobRoutes.post("/:id/pause", jobController.pauseJob);
+
+// Queue a paused job again
+jobRoutes.post("/:id/resume", jobController.resumeJob);
+
+export default jobRoutes;
@@ -0,0 +1,13 @@
+import express from "express";
+import { resultController } from "../controllers/resultController.js";
+import { requireOwnership } from "../middleware/auth.js";
+
+const resultRoutes = express.Router();
+
+// Other users' results answer 404 as if they didn't exist
+resultRoutes.param("resultId", requireOwnership("result"));
+
+// Get a single load test result in detail
+resultRoutes.get("/:resultId", resultController.getResultById);
+
+export default resultRoutes;
@@ -0,0 +1,32 @@
+import express from "express";
+import { scenarioController } from "../controllers/scenarioController.js";
+import { jobController } from "../controllers/jobController.js";
+import { requireOwnership } from "../middleware/auth.js";
+
+const scenarioRoutes = express.Router();
+
+// Other users' scenarios answer 404 as if they didn't exist
+scenarioRoutes.param("id", requireOwnership("scenario"));
+
+// Get a scenario with its steps
+scenarioRoutes.get("/:id", scenarioController.getScenarioById);
+
+// Update a scenario's settings or replace its steps
+scenarioRoutes.patch("/:id", scenarioController.updateScenario);
+
+// Delete a scenario
+scenarioRoutes.delete("/:id", scenarioController.deleteScenario);
+
+// Load test a scenario
+scenarioRoutes.post("/:id/run", scenarioController.runScenario);
+
+// Queue a background load run of a scenario
+scenarioRoutes.post("/:id/jobs", jobController.enqueueScenarioJob);
+
+// Stream live progress of the scenario's load run (Server-Sent Events)
+scenarioRoutes.get("/:id/progress", scenarioController.streamScenarioProgress);
+
+// List a scenario's results
+scenarioRoutes.get("/:id/results", scenarioController.getScenarioResults);
+
+export default scenarioRoutes;
@@ -0,0 +1,25 @@
+import express from "express";
+import { specController } from "../controllers/specController.js";
+import { requireOwnership } from "../middleware/auth.js";
+
+const specRoutes = express.Router();
+
+// Other users' specs answer 404 as if they didn't exist
+specRoutes.param("specId", requireOwnership("spec"));
+
+// Get an imported spec with its version history
+specRoutes.get("/:specId", specController.getSpecById);
+
+// List the versions of a spec
+specRoutes.get("/:specId/versions", specController.getSpecVersions);
+
+// Get a single spec version with its stored document
+specRoutes.get("/:specId/versions/:versionId", specController.getSpecVersionById);
+
+// Suggest scenarios from the links between the spec's operations
+specRoutes.get("/:specId/scenario-suggestions", specController.getScenarioSuggestions);
+
+// Diff a version against an earlier one (?against=<versionId>)
+specRoutes.get("/:specId/versions/:versionId/diff", specController.diffSpecVersion);
+
+export default specRoutes;
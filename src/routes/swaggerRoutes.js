@@ -1,16 +1,37 @@
 import express from 'express';
+import multer from 'multer';
 import { swaggerController } from '../controllers/swaggerController.js';
 
 const swaggerRoutes = express.Router();
 
+// Spec documents may be uploaded as a multipart "file" instead of a URL,
+// together with any "files" its external $refs point at
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+}).fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: 50 },
+]);
+
 // Parse and process swagger documentation
-swaggerRoutes.post('/parse', swaggerController.parseSwagger);
+swaggerRoutes.post('/parse', upload, swaggerController.parseSwagger);
 
 // Get raw swagger data without processing
-swaggerRoutes.post('/raw', swaggerController.getRawSwaggerData);
+swaggerRoutes.post('/raw', upload, swaggerController.getRawSwaggerData);
 
-swaggerRoutes.post('/form', swaggerController.getEndpointsFormData);
+swaggerRoutes.post('/form', upload, swaggerController.getEndpointsFormData);
 
 swaggerRoutes.get('/endpoints', swaggerController.getSwaggerEndpoints)
 
-export default swaggerRoutes;
\ No newline at end of file
+swaggerRoutes.post('/endpoints', upload, swaggerController.getSwaggerEndpoints)
+
+// Compare two specs and classify their changes as breaking or non-breaking
+swaggerRoutes.post('/diff', swaggerController.diffSwagger);
+
+// Import endpoints from a Postman collection or a HAR capture
+swaggerRoutes.post('/import/postman', upload, swaggerController.importPostman);
+
+swaggerRoutes.post('/import/har', upload, swaggerController.importHar);
+
+export default swaggerRoutes;
@@ -1,15 +1,57 @@
 import express from "express";
 import { userController } from "../controllers/userController.js";
+import { environmentController } from "../controllers/environmentController.js";
+import { scenarioController } from "../controllers/scenarioController.js";
+import { jobController } from "../controllers/jobController.js";
+import { endpointController } from "../controllers/endpointController.js";
+import { requireAuth, requireSelf } from "../middleware/auth.js";
 
 const userRoutes = express.Router();
 
 // Create a new user
 userRoutes.post("/", userController.createUser);
 
+// Everything else needs a credential and is limited to the user's own account
+userRoutes.use(requireAuth);
+userRoutes.param("userId", requireSelf);
+
 // Get user by ID
 userRoutes.get("/:userId", userController.getUserById);
 
 // Get API endpoints for a user
 userRoutes.get("/:userId/endpoints", userController.getUserEndpoints);
 
+// Change headers or load settings on several of a user's endpoints
+userRoutes.patch("/:userId/endpoints", endpointController.bulkUpdateEndpoints);
+
+// Export a user's endpoints as Postman, k6, JMeter or HAR
+userRoutes.get("/:userId/endpoints/export", userController.exportUserEndpoints);
+
+// Run load tests for a user's endpoints
+userRoutes.post("/:userId/endpoints/run", userController.runUserEndpoints);
+
+// Queue background load runs for a user's endpoints
+userRoutes.post("/:userId/jobs", jobController.enqueueUserJobs);
+
+// List a user's load jobs
+userRoutes.get("/:userId/jobs", jobController.getUserJobs);
+
+// List load test results for a user
+userRoutes.get("/:userId/results", userController.getUserResults);
+
+// List imported specs for a user
+userRoutes.get("/:userId/specs", userController.getUserSpecs);
+
+// Create an environment for a user
+userRoutes.post("/:userId/environments", environmentController.createEnvironment);
+
+// List a user's environments
+userRoutes.get("/:userId/environments", environmentController.getUserEnvironments);
+
+// Create a scenario chaining a user's endpoints
+userRoutes.post("/:userId/scenarios", scenarioController.createScenario);
+
+// List a user's scenarios
+userRoutes.get("/:userId/scenarios", scenarioController.getUserScenarios);
+
 export default userRoutes;
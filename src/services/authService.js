@@ -0,0 +1,196 @@
+import { databaseService } from "./databaseService.js";
+import {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+} from "../utils/authCrypto.js";
+import { HttpError } from "../utils/errors.js";
+
+const ACCESS_TOKEN_TTL_S = Number(process.env.AUTH_TOKEN_TTL_SECONDS) || 12 * 60 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_API_KEY_DAYS = 365;
+
+// Compared against when the email is unknown, so both cases take as long
+let unknownUserHash = null;
+
+/**
+ * API shape of a user: the password hash and token version stay internal
+ */
+function serializeUser(user) {
+  const { password_hash, token_version, ...rest } = user;
+  return rest;
+}
+
+/**
+ * API shape of an API key: the hash stays internal
+ */
+function serializeApiKey(apiKey) {
+  const { key_hash, user, ...rest } = apiKey;
+  return rest;
+}
+
+/**
+ * Create a user with a password: { name, email, password, phone }
+ */
+async function register(input = {}) {
+  const { name, email, password, phone } = input;
+
+  if (!name || !email) {
+    throw new HttpError(400, "Name and email are required.");
+  }
+
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `"password" must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+
+  try {
+    const user = await databaseService.createUser({
+      name,
+      email: email.trim().toLowerCase(),
+      phone,
+      password_hash: await hashPassword(password),
+    });
+    return serializeUser(user);
+  } catch (error) {
+    if (error?.code === "P2002") {
+      throw new HttpError(409, "A user with this email already exists.");
+    }
+    throw error;
+  }
+}
+
+function issueAccessToken(user) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_S;
+
+  return {
+    access_token: signAccessToken({ sub: user.id, ver: user.token_version, exp: expiresAt }),
+    token_type: "Bearer",
+    expires_at: new Date(expiresAt * 1000).toISOString(),
+    user: serializeUser(user),
+  };
+}
+
+/**
+ * Exchange an email and password for an access token
+ */
+async function login(email, password) {
+  if (typeof email !== "string" || typeof password !== "string") {
+    throw new HttpError(400, '"email" and "password" are required.');
+  }
+
+  const user = await databaseService.getUserByEmail(email.trim().toLowerCase());
+  unknownUserHash ??= await hashPassword("unknown-user");
+  const valid = await verifyPassword(password, user?.password_hash || unknownUserHash);
+
+  if (!user || !user.password_hash || !valid) {
+    throw new HttpError(401, "Invalid email or password.");
+  }
+
+  return issueAccessToken(user);
+}
+
+/**
+ * Revoke every access token of a user; API keys stay valid
+ */
+async function logout(userId) {
+  await databaseService.incrementUserTokenVersion(userId);
+}
+
+/**
+ * The user behind a credential: an access token from login or an API key.
+ * Null when the credential is invalid, expired or revoked.
+ */
+async function authenticate(credential) {
+  if (!credential) {
+    return null;
+  }
+
+  if (isApiKey(credential)) {
+    const apiKey = await databaseService.getApiKeyByHash(hashApiKey(credential));
+
+    if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && apiKey.expires_at <= new Date())) {
+      return null;
+    }
+
+    // Bookkeeping only; a failed write shouldn't fail the request
+    databaseService.updateApiKey(apiKey.id, { last_used_at: new Date() }).catch((error) => {
+      console.error(`Failed to record use of API key ${apiKey.id}:`, error.message);
+    });
+    return serializeUser(apiKey.user);
+  }
+
+  const payload = verifyAccessToken(credential);
+  if (!payload || !Number.isInteger(payload.sub)) {
+    return null;
+  }
+
+  const user = await databaseService.getUserById(payload.sub);
+  return user && user.token_version === payload.ver ? serializeUser(user) : null;
+}
+
+/**
+ * Create an API key for a user: { name, expires_in_days }. The key itself is
+ * only returned here.
+ */
+async function createApiKey(userId, input = {}) {
+  const { name, expires_in_days: expiresInDays } = input;
+
+  if (typeof name !== "string" || !name.trim()) {
+    throw new HttpError(400, '"name" is required.');
+  }
+
+  if (
+    expiresInDays !== undefined &&
+    !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= MAX_API_KEY_DAYS)
+  ) {
+    throw new HttpError(400, `"expires_in_days" must be an integer between 1 and ${MAX_API_KEY_DAYS}.`);
+  }
+
+  const { key, prefix, hash } = generateApiKey();
+  const apiKey = await databaseService.createApiKey({
+    name: name.trim(),
+    prefix,
+    key_hash: hash,
+    user_id: userId,
+    expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+
+  return { ...serializeApiKey(apiKey), key };
+}
+
+async function listApiKeys(userId) {
+  const apiKeys = await databaseService.getApiKeysByUserId(userId);
+  return apiKeys.map(serializeApiKey);
+}
+
+/**
+ * Revoke one of a user's API keys. Null when the user has no such key.
+ */
+async function revokeApiKey(userId, apiKeyId) {
+  const apiKey = await databaseService.getApiKeyById(apiKeyId);
+
+  if (!apiKey || apiKey.user_id !== userId) {
+    return null;
+  }
+
+  if (apiKey.revoked_at) {
+    return serializeApiKey(apiKey);
+  }
+
+  return serializeApiKey(await databaseService.updateApiKey(apiKeyId, { revoked_at: new Date() }));
+}
+
+export const authService = {
+  serializeUser,
+  register,
+  login,
+  logout,
+  authenticate,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
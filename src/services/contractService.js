@@ -0,0 +1,113 @@
+import { specService } from "./specService.js";
+import { swaggerService } from "./swaggerService.js";
+import { validateResponse } from "../utils/responseValidator.js";
+
+const DEFAULT_SAMPLE_RATE = 0.1;
+const MAX_EXAMPLES = 5;
+// Stored versions never change, so their parsed operations can be reused
+const MAX_CACHED_VERSIONS = 20;
+
+const versionCache = new Map();
+
+async function getVersionData(versionId) {
+  if (!versionCache.has(versionId)) {
+    const source = await specService.getStoredSpecSource(versionId);
+    const swaggerData = source ? await swaggerService.getSwaggerData(source) : null;
+
+    if (versionCache.size >= MAX_CACHED_VERSIONS) {
+      versionCache.delete(versionCache.keys().next().value);
+    }
+    versionCache.set(versionId, swaggerData);
+  }
+
+  return versionCache.get(versionId);
+}
+
+/**
+ * The operation an endpoint was imported from: its path template, parameters,
+ * request body and declared responses, with the resolver for their $refs. Null for
+ * endpoints without a stored spec version (imported from Postman or HAR) or
+ * whose operation is gone.
+ */
+async function getEndpointContract(endpoint) {
+  if (!endpoint.spec_version_id || !endpoint.operation_id) {
+    return null;
+  }
+
+  const swaggerData = await getVersionData(endpoint.spec_version_id);
+  const operation = swaggerData?.endpoints.find((entry) => entry.id === endpoint.operation_id);
+
+  if (!operation) {
+    return null;
+  }
+
+  return {
+    operationId: operation.id,
+    method: operation.method,
+    path: operation.path,
+    parameters: operation.parameters,
+    requestBody: operation.requestBody,
+    responses: operation.responses || {},
+    resolver: swaggerData.resolver,
+  };
+}
+
+/**
+ * Validate every n-th response of a run against a contract (the first one
+ * always), where n follows from `sampleRate`. `summarize` gives the counts
+ * and a few distinct example violations for the LoadTestResult.
+ */
+function createContractValidator(contract, { sampleRate = DEFAULT_SAMPLE_RATE } = {}) {
+  const interval = Math.max(1, Math.round(1 / sampleRate));
+  const byType = {};
+  const examples = [];
+  let seen = 0;
+  let validated = 0;
+  let failed = 0;
+
+  function check(response) {
+    const index = seen++;
+
+    if (index % interval !== 0) {
+      return;
+    }
+
+    validated++;
+    const violations = validateResponse(contract.responses, response, contract.resolver);
+
+    if (violations.length === 0) {
+      return;
+    }
+
+    failed++;
+    for (const type of new Set(violations.map((violation) => violation.type))) {
+      byType[type] = (byType[type] || 0) + 1;
+    }
+
+    for (const violation of violations) {
+      if (examples.length >= MAX_EXAMPLES) break;
+      if (examples.some((example) => example.message === violation.message)) continue;
+      examples.push({ ...violation, status: response.status, response: index + 1 });
+    }
+  }
+
+  function summarize() {
+    return {
+      validated_count: validated,
+      violation_count: failed,
+      violations: {
+        operation_id: contract.operationId,
+        sample_rate: 1 / interval,
+        by_type: byType,
+        examples,
+      },
+    };
+  }
+
+  return { check, summarize };
+}
+
+export const contractService = {
+  getEndpointContract,
+  createContractValidator,
+};
@@ -1,18 +1,17 @@
-import { PrismaClient } from "@prisma/client";
-import { v4 as uuidv4 } from "uuid";
+import { PrismaClient, Prisma } from "@prisma/client";
 
 const prisma = new PrismaClient();
 
 /**
- * Create a new user
+ * Create a new user; `password_hash` must already be hashed
  */
 async function createUser(userData) {
   return prisma.user.create({
     data: {
-      user_id: userData.user_id || uuidv4(),
       name: userData.name,
       email: userData.email,
       phone: userData.phone || null,
+      password_hash: userData.password_hash,
     },
   });
 }
@@ -20,33 +19,180 @@ async function createUser(userData) {
 /**
  * Get user by ID
  */
-async function getUserById(userId) {
+async function getUserById(id) {
   return prisma.user.findUnique({
-    where: { user_id: userId },
-    include: {
-      endpoints: true,
+    where: { id },
+  });
+}
+
+/**
+ * Get a user by email address
+ */
+async function getUserByEmail(email) {
+  return prisma.user.findUnique({
+    where: { email },
+  });
+}
+
+/**
+ * Invalidate every access token issued to a user so far
+ */
+async function incrementUserTokenVersion(id) {
+  return prisma.user.update({
+    where: { id },
+    data: { token_version: { increment: 1 } },
+  });
+}
+
+/**
+ * Store an API key; `key_hash` is the hash of the key, never the key itself
+ */
+async function createApiKey(apiKeyData) {
+  return prisma.apiKey.create({
+    data: {
+      name: apiKeyData.name,
+      prefix: apiKeyData.prefix,
+      key_hash: apiKeyData.key_hash,
+      user_id: apiKeyData.user_id,
+      expires_at: apiKeyData.expires_at ?? null,
     },
   });
 }
 
+/**
+ * Get an API key with its user by the hash of the key
+ */
+async function getApiKeyByHash(keyHash) {
+  return prisma.apiKey.findUnique({
+    where: { key_hash: keyHash },
+    include: { user: true },
+  });
+}
+
+/**
+ * Get all API keys of a user, newest first
+ */
+async function getApiKeysByUserId(userId) {
+  return prisma.apiKey.findMany({
+    where: { user_id: userId },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Get a single API key by ID
+ */
+async function getApiKeyById(id) {
+  return prisma.apiKey.findUnique({
+    where: { id },
+  });
+}
+
+/**
+ * Update an API key, e.g. its last use or revocation
+ */
+async function updateApiKey(id, apiKeyData) {
+  return prisma.apiKey.update({
+    where: { id },
+    data: apiKeyData,
+  });
+}
+
+/**
+ * Create data for a new endpoint row; headers arrive as a JSON string
+ */
+function toNewApiEndpointData(endpointData) {
+  return {
+    method: endpointData.method,
+    full_path: endpointData.full_path,
+    summary: endpointData.summary,
+    request_body: endpointData.request_body,
+    request_headers: endpointData.request_headers
+      ? JSON.parse(endpointData.request_headers)
+      : null,
+    total_requests: endpointData.total_requests,
+    threads: endpointData.threads,
+    load_profile: endpointData.load_profile ?? Prisma.DbNull,
+    load_status: endpointData.load_status,
+    user_id: endpointData.user_id,
+  };
+}
+
 /**
  * Save API endpoint data
  */
 async function saveApiEndpoint(endpointData) {
-  return prisma.apiEndpoint.create({
-    data: {
-      method: endpointData.method,
-      full_path: endpointData.full_path,
-      summary: endpointData.summary,
-      request_body: endpointData.request_body,
-      request_headers: endpointData.request_headers
-        ? JSON.parse(endpointData.request_headers)
-        : null,
-      total_requests: endpointData.total_requests,
-      threads: endpointData.threads,
-      load_status: endpointData.load_status,
-      user_id: endpointData.user_id,
+  return prisma.apiEndpoint.create({ data: toNewApiEndpointData(endpointData) });
+}
+
+/**
+ * Save several endpoints all or nothing
+ */
+async function saveApiEndpoints(endpointsData) {
+  return prisma.$transaction(
+    endpointsData.map((endpointData) =>
+      prisma.apiEndpoint.create({ data: toNewApiEndpointData(endpointData) })
+    )
+  );
+}
+
+/**
+ * Create or update the endpoint imported for an operation of a stored spec,
+ * so re-importing a spec updates rows instead of duplicating them. Fields the
+ * user has edited since (see edited_fields) keep their values.
+ */
+async function upsertSpecApiEndpoint(endpointData) {
+  const data = {
+    method: endpointData.method,
+    full_path: endpointData.full_path,
+    summary: endpointData.summary,
+    request_body: endpointData.request_body,
+    request_headers: endpointData.request_headers
+      ? JSON.parse(endpointData.request_headers)
+      : null,
+    total_requests: endpointData.total_requests,
+    threads: endpointData.threads,
+    load_profile: endpointData.load_profile ?? Prisma.DbNull,
+    // Re-imports without OAuth2 must clear a previously stored config
+    auth_config: endpointData.auth_config ?? Prisma.DbNull,
+    spec_version_id: endpointData.spec_version_id,
+  };
+  const where = {
+    spec_id_operation_id: {
+      spec_id: endpointData.spec_id,
+      operation_id: endpointData.operation_id,
     },
+  };
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.apiEndpoint.findUnique({
+      where,
+      select: { edited_fields: true },
+    });
+    const update = Object.fromEntries(
+      Object.entries(data).filter(([field]) => !existing?.edited_fields.includes(field))
+    );
+
+    return tx.apiEndpoint.upsert({
+      where,
+      update,
+      create: {
+        ...data,
+        load_status: endpointData.load_status,
+        user_id: endpointData.user_id,
+        spec_id: endpointData.spec_id,
+        operation_id: endpointData.operation_id,
+      },
+    });
+  });
+}
+
+/**
+ * Get all endpoints imported from a spec
+ */
+async function getApiEndpointsBySpecId(specId) {
+  return prisma.apiEndpoint.findMany({
+    where: { spec_id: specId },
   });
 }
 
@@ -60,6 +206,27 @@ async function updateApiEndpointStatus(id, loadStatus) {
   });
 }
 
+/**
+ * Mark an endpoint as running unless it already is. Returns whether this call
+ * made the change, so only one of two concurrent runs starts.
+ */
+async function claimApiEndpointRun(id) {
+  const { count } = await prisma.apiEndpoint.updateMany({
+    where: { id, load_status: { not: "running" } },
+    data: { load_status: "running" },
+  });
+  return count === 1;
+}
+
+/**
+ * Get a single API endpoint by ID
+ */
+async function getApiEndpointById(id) {
+  return prisma.apiEndpoint.findUnique({
+    where: { id },
+  });
+}
+
 /**
  * Get all API endpoints for a user
  */
@@ -69,11 +236,696 @@ async function getApiEndpointsByUserId(userId) {
   });
 }
 
+// Json columns of an endpoint that an edit may clear
+const ENDPOINT_JSON_FIELDS = ["request_body", "request_headers", "auth_config", "load_profile"];
+
+function toApiEndpointData(endpointData) {
+  return Object.fromEntries(
+    Object.entries(endpointData).map(([field, value]) => [
+      field,
+      value === null && ENDPOINT_JSON_FIELDS.includes(field) ? Prisma.DbNull : value,
+    ])
+  );
+}
+
+/**
+ * Update the editable fields of an endpoint
+ */
+async function updateApiEndpoint(id, endpointData) {
+  return prisma.apiEndpoint.update({
+    where: { id },
+    data: toApiEndpointData(endpointData),
+  });
+}
+
+/**
+ * Apply several endpoint updates ([{ id, data }]) all or nothing
+ */
+async function updateApiEndpoints(updates) {
+  return prisma.$transaction(
+    updates.map(({ id, data }) =>
+      prisma.apiEndpoint.update({ where: { id }, data: toApiEndpointData(data) })
+    )
+  );
+}
+
+/**
+ * Save a copy of an endpoint with `changes` applied. The copy keeps the
+ * operation it was imported from but not the spec link, so re-importing the
+ * spec doesn't overwrite it.
+ */
+async function cloneApiEndpoint(endpoint, changes = {}) {
+  const data = {
+    method: endpoint.method,
+    full_path: endpoint.full_path,
+    summary: endpoint.summary,
+    request_body: endpoint.request_body,
+    request_headers: endpoint.request_headers,
+    auth_config: endpoint.auth_config,
+    total_requests: endpoint.total_requests,
+    threads: endpoint.threads,
+    load_profile: endpoint.load_profile,
+    spec_version_id: endpoint.spec_version_id,
+    operation_id: endpoint.operation_id,
+    ...changes,
+  };
+
+  return prisma.apiEndpoint.create({
+    data: toApiEndpointData({ ...data, user_id: endpoint.user_id }),
+  });
+}
+
+/**
+ * Delete an endpoint with its results and jobs
+ */
+async function deleteApiEndpoint(id) {
+  return prisma.apiEndpoint.delete({
+    where: { id },
+  });
+}
+
+/**
+ * Scenarios with a step using an endpoint
+ */
+async function getScenariosByEndpointId(endpointId) {
+  return prisma.scenario.findMany({
+    where: { steps: { some: { api_endpoint_id: endpointId } } },
+    select: { id: true, name: true },
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Save the aggregated result of a load test run
+ */
+async function saveLoadTestResult(resultData) {
+  return prisma.loadTestResult.create({
+    data: {
+      api_endpoint_id: resultData.api_endpoint_id,
+      total_requests: resultData.total_requests,
+      success_count: resultData.success_count,
+      error_count: resultData.error_count,
+      avg_latency_ms: resultData.avg_latency_ms,
+      duration: resultData.duration,
+      rps: resultData.rps,
+      fastest_ms: resultData.fastest_ms,
+      slowest_ms: resultData.slowest_ms,
+      status_code: resultData.status_code,
+      p50_ms: resultData.p50_ms,
+      p90_ms: resultData.p90_ms,
+      p95_ms: resultData.p95_ms,
+      p99_ms: resultData.p99_ms,
+      timeline: resultData.timeline,
+      validated_count: resultData.validated_count ?? 0,
+      violation_count: resultData.violation_count ?? 0,
+      violations: resultData.violations ?? Prisma.DbNull,
+      load_profile: resultData.load_profile ?? Prisma.DbNull,
+      dropped_count: resultData.dropped_count ?? 0,
+      environment_id: resultData.environment_id ?? null,
+    },
+  });
+}
+
+/**
+ * Get a single load test result with its endpoint
+ */
+async function getLoadTestResultById(id) {
+  return prisma.loadTestResult.findUnique({
+    where: { id },
+    include: {
+      api_endpoint: true,
+    },
+  });
+}
+
+/**
+ * Get all load test results for an endpoint, newest first
+ */
+async function getLoadTestResultsByEndpointId(endpointId) {
+  return prisma.loadTestResult.findMany({
+    where: { api_endpoint_id: endpointId },
+    omit: { timeline: true },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Get all load test results across a user's endpoints, newest first
+ */
+async function getLoadTestResultsByUserId(userId) {
+  return prisma.loadTestResult.findMany({
+    where: { api_endpoint: { user_id: userId } },
+    omit: { timeline: true },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Find or create a user's stored spec for a source, keyed by its URL (or its
+ * name for uploads) so concurrent imports of one source share a spec
+ */
+async function upsertApiSpec(specData) {
+  const sourceKey = specData.source_type === "url" ? specData.source_url : specData.name;
+
+  return prisma.apiSpec.upsert({
+    where: {
+      user_id_source_type_source_key: {
+        user_id: specData.user_id,
+        source_type: specData.source_type,
+        source_key: sourceKey,
+      },
+    },
+    update: {},
+    create: {
+      name: specData.name,
+      source_type: specData.source_type,
+      source_url: specData.source_url || null,
+      source_key: sourceKey,
+      user_id: specData.user_id,
+    },
+  });
+}
+
+/**
+ * Find the version of a spec with the given content hash
+ */
+async function findApiSpecVersionByHash(specId, contentHash) {
+  return prisma.apiSpecVersion.findUnique({
+    where: {
+      spec_id_content_hash: { spec_id: specId, content_hash: contentHash },
+    },
+  });
+}
+
+/**
+ * Store a new version of a spec
+ */
+async function createApiSpecVersion(versionData) {
+  return prisma.apiSpecVersion.create({
+    data: {
+      spec_id: versionData.spec_id,
+      version: versionData.version || null,
+      content_hash: versionData.content_hash,
+      document: versionData.document,
+    },
+  });
+}
+
+/**
+ * Mark an existing version as fetched again
+ */
+async function touchApiSpecVersion(id) {
+  return prisma.apiSpecVersion.update({
+    where: { id },
+    data: { fetched_at: new Date() },
+  });
+}
+
+const specVersionSummary = {
+  id: true,
+  spec_id: true,
+  version: true,
+  content_hash: true,
+  fetched_at: true,
+};
+
+/**
+ * Get all stored specs of a user with their latest version
+ */
+async function getApiSpecsByUserId(userId) {
+  return prisma.apiSpec.findMany({
+    where: { user_id: userId },
+    include: {
+      versions: {
+        select: specVersionSummary,
+        orderBy: { fetched_at: "desc" },
+        take: 1,
+      },
+      _count: { select: { endpoints: true, versions: true } },
+    },
+    orderBy: { updatedAt: "desc" },
+  });
+}
+
+/**
+ * Get a stored spec with all its versions (without their documents)
+ */
+async function getApiSpecById(id) {
+  return prisma.apiSpec.findUnique({
+    where: { id },
+    include: {
+      versions: {
+        select: specVersionSummary,
+        orderBy: { fetched_at: "desc" },
+      },
+      _count: { select: { endpoints: true } },
+    },
+  });
+}
+
+/**
+ * Get the versions of a spec, newest first
+ */
+async function getApiSpecVersions(specId) {
+  return prisma.apiSpecVersion.findMany({
+    where: { spec_id: specId },
+    select: { ...specVersionSummary, _count: { select: { endpoints: true } } },
+    orderBy: { fetched_at: "desc" },
+  });
+}
+
+/**
+ * Get a single spec version including its stored document
+ */
+async function getApiSpecVersionById(id) {
+  return prisma.apiSpecVersion.findUnique({
+    where: { id },
+    include: { spec: true },
+  });
+}
+
+/**
+ * Create an environment; `secrets` must already be encrypted
+ */
+async function createEnvironment(environmentData) {
+  return prisma.environment.create({
+    data: {
+      name: environmentData.name,
+      base_url: environmentData.base_url || null,
+      variables: environmentData.variables || {},
+      secrets: environmentData.secrets || {},
+      user_id: environmentData.user_id,
+    },
+  });
+}
+
+/**
+ * Get an environment by ID
+ */
+async function getEnvironmentById(id) {
+  return prisma.environment.findUnique({
+    where: { id },
+  });
+}
+
+/**
+ * Get all environments of a user
+ */
+async function getEnvironmentsByUserId(userId) {
+  return prisma.environment.findMany({
+    where: { user_id: userId },
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Update an environment's name, base URL, variables or secrets
+ */
+async function updateEnvironment(id, environmentData) {
+  return prisma.environment.update({
+    where: { id },
+    data: environmentData,
+  });
+}
+
+/**
+ * Delete an environment; results that used it keep a null environment
+ */
+async function deleteEnvironment(id) {
+  return prisma.environment.delete({
+    where: { id },
+  });
+}
+
+const scenarioWithSteps = {
+  steps: {
+    orderBy: { position: "asc" },
+    include: { api_endpoint: true },
+  },
+};
+
+function toScenarioStepData(step, position) {
+  return {
+    position,
+    name: step.name || null,
+    api_endpoint_id: step.api_endpoint_id,
+    extract: step.extract || [],
+    path_params: step.path_params ?? Prisma.DbNull,
+    query_params: step.query_params ?? Prisma.DbNull,
+    request_url: step.request_url || null,
+    request_headers: step.request_headers ?? Prisma.DbNull,
+    request_body: step.request_body ?? Prisma.DbNull,
+  };
+}
+
+/**
+ * Create a scenario with its steps, numbered in the given order
+ */
+async function createScenario(scenarioData) {
+  return prisma.scenario.create({
+    data: {
+      name: scenarioData.name,
+      description: scenarioData.description || null,
+      iterations: scenarioData.iterations,
+      threads: scenarioData.threads,
+      load_profile: scenarioData.load_profile ?? Prisma.DbNull,
+      user_id: scenarioData.user_id,
+      steps: { create: scenarioData.steps.map(toScenarioStepData) },
+    },
+    include: scenarioWithSteps,
+  });
+}
+
+/**
+ * Get a scenario with its ordered steps and their endpoints
+ */
+async function getScenarioById(id) {
+  return prisma.scenario.findUnique({
+    where: { id },
+    include: scenarioWithSteps,
+  });
+}
+
+/**
+ * Get all scenarios of a user
+ */
+async function getScenariosByUserId(userId) {
+  return prisma.scenario.findMany({
+    where: { user_id: userId },
+    include: scenarioWithSteps,
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Update a scenario; a `steps` list replaces all of its steps
+ */
+async function updateScenario(id, { steps, ...scenarioData }) {
+  return prisma.$transaction(async (tx) => {
+    if (steps) {
+      await tx.scenarioStep.deleteMany({ where: { scenario_id: id } });
+    }
+
+    return tx.scenario.update({
+      where: { id },
+      data: {
+        ...scenarioData,
+        ...(scenarioData.load_profile === null ? { load_profile: Prisma.DbNull } : {}),
+        ...(steps ? { steps: { create: steps.map(toScenarioStepData) } } : {}),
+      },
+      include: scenarioWithSteps,
+    });
+  });
+}
+
+/**
+ * Update scenario status
+ */
+async function updateScenarioStatus(id, loadStatus) {
+  return prisma.scenario.update({
+    where: { id },
+    data: { load_status: loadStatus },
+  });
+}
+
+/**
+ * Mark a scenario as running unless it already is; see claimApiEndpointRun
+ */
+async function claimScenarioRun(id) {
+  const { count } = await prisma.scenario.updateMany({
+    where: { id, load_status: { not: "running" } },
+    data: { load_status: "running" },
+  });
+  return count === 1;
+}
+
+/**
+ * Delete a scenario with its steps and results
+ */
+async function deleteScenario(id) {
+  return prisma.scenario.delete({
+    where: { id },
+  });
+}
+
+/**
+ * Save the result of a scenario run
+ */
+async function saveScenarioResult(resultData) {
+  return prisma.scenarioResult.create({
+    data: {
+      scenario_id: resultData.scenario_id,
+      environment_id: resultData.environment_id ?? null,
+      iterations: resultData.iterations,
+      success_count: resultData.success_count,
+      error_count: resultData.error_count,
+      avg_latency_ms: resultData.avg_latency_ms,
+      duration: resultData.duration,
+      rps: resultData.rps,
+      p50_ms: resultData.p50_ms,
+      p90_ms: resultData.p90_ms,
+      p95_ms: resultData.p95_ms,
+      p99_ms: resultData.p99_ms,
+      steps: resultData.steps,
+      load_profile: resultData.load_profile ?? Prisma.DbNull,
+      dropped_count: resultData.dropped_count ?? 0,
+    },
+  });
+}
+
+/**
+ * Get all results of a scenario, newest first
+ */
+async function getScenarioResultsByScenarioId(scenarioId) {
+  return prisma.scenarioResult.findMany({
+    where: { scenario_id: scenarioId },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Create a queued load job for an endpoint or a scenario
+ */
+async function createLoadJob(jobData) {
+  return prisma.loadJob.create({
+    data: {
+      api_endpoint_id: jobData.api_endpoint_id ?? null,
+      scenario_id: jobData.scenario_id ?? null,
+      user_id: jobData.user_id,
+      environment_id: jobData.environment_id ?? null,
+      options: jobData.options || {},
+    },
+  });
+}
+
+/**
+ * Get a single load job by ID
+ */
+async function getLoadJobById(id) {
+  return prisma.loadJob.findUnique({
+    where: { id },
+  });
+}
+
+/**
+ * Get all load jobs of a user, newest first
+ */
+async function getLoadJobsByUserId(userId) {
+  return prisma.loadJob.findMany({
+    where: { user_id: userId },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Get load jobs in any of the given statuses, oldest first
+ */
+async function getLoadJobsByStatus(statuses, limit) {
+  return prisma.loadJob.findMany({
+    where: { status: { in: statuses } },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+}
+
+/**
+ * Get the queued, running or paused job of an endpoint, if any
+ */
+async function getActiveLoadJobByEndpointId(endpointId) {
+  return prisma.loadJob.findFirst({
+    where: {
+      api_endpoint_id: endpointId,
+      status: { in: ["queued", "running", "paused"] },
+    },
+  });
+}
+
+/**
+ * Get the queued, running or paused job of a scenario, if any
+ */
+async function getActiveLoadJobByScenarioId(scenarioId) {
+  return prisma.loadJob.findFirst({
+    where: {
+      scenario_id: scenarioId,
+      status: { in: ["queued", "running", "paused"] },
+    },
+  });
+}
+
+/**
+ * Move a job from one status to another unless something else changed it
+ * first. Returns whether this call made the change.
+ */
+async function transitionLoadJob(id, fromStatuses, jobData) {
+  const { count } = await prisma.loadJob.updateMany({
+    where: { id, status: { in: fromStatuses } },
+    data: jobData,
+  });
+  return count === 1;
+}
+
+/**
+ * Save a job's checkpoint, with the samples collected since the previous one
+ * as a new chunk, unless the job left `fromStatuses` first. Returns whether
+ * it was saved.
+ */
+async function saveLoadJobCheckpoint(id, fromStatuses, jobData, chunk) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.loadJob.updateMany({
+      where: { id, status: { in: fromStatuses } },
+      data: jobData,
+    });
+
+    if (count === 1) {
+      await tx.loadJobSamples.create({
+        data: {
+          load_job_id: id,
+          samples: chunk.samples,
+          step_samples: chunk.step_samples ?? Prisma.DbNull,
+        },
+      });
+    }
+    return count === 1;
+  });
+}
+
+/**
+ * Get the sample chunks of a job in the order they were saved
+ */
+async function getLoadJobSampleChunks(jobId) {
+  return prisma.loadJobSamples.findMany({
+    where: { load_job_id: jobId },
+    orderBy: { id: "asc" },
+  });
+}
+
+/**
+ * Delete the sample chunks of a job that won't be resumed
+ */
+async function deleteLoadJobSampleChunks(jobId) {
+  return prisma.loadJobSamples.deleteMany({
+    where: { load_job_id: jobId },
+  });
+}
+
+/**
+ * Update a load job
+ */
+async function updateLoadJob(id, jobData) {
+  return prisma.loadJob.update({
+    where: { id },
+    data: jobData,
+  });
+}
+
+/**
+ * Mark endpoints left "running" as failed, except the given ones. "pending"
+ * is also the status of endpoints that never ran, so it is left alone.
+ */
+async function failStaleApiEndpoints(excludedIds = []) {
+  return prisma.apiEndpoint.updateMany({
+    where: {
+      load_status: "running",
+      id: { notIn: excludedIds },
+    },
+    data: { load_status: "failed" },
+  });
+}
+
+/**
+ * Mark scenarios left "running" as failed, except the given ones
+ */
+async function failStaleScenarios(excludedIds = []) {
+  return prisma.scenario.updateMany({
+    where: {
+      load_status: "running",
+      id: { notIn: excludedIds },
+    },
+    data: { load_status: "failed" },
+  });
+}
+
 // Export the service as a plain object
 export const databaseService = {
   createUser,
   getUserById,
+  getUserByEmail,
+  incrementUserTokenVersion,
+  createApiKey,
+  getApiKeyByHash,
+  getApiKeysByUserId,
+  getApiKeyById,
+  updateApiKey,
   saveApiEndpoint,
+  saveApiEndpoints,
+  upsertSpecApiEndpoint,
+  getApiEndpointsBySpecId,
   updateApiEndpointStatus,
+  claimApiEndpointRun,
+  getApiEndpointById,
   getApiEndpointsByUserId,
+  updateApiEndpoint,
+  updateApiEndpoints,
+  cloneApiEndpoint,
+  deleteApiEndpoint,
+  getScenariosByEndpointId,
+  saveLoadTestResult,
+  getLoadTestResultById,
+  getLoadTestResultsByEndpointId,
+  getLoadTestResultsByUserId,
+  upsertApiSpec,
+  findApiSpecVersionByHash,
+  createApiSpecVersion,
+  touchApiSpecVersion,
+  getApiSpecsByUserId,
+  getApiSpecById,
+  getApiSpecVersions,
+  getApiSpecVersionById,
+  createEnvironment,
+  getEnvironmentById,
+  getEnvironmentsByUserId,
+  updateEnvironment,
+  deleteEnvironment,
+  createScenario,
+  getScenarioById,
+  getScenariosByUserId,
+  updateScenario,
+  updateScenarioStatus,
+  claimScenarioRun,
+  deleteScenario,
+  saveScenarioResult,
+  getScenarioResultsByScenarioId,
+  createLoadJob,
+  getLoadJobById,
+  getLoadJobsByUserId,
+  getLoadJobsByStatus,
+  getActiveLoadJobByEndpointId,
+  getActiveLoadJobByScenarioId,
+  transitionLoadJob,
+  saveLoadJobCheckpoint,
+  getLoadJobSampleChunks,
+  deleteLoadJobSampleChunks,
+  updateLoadJob,
+  failStaleApiEndpoints,
+  failStaleScenarios,
 };
@@ -0,0 +1,285 @@
+import { databaseService } from "./databaseService.js";
+import { contractService } from "./contractService.js";
+import { selectRequestBodyContent } from "../utils/swaggerUtils.js";
+import { validateSchema } from "../utils/responseValidator.js";
+import { resolveLoadSettings } from "../utils/loadProfile.js";
+import { isPlainObject } from "../utils/templateUtils.js";
+import { HttpError } from "../utils/errors.js";
+
+const HTTP_METHODS = ["GET", "PUT", "POST", "DELETE", "OPTIONS", "HEAD", "PATCH", "TRACE"];
+const LOAD_FIELDS = ["total_requests", "threads", "load_profile"];
+const EDITABLE_FIELDS = ["summary", "method", "full_path", "request_body", "request_headers", ...LOAD_FIELDS];
+// Bulk updates apply the same values to every endpoint; these differ per operation
+const SINGLE_ENDPOINT_FIELDS = ["summary", "method", "full_path", "request_body"];
+
+/**
+ * Validate the editable fields of an endpoint: { summary, method, full_path,
+ * request_body, request_headers, total_requests, threads, load_profile }
+ */
+function validateEndpointInput(input) {
+  const { summary, method, full_path: fullPath, request_headers: headers } = input;
+
+  if (summary !== undefined && summary !== null && typeof summary !== "string") {
+    throw new HttpError(400, '"summary" must be a string.');
+  }
+
+  if (method !== undefined && !HTTP_METHODS.includes(String(method).toUpperCase())) {
+    throw new HttpError(400, `"method" must be one of ${HTTP_METHODS.join(", ")}.`);
+  }
+
+  if (fullPath !== undefined && !/^(https?:\/\/|\{\{)/i.test(fullPath)) {
+    throw new HttpError(400, '"full_path" must be an absolute http(s) URL or start with a {{variable}}.');
+  }
+
+  if (headers !== undefined) {
+    if (!isPlainObject(headers) || Object.values(headers).some((value) => typeof value === "object" && value !== null)) {
+      throw new HttpError(400, '"request_headers" must be an object of name/value pairs.');
+    }
+  }
+}
+
+/**
+ * Headers after an edit: the given ones are merged into the stored ones and
+ * a null value removes a header
+ */
+function mergeHeaders(stored, headers) {
+  return Object.fromEntries(
+    Object.entries({ ...stored, ...headers }).filter(([, value]) => value !== null)
+  );
+}
+
+/**
+ * Load settings after an edit, validated as a whole. A `load_profile` replaces
+ * the stored one; null goes back to a fixed burst.
+ */
+function mergeLoadSettings(endpoint, input) {
+  if (LOAD_FIELDS.every((field) => input[field] === undefined)) {
+    return {};
+  }
+
+  return resolveLoadSettings({
+    total_requests: input.total_requests ?? endpoint.total_requests,
+    threads: input.threads ?? endpoint.threads,
+    load_profile: input.load_profile === undefined ? endpoint.load_profile : input.load_profile,
+  });
+}
+
+/**
+ * Check an edited body against the request body schema of the operation the
+ * endpoint was imported from. Endpoints without a stored operation (Postman,
+ * HAR) and non-JSON bodies aren't checked.
+ */
+async function validateRequestBody(endpoint, body) {
+  const contract = await contractService.getEndpointContract(endpoint);
+  const bodyContent = selectRequestBodyContent(contract?.requestBody);
+
+  if (!bodyContent?.schema || !/[/+]json\b/.test(bodyContent.contentType)) {
+    return;
+  }
+
+  const operation = `${contract.method} ${contract.path}`;
+  const hint = "Pass ?validate=false to save it anyway.";
+
+  if (body === null) {
+    if (contract.requestBody.required) {
+      throw new HttpError(400, `${operation} requires a request body. ${hint}`);
+    }
+    return;
+  }
+
+  let value = body;
+  if (typeof body === "string") {
+    try {
+      value = JSON.parse(body);
+    } catch {
+      throw new HttpError(400, `"request_body" must be JSON for ${operation} (${bodyContent.contentType}). ${hint}`);
+    }
+  }
+
+  const errors = validateSchema(value, bodyContent.schema, contract.resolver, "$.request_body");
+  if (errors.length > 0) {
+    const details = errors.map((error) => `${error.path} ${error.message}`).join("; ");
+    throw new HttpError(400, `"request_body" doesn't match the ${operation} request schema: ${details}. ${hint}`);
+  }
+}
+
+/**
+ * Bodies are stored as sent: strings as they are, anything else as JSON text
+ */
+function toStoredBody(body) {
+  if (body === null) {
+    return null;
+  }
+  return typeof body === "string" ? body : JSON.stringify(body);
+}
+
+/**
+ * The column changes an edit makes to an endpoint, validated, including the
+ * edited fields to keep on re-import. `validateBody` false skips the schema
+ * check, e.g. to send deliberately invalid payloads.
+ */
+async function buildEndpointChanges(endpoint, input, { validateBody = true } = {}) {
+  validateEndpointInput(input);
+
+  const changes = mergeLoadSettings(endpoint, input);
+  if (input.summary !== undefined) changes.summary = input.summary;
+  if (input.method !== undefined) changes.method = input.method.toUpperCase();
+  if (input.full_path !== undefined) changes.full_path = input.full_path;
+  if (input.request_headers !== undefined) {
+    changes.request_headers = mergeHeaders(endpoint.request_headers, input.request_headers);
+  }
+  if (input.request_body !== undefined) {
+    if (validateBody) {
+      await validateRequestBody(endpoint, input.request_body);
+    }
+    changes.request_body = toStoredBody(input.request_body);
+  }
+
+  // Re-importing the spec leaves these fields alone from now on
+  const edited = EDITABLE_FIELDS.filter((field) => input[field] !== undefined);
+  if (edited.length > 0) {
+    changes.edited_fields = [...new Set([...(endpoint.edited_fields || []), ...edited])];
+  }
+
+  return changes;
+}
+
+/**
+ * Update an endpoint; see buildEndpointChanges. Null when there is no such
+ * endpoint.
+ */
+async function updateEndpoint(id, input, options = {}) {
+  const endpoint = await databaseService.getApiEndpointById(id);
+  if (!endpoint) {
+    return null;
+  }
+
+  if (endpoint.load_status === "running") {
+    throw new HttpError(409, `Endpoint ${id} is running.`);
+  }
+
+  const changes = await buildEndpointChanges(endpoint, input, options);
+  return databaseService.updateApiEndpoint(id, changes);
+}
+
+/**
+ * Apply the same changes to a selection of a user's endpoints, all or nothing:
+ * { endpointIds, specId, changes }. `changes` takes request_headers (merged
+ * like single updates) and the load settings; the selection is the given
+ * endpoints, all endpoints of a spec, or the endpoints of the spec among
+ * the given ones.
+ */
+async function bulkUpdateEndpoints(userId, input = {}) {
+  const { endpointIds, specId, changes } = input;
+
+  if (endpointIds !== undefined && (!Array.isArray(endpointIds) || !endpointIds.every(Number.isInteger))) {
+    throw new HttpError(400, '"endpointIds" must be an array of endpoint ids.');
+  }
+
+  if (specId !== undefined && !Number.isInteger(specId)) {
+    throw new HttpError(400, '"specId" must be an integer.');
+  }
+
+  if (!endpointIds?.length && specId === undefined) {
+    throw new HttpError(400, 'Select endpoints with "endpointIds" or "specId".');
+  }
+
+  if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+    throw new HttpError(400, '"changes" must be an object with the fields to update.');
+  }
+
+  const perEndpoint = SINGLE_ENDPOINT_FIELDS.filter((field) => changes[field] !== undefined);
+  if (perEndpoint.length > 0) {
+    throw new HttpError(400, `${perEndpoint.map((field) => `"${field}"`).join(", ")} can only be changed one endpoint at a time.`);
+  }
+
+  if (specId !== undefined) {
+    const spec = await databaseService.getApiSpecById(specId);
+    if (!spec || spec.user_id !== userId) {
+      throw new HttpError(404, "Spec not found.");
+    }
+  }
+
+  const endpoints = await databaseService.getApiEndpointsByUserId(userId);
+  const byId = new Map(endpoints.map((endpoint) => [endpoint.id, endpoint]));
+  const unknownIds = (endpointIds || []).filter((id) => !byId.has(id));
+
+  if (unknownIds.length > 0) {
+    throw new HttpError(400, `Unknown endpoint id(s): ${[...new Set(unknownIds)].join(", ")}.`);
+  }
+
+  const selected = (endpointIds?.length ? [...new Set(endpointIds)].map((id) => byId.get(id)) : endpoints)
+    .filter((endpoint) => specId === undefined || endpoint.spec_id === specId);
+
+  const running = selected.filter((endpoint) => endpoint.load_status === "running");
+  if (running.length > 0) {
+    throw new HttpError(409, `Endpoint(s) ${running.map((endpoint) => endpoint.id).join(", ")} are running.`);
+  }
+
+  const updates = [];
+  for (const endpoint of selected) {
+    try {
+      const data = await buildEndpointChanges(endpoint, changes);
+      updates.push({ id: endpoint.id, data });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        throw new HttpError(error.status, `Endpoint ${endpoint.id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  const updated = updates.length > 0 ? await databaseService.updateApiEndpoints(updates) : [];
+  return { endpointsUpdated: updated.length, endpoints: updated };
+}
+
+/**
+ * Copy an endpoint, applying the same edits an update takes. Null when there
+ * is no such endpoint.
+ */
+async function cloneEndpoint(id, input = {}, options = {}) {
+  const endpoint = await databaseService.getApiEndpointById(id);
+  if (!endpoint) {
+    return null;
+  }
+
+  const changes = await buildEndpointChanges(endpoint, input, options);
+  if (changes.summary === undefined) {
+    changes.summary = `${endpoint.summary || `${endpoint.method} ${endpoint.full_path}`} (copy)`;
+  }
+
+  return databaseService.cloneApiEndpoint(endpoint, changes);
+}
+
+/**
+ * Delete an endpoint with its results and jobs. Refused while it runs or has
+ * a queued or paused job, and while scenario steps use it, since deleting it
+ * would silently break those scenarios. False when there is no such endpoint.
+ */
+async function deleteEndpoint(id) {
+  const endpoint = await databaseService.getApiEndpointById(id);
+  if (!endpoint) {
+    return false;
+  }
+
+  const activeJob = await databaseService.getActiveLoadJobByEndpointId(id);
+  if (activeJob || endpoint.load_status === "running") {
+    throw new HttpError(409, `Endpoint ${id} has an unfinished load run or job; cancel it first.`);
+  }
+
+  const scenarios = await databaseService.getScenariosByEndpointId(id);
+  if (scenarios.length > 0) {
+    const names = scenarios.map((scenario) => `"${scenario.name}" (${scenario.id})`).join(", ");
+    throw new HttpError(409, `Endpoint ${id} is used by scenario(s) ${names}; remove it from their steps first.`);
+  }
+
+  await databaseService.deleteApiEndpoint(id);
+  return true;
+}
+
+export const endpointService = {
+  updateEndpoint,
+  bulkUpdateEndpoints,
+  cloneEndpoint,
+  deleteEndpoint,
+};
@@ -0,0 +1,237 @@
+import { databaseService } from "./databaseService.js";
+import { encryptSecret, decryptSecret } from "../utils/secretCrypto.js";
+import { isPlainObject, findPlaceholders, renderTemplate } from "../utils/templateUtils.js";
+import { decryptAuthConfig } from "../utils/securityUtils.js";
+import { HttpError } from "../utils/errors.js";
+
+// Variable holding the environment's base URL, e.g. "{{baseUrl}}/pets"
+const BASE_URL_VARIABLE = "baseUrl";
+
+/**
+ * Validate the editable fields of an environment; `partial` allows omitting
+ * the name (updates)
+ */
+function validateEnvironmentInput(input, partial = false) {
+  const { name, base_url: baseUrl, variables, secrets } = input;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new HttpError(400, '"name" is required.');
+    }
+  }
+
+  if (baseUrl !== undefined && baseUrl !== null && !/^https?:\/\//i.test(baseUrl)) {
+    throw new HttpError(400, '"base_url" must be an absolute http(s) URL.');
+  }
+
+  for (const [field, value] of [["variables", variables], ["secrets", secrets]]) {
+    if (value === undefined) continue;
+    if (!isPlainObject(value)) {
+      throw new HttpError(400, `"${field}" must be an object of name/value pairs.`);
+    }
+    const invalid = Object.entries(value).find(
+      ([, item]) => item !== null && !["string", "number", "boolean"].includes(typeof item)
+    );
+    if (invalid) {
+      throw new HttpError(400, `"${field}.${invalid[0]}" must be a string, number or boolean.`);
+    }
+  }
+}
+
+/**
+ * Encrypt each secret value; a null value removes the secret on update
+ */
+function encryptSecrets(secrets = {}, existing = {}) {
+  const encrypted = { ...existing };
+
+  for (const [name, value] of Object.entries(secrets)) {
+    if (value === null) delete encrypted[name];
+    else encrypted[name] = encryptSecret(value);
+  }
+
+  return encrypted;
+}
+
+/**
+ * API view of an environment: secret names only, never their values
+ */
+function serializeEnvironment(environment) {
+  const { secrets, ...rest } = environment;
+  return { ...rest, secrets: Object.keys(secrets || {}) };
+}
+
+function isUniqueViolation(error) {
+  return error?.code === "P2002";
+}
+
+async function createEnvironment(userId, input) {
+  validateEnvironmentInput(input);
+
+  try {
+    const environment = await databaseService.createEnvironment({
+      name: input.name.trim(),
+      base_url: input.base_url,
+      variables: input.variables,
+      secrets: encryptSecrets(input.secrets),
+      user_id: userId,
+    });
+    return serializeEnvironment(environment);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new HttpError(409, `An environment named "${input.name}" already exists.`);
+    }
+    // Foreign key violation: no such user
+    if (error?.code === "P2003") {
+      throw new HttpError(404, "User not found.");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update an environment. Variables and secrets are merged into the existing
+ * ones (null removes an entry), so a token can be rotated on its own.
+ */
+async function updateEnvironment(id, input) {
+  validateEnvironmentInput(input, true);
+
+  const environment = await databaseService.getEnvironmentById(id);
+  if (!environment) {
+    return null;
+  }
+
+  const changes = {};
+  if (input.name !== undefined) changes.name = input.name.trim();
+  if (input.base_url !== undefined) changes.base_url = input.base_url;
+  if (input.variables !== undefined) {
+    changes.variables = Object.fromEntries(
+      Object.entries({ ...environment.variables, ...input.variables }).filter(
+        ([, value]) => value !== null
+      )
+    );
+  }
+  if (input.secrets !== undefined) {
+    changes.secrets = encryptSecrets(input.secrets, environment.secrets);
+  }
+
+  try {
+    return serializeEnvironment(await databaseService.updateEnvironment(id, changes));
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new HttpError(409, `An environment named "${input.name}" already exists.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * All values of an environment by name: its base URL, variables and
+ * decrypted secrets (secrets win over variables of the same name)
+ */
+function getEnvironmentValues(environment) {
+  const secrets = Object.fromEntries(
+    Object.entries(environment.secrets || {}).map(([name, payload]) => [name, decryptSecret(payload)])
+  );
+
+  return {
+    ...(environment.base_url ? { [BASE_URL_VARIABLE]: environment.base_url.replace(/\/+$/, "") } : {}),
+    ...(environment.variables || {}),
+    ...secrets,
+  };
+}
+
+/**
+ * Values of one of a user's environments; 404 for another user's
+ */
+async function resolveEnvironmentValues(environmentId, userId) {
+  const environment = await databaseService.getEnvironmentById(environmentId);
+  if (!environment || environment.user_id !== userId) {
+    throw new HttpError(404, `Environment ${environmentId} not found.`);
+  }
+
+  return { name: environment.name, values: getEnvironmentValues(environment) };
+}
+
+/**
+ * Store secrets ({ name: value }) in a user's environment, replacing those of
+ * the same name; 404 for another user's environment
+ */
+async function storeSecrets(environmentId, userId, secrets) {
+  const environment = await databaseService.getEnvironmentById(environmentId);
+  if (!environment || environment.user_id !== userId) {
+    throw new HttpError(404, `Environment ${environmentId} not found.`);
+  }
+
+  await databaseService.updateEnvironment(environmentId, {
+    secrets: encryptSecrets(secrets, environment.secrets),
+  });
+}
+
+/**
+ * Store one secret in a user's environment and return the {{placeholder}}
+ * that refers to it
+ */
+async function storeSecret(environmentId, userId, name, value) {
+  await storeSecrets(environmentId, userId, { [name]: value });
+  return `{{${name}}}`;
+}
+
+function parseJsonBody(body) {
+  if (typeof body !== "string") {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Fill an endpoint's {{placeholders}} (URL, headers, body and auth config)
+ * from an environment of the same user. Endpoints with placeholders can't
+ * run without one, and every placeholder must be defined. The OAuth2
+ * secrets stored in the auth config are decrypted here as well.
+ */
+async function applyEnvironment(endpoint, environmentId) {
+  const templated = {
+    full_path: endpoint.full_path,
+    request_headers: endpoint.request_headers,
+    // Fill JSON bodies value by value so secrets can't break the JSON
+    request_body: parseJsonBody(endpoint.request_body),
+    auth_config: decryptAuthConfig(endpoint.auth_config),
+  };
+  const placeholders = findPlaceholders(templated);
+
+  if (environmentId === undefined || environmentId === null) {
+    if (placeholders.size > 0) {
+      throw new HttpError(
+        400,
+        `Endpoint ${endpoint.id} uses ${[...placeholders].map((name) => `{{${name}}}`).join(", ")}; pass an "environment_id" to run it.`
+      );
+    }
+    return { ...endpoint, auth_config: templated.auth_config };
+  }
+
+  const { name: environmentName, values } = await resolveEnvironmentValues(environmentId, endpoint.user_id);
+  const missing = [...placeholders].filter((name) => values[name] === undefined || values[name] === null);
+  if (missing.length > 0) {
+    throw new HttpError(
+      400,
+      `Environment "${environmentName}" does not define ${missing.map((name) => `{{${name}}}`).join(", ")}.`
+    );
+  }
+
+  return { ...endpoint, ...renderTemplate(templated, values) };
+}
+
+export const environmentService = {
+  createEnvironment,
+  updateEnvironment,
+  serializeEnvironment,
+  resolveEnvironmentValues,
+  storeSecret,
+  storeSecrets,
+  applyEnvironment,
+};
@@ -0,0 +1,77 @@
+import { databaseService } from "./databaseService.js";
+import {
+  toPostmanCollection,
+  toK6Script,
+  toJMeterPlan,
+  toHar,
+} from "../utils/exportUtils.js";
+import { HttpError } from "../utils/errors.js";
+
+const EXPORT_FORMATS = {
+  postman: {
+    extension: "postman_collection.json",
+    contentType: "application/json",
+    build: (endpoints, name) => JSON.stringify(toPostmanCollection(endpoints, name), null, 2),
+  },
+  k6: {
+    extension: "k6.js",
+    contentType: "application/javascript",
+    build: (endpoints) => toK6Script(endpoints),
+  },
+  jmeter: {
+    extension: "jmx",
+    contentType: "application/xml",
+    build: (endpoints, name) => toJMeterPlan(endpoints, name),
+  },
+  har: {
+    extension: "har",
+    contentType: "application/json",
+    build: (endpoints) =>
+      JSON.stringify(toHar(endpoints, { name: "swagger-parse-be", version: "1.0.0" }), null, 2),
+  },
+};
+
+/**
+ * Export a user's saved endpoints (all, or the given ids) in one of
+ * EXPORT_FORMATS. Returns { fileName, contentType, content }.
+ */
+async function exportUserEndpoints(userId, format, endpointIds = []) {
+  const exporter = EXPORT_FORMATS[format];
+
+  if (!exporter) {
+    throw new HttpError(
+      400,
+      `Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`
+    );
+  }
+
+  const endpoints = await databaseService.getApiEndpointsByUserId(userId);
+  let selected = endpoints;
+
+  if (endpointIds.length > 0) {
+    const byId = new Map(endpoints.map((endpoint) => [endpoint.id, endpoint]));
+    const unknownIds = endpointIds.filter((id) => !byId.has(id));
+
+    if (unknownIds.length > 0) {
+      throw new HttpError(400, `Unknown endpoint id(s) for this user: ${unknownIds.join(", ")}.`);
+    }
+
+    selected = endpointIds.map((id) => byId.get(id));
+  }
+
+  if (selected.length === 0) {
+    throw new HttpError(404, "No endpoints to export.");
+  }
+
+  const name = `User ${userId} endpoints`;
+
+  return {
+    fileName: `user-${userId}-endpoints.${exporter.extension}`,
+    contentType: exporter.contentType,
+    content: exporter.build(selected, name),
+  };
+}
+
+export const exportService = {
+  exportUserEndpoints,
+};
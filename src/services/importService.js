@@ -0,0 +1,59 @@
+import { databaseService } from "./databaseService.js";
+import { environmentService } from "./environmentService.js";
+import { parsePostmanCollection, parseHar } from "../utils/importUtils.js";
+import { HttpError } from "../utils/errors.js";
+
+const IMPORTERS = {
+  postman: parsePostmanCollection,
+  har: parseHar,
+};
+
+/**
+ * Save parsed requests as ApiEndpoint rows, the same shape processSwaggerData
+ * saves for spec operations. Credentials found in the requests are stored as
+ * secrets of `options.environmentId`; the endpoints keep {{placeholders}}.
+ */
+async function importEndpoints(kind, document, userId, total_requests, threads, options = {}) {
+  const { name, requests, warnings, secrets } = IMPORTERS[kind](document, options);
+
+  if (Object.keys(secrets).length > 0) {
+    if (options.environmentId === undefined) {
+      throw new HttpError(
+        400,
+        `The imported requests carry credentials (${Object.keys(secrets).join(", ")}); pass an "environment_id" to store them as environment secrets.`
+      );
+    }
+    await environmentService.storeSecrets(options.environmentId, userId, secrets);
+  }
+
+  const endpoints = await databaseService.saveApiEndpoints(
+    requests.map((request) => ({
+      method: request.method,
+      full_path: request.url,
+      summary: request.name,
+      request_body:
+        request.body === null || request.body === undefined
+          ? null
+          : typeof request.body === "string"
+            ? request.body
+            : JSON.stringify(request.body),
+      request_headers: JSON.stringify(request.headers),
+      user_id: userId,
+      total_requests: total_requests,
+      threads: threads,
+      load_profile: options.loadProfile,
+    }))
+  );
+
+  return {
+    source: { type: kind, name },
+    endpointsImported: endpoints.length,
+    endpoints,
+    secrets: Object.keys(secrets),
+    warnings,
+  };
+}
+
+export const importService = {
+  importEndpoints,
+};
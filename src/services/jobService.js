@@ -0,0 +1,489 @@
+import { databaseService } from "./databaseService.js";
+import { loadTestService } from "./loadTestService.js";
+import { scenarioService } from "./scenarioService.js";
+import { progressService } from "./progressService.js";
+import { HttpError } from "../utils/errors.js";
+
+// Load runs executed at once by this process, across all users
+const CONCURRENCY = Number(process.env.LOAD_JOB_CONCURRENCY) || 2;
+const POLL_INTERVAL_MS = Number(process.env.LOAD_JOB_POLL_INTERVAL_MS) || 2000;
+// Jobs interrupted by a restart are resumed this many times before failing
+const MAX_ATTEMPTS = 3;
+const ACTIVE_STATUSES = ["queued", "running", "paused"];
+
+// Abort controllers of the jobs running in this process, by job id
+const runningJobs = new Map();
+// Runs sent in the request that asked for them (see runDirect); they share CONCURRENCY with jobs
+let directRuns = 0;
+let pollTimer = null;
+
+/**
+ * API shape of a job: the checkpoint stays internal, only how far the run
+ * got is exposed
+ */
+function serializeJob(job) {
+  const { checkpoint, ...rest } = job;
+  return {
+    ...rest,
+    progress: checkpoint
+      ? { elapsed_ms: checkpoint.elapsed_ms, completed: checkpoint.completed }
+      : null,
+  };
+}
+
+/**
+ * What a job runs, as a progressService subject: an endpoint or a scenario
+ */
+function getJobSubject(job) {
+  return job.scenario_id ? { scenario_id: job.scenario_id } : { endpoint_id: job.api_endpoint_id };
+}
+
+/**
+ * Set the load_status of the endpoint or scenario a job runs
+ */
+function updateJobTargetStatus(job, loadStatus) {
+  return job.scenario_id
+    ? databaseService.updateScenarioStatus(job.scenario_id, loadStatus)
+    : databaseService.updateApiEndpointStatus(job.api_endpoint_id, loadStatus);
+}
+
+/**
+ * Queue a load run of a saved endpoint. `options` are the parsed run options
+ * (see parseRunOptions). Null when the endpoint doesn't exist.
+ */
+async function enqueueEndpointJob(endpointId, options = {}) {
+  const endpoint = await databaseService.getApiEndpointById(endpointId);
+
+  if (!endpoint) {
+    return null;
+  }
+
+  const activeJob = await databaseService.getActiveLoadJobByEndpointId(endpointId);
+  if (activeJob || endpoint.load_status === "running") {
+    throw new HttpError(409, `Endpoint ${endpointId} already has a load run in progress.`);
+  }
+
+  const job = await databaseService.createLoadJob({
+    api_endpoint_id: endpoint.id,
+    user_id: endpoint.user_id,
+    environment_id: options.environmentId,
+    options: {
+      validate_responses: options.validateResponses,
+      validation_sample_rate: options.validationSampleRate,
+    },
+  });
+  await databaseService.updateApiEndpointStatus(endpoint.id, "pending");
+
+  setImmediate(pollQueue);
+  return serializeJob(job);
+}
+
+/**
+ * Queue a load run of a scenario; see enqueueEndpointJob. Null when the
+ * scenario doesn't exist.
+ */
+async function enqueueScenarioJob(scenarioId, options = {}) {
+  const scenario = await databaseService.getScenarioById(scenarioId);
+
+  if (!scenario) {
+    return null;
+  }
+
+  const activeJob = await databaseService.getActiveLoadJobByScenarioId(scenarioId);
+  if (activeJob || scenario.load_status === "running") {
+    throw new HttpError(409, `Scenario ${scenarioId} already has a load run in progress.`);
+  }
+
+  const job = await databaseService.createLoadJob({
+    scenario_id: scenario.id,
+    user_id: scenario.user_id,
+    environment_id: options.environmentId,
+    options: {
+      validate_responses: options.validateResponses,
+      validation_sample_rate: options.validationSampleRate,
+    },
+  });
+  await databaseService.updateScenarioStatus(scenario.id, "pending");
+
+  setImmediate(pollQueue);
+  return serializeJob(job);
+}
+
+/**
+ * Queue load runs for a user's endpoints (all of them, or `endpointIds`).
+ * Endpoints with a run in progress are reported as skipped.
+ */
+async function enqueueUserJobs(userId, endpointIds = [], options = {}) {
+  const endpoints = await databaseService.getApiEndpointsByUserId(userId);
+  const selected =
+    endpointIds.length === 0
+      ? endpoints
+      : endpoints.filter((endpoint) => endpointIds.includes(endpoint.id));
+  const results = [];
+
+  for (const endpoint of selected) {
+    try {
+      const job = await enqueueEndpointJob(endpoint.id, options);
+      results.push({ api_endpoint_id: endpoint.id, status: "queued", job });
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      results.push({ api_endpoint_id: endpoint.id, status: "skipped", error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Run `run` in the request that asked for it, holding one of the
+ * CONCURRENCY slots jobs use. Refused when every slot is taken.
+ */
+async function runDirect(run) {
+  if (runningJobs.size + directRuns >= CONCURRENCY) {
+    throw new HttpError(503, `All ${CONCURRENCY} load run slots are busy; queue a job instead.`);
+  }
+
+  directRuns++;
+  try {
+    return await run();
+  } finally {
+    directRuns--;
+    setImmediate(pollQueue);
+  }
+}
+
+/**
+ * Run an endpoint's load test right away and return its result, unless a
+ * job of the endpoint is unfinished; see runDirect
+ */
+async function runEndpointNow(endpointId, options = {}) {
+  const activeJob = await databaseService.getActiveLoadJobByEndpointId(endpointId);
+  if (activeJob) {
+    throw new HttpError(409, `Endpoint ${endpointId} has an unfinished load job (${activeJob.id}); cancel it first.`);
+  }
+
+  return runDirect(() => loadTestService.runEndpointLoadTest(endpointId, options));
+}
+
+/**
+ * Run a scenario right away and return its result, unless a job of the
+ * scenario is unfinished; see runDirect
+ */
+async function runScenarioNow(scenarioId, options = {}) {
+  const activeJob = await databaseService.getActiveLoadJobByScenarioId(scenarioId);
+  if (activeJob) {
+    throw new HttpError(409, `Scenario ${scenarioId} has an unfinished load job (${activeJob.id}); cancel it first.`);
+  }
+
+  return runDirect(() => scenarioService.runScenario(scenarioId, options));
+}
+
+/**
+ * Run a user's endpoints one after another in a single slot; see
+ * loadTestService.runUserLoadTests
+ */
+async function runUserEndpointsNow(userId, endpointIds = [], options = {}) {
+  return runDirect(() => loadTestService.runUserLoadTests(userId, endpointIds, options));
+}
+
+async function getJob(id) {
+  const job = await databaseService.getLoadJobById(id);
+  return job ? serializeJob(job) : null;
+}
+
+async function getUserJobs(userId) {
+  const jobs = await databaseService.getLoadJobsByUserId(userId);
+  return jobs.map(serializeJob);
+}
+
+/**
+ * Stop a job for good. A running job stops sending requests and ends once
+ * those in flight complete; its partial samples are discarded.
+ */
+async function cancelJob(id) {
+  const job = await databaseService.getLoadJobById(id);
+
+  if (!job) {
+    return null;
+  }
+
+  if (runningJobs.has(id)) {
+    runningJobs.get(id).abort("cancelled");
+    return serializeJob(job);
+  }
+
+  const cancelled = await databaseService.transitionLoadJob(id, ACTIVE_STATUSES, {
+    status: "cancelled",
+    finished_at: new Date(),
+  });
+
+  if (!cancelled) {
+    throw new HttpError(409, `Job ${id} is already ${job.status}.`);
+  }
+
+  await databaseService.deleteLoadJobSampleChunks(id);
+  await updateJobTargetStatus(job, "cancelled");
+  progressService.cancelWaiting(getJobSubject(job), "cancelled");
+  return getJob(id);
+}
+
+/**
+ * Hold a queued or running job. A running job stops sending requests and
+ * keeps what it measured so far for resumeJob.
+ */
+async function pauseJob(id) {
+  const job = await databaseService.getLoadJobById(id);
+
+  if (!job) {
+    return null;
+  }
+
+  if (runningJobs.has(id)) {
+    runningJobs.get(id).abort("paused");
+    return serializeJob(job);
+  }
+
+  if (!(await databaseService.transitionLoadJob(id, ["queued"], { status: "paused" }))) {
+    throw new HttpError(409, `Only queued or running jobs can be paused; job ${id} is ${job.status}.`);
+  }
+
+  await updateJobTargetStatus(job, "paused");
+  progressService.cancelWaiting(getJobSubject(job), "paused");
+  return getJob(id);
+}
+
+/**
+ * Queue a paused job again; it continues from its checkpoint
+ */
+async function resumeJob(id) {
+  const job = await databaseService.getLoadJobById(id);
+
+  if (!job) {
+    return null;
+  }
+
+  if (!(await databaseService.transitionLoadJob(id, ["paused"], { status: "queued" }))) {
+    throw new HttpError(409, `Only paused jobs can be resumed; job ${id} is ${job.status}.`);
+  }
+
+  await updateJobTargetStatus(job, "pending");
+  setImmediate(pollQueue);
+  return getJob(id);
+}
+
+/**
+ * Store a runner checkpoint (see runLoad): its new samples as a chunk, the
+ * rest on the job together with `jobData`. Only while the job is running, so
+ * a late write can't follow the checkpoint of a pause.
+ */
+function saveCheckpoint(jobId, { samples, steps, ...checkpoint }, jobData = {}) {
+  return databaseService.saveLoadJobCheckpoint(
+    jobId,
+    ["running"],
+    {
+      ...jobData,
+      checkpoint: {
+        ...checkpoint,
+        ...(steps ? { steps: steps.map(({ samples: stepSamples, ...counters }) => counters) } : {}),
+      },
+    },
+    { samples, step_samples: steps ? steps.map((step) => step.samples) : null }
+  );
+}
+
+/**
+ * A job's checkpoint with the samples of all its chunks, as the runners
+ * resume from
+ */
+async function restoreCheckpoint(job) {
+  if (!job.checkpoint) {
+    return null;
+  }
+
+  const chunks = await databaseService.getLoadJobSampleChunks(job.id);
+  const { steps, ...checkpoint } = job.checkpoint;
+
+  return {
+    ...checkpoint,
+    samples: chunks.flatMap((chunk) => chunk.samples),
+    ...(steps
+      ? {
+          steps: steps.map((counters, index) => ({
+            ...counters,
+            samples: chunks.flatMap((chunk) => chunk.step_samples?.[index] || []),
+          })),
+        }
+      : {}),
+  };
+}
+
+/**
+ * Run a claimed job to its end: completed with a result, failed, or stopped
+ * by pauseJob / cancelJob
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+  // Checkpoints are written one after another so no chunk of samples is lost
+  let saving = Promise.resolve();
+
+  try {
+    const runOptions = {
+      environmentId: job.environment_id ?? undefined,
+      validateResponses: job.options.validate_responses,
+      validationSampleRate: job.options.validation_sample_rate,
+      signal: controller.signal,
+      checkpoint: await restoreCheckpoint(job),
+      onCheckpoint: (checkpoint) => {
+        saving = saving
+          .then(() => saveCheckpoint(job.id, checkpoint))
+          .catch((error) => {
+            console.error(`Failed to save checkpoint of job ${job.id}:`, error.message);
+          });
+      },
+    };
+    const outcome = job.scenario_id
+      ? await scenarioService.runScenario(job.scenario_id, runOptions)
+      : await loadTestService.runEndpointLoadTest(job.api_endpoint_id, runOptions);
+
+    if (!outcome) {
+      throw new HttpError(
+        404,
+        job.scenario_id ? `Scenario ${job.scenario_id} not found.` : `Endpoint ${job.api_endpoint_id} not found.`
+      );
+    }
+
+    await saving;
+
+    if (outcome.stopped === "paused") {
+      await saveCheckpoint(job.id, outcome.checkpoint, { status: "paused" });
+      return;
+    }
+
+    await databaseService.deleteLoadJobSampleChunks(job.id);
+    if (outcome.stopped === "cancelled") {
+      await databaseService.updateLoadJob(job.id, { status: "cancelled", finished_at: new Date() });
+    } else {
+      await databaseService.updateLoadJob(job.id, {
+        status: "completed",
+        ...(job.scenario_id ? { scenario_result_id: outcome.id } : { load_test_result_id: outcome.id }),
+        finished_at: new Date(),
+      });
+    }
+  } catch (error) {
+    progressService.cancelWaiting(getJobSubject(job), "failed", error);
+    await saving;
+    await databaseService.deleteLoadJobSampleChunks(job.id);
+    await databaseService.updateLoadJob(job.id, {
+      status: "failed",
+      error: error.message,
+      finished_at: new Date(),
+    });
+
+    // Errors before the run started (e.g. an unknown environment) leave it "pending"
+    const target = job.scenario_id
+      ? await databaseService.getScenarioById(job.scenario_id)
+      : await databaseService.getApiEndpointById(job.api_endpoint_id);
+    if (target?.load_status === "pending") {
+      await updateJobTargetStatus(job, "failed");
+    }
+  } finally {
+    runningJobs.delete(job.id);
+    setImmediate(pollQueue);
+  }
+}
+
+/**
+ * Start queued jobs, oldest first, while fewer than CONCURRENCY are running
+ */
+async function pollQueue() {
+  try {
+    const free = CONCURRENCY - runningJobs.size - directRuns;
+    if (free <= 0) return;
+
+    const queued = await databaseService.getLoadJobsByStatus(["queued"], free);
+
+    for (const job of queued) {
+      if (runningJobs.size + directRuns >= CONCURRENCY) break;
+
+      // Claiming through a conditional update keeps a job from starting twice
+      const claimed = await databaseService.transitionLoadJob(job.id, ["queued"], {
+        status: "running",
+        attempts: { increment: 1 },
+        started_at: new Date(),
+      });
+
+      if (claimed) {
+        runJob({ ...job, status: "running" }).catch((error) => {
+          console.error(`Load job ${job.id} could not be settled:`, error.message);
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Failed to poll the load job queue:", error.message);
+  }
+}
+
+/**
+ * Settle what a previous process left behind. Jobs it was running are queued
+ * again to resume from their last checkpoint, or failed after MAX_ATTEMPTS;
+ * endpoints and scenarios still "running" without a job to pick them up are
+ * failed.
+ */
+async function recoverJobs() {
+  const interrupted = await databaseService.getLoadJobsByStatus(["running"]);
+
+  for (const job of interrupted) {
+    if (job.attempts < MAX_ATTEMPTS) {
+      await databaseService.updateLoadJob(job.id, { status: "queued" });
+      await updateJobTargetStatus(job, "pending");
+    } else {
+      await databaseService.deleteLoadJobSampleChunks(job.id);
+      await databaseService.updateLoadJob(job.id, {
+        status: "failed",
+        error: `Interrupted ${job.attempts} times by a server restart.`,
+        finished_at: new Date(),
+      });
+    }
+  }
+
+  const queued = await databaseService.getLoadJobsByStatus(["queued"]);
+  const { count } = await databaseService.failStaleApiEndpoints(
+    queued.map((job) => job.api_endpoint_id).filter(Boolean)
+  );
+  const { count: scenarioCount } = await databaseService.failStaleScenarios(
+    queued.map((job) => job.scenario_id).filter(Boolean)
+  );
+
+  if (interrupted.length > 0 || count > 0 || scenarioCount > 0) {
+    console.log(
+      `Recovered ${interrupted.length} interrupted load job(s); marked ${count} stale endpoint(s) and ${scenarioCount} scenario(s) as failed.`
+    );
+  }
+}
+
+/**
+ * Recover from the previous run, then poll the queue every POLL_INTERVAL_MS
+ */
+async function startWorker() {
+  if (pollTimer) return;
+
+  await recoverJobs();
+  pollTimer = setInterval(pollQueue, POLL_INTERVAL_MS);
+  await pollQueue();
+}
+
+export const jobService = {
+  enqueueEndpointJob,
+  enqueueScenarioJob,
+  enqueueUserJobs,
+  runEndpointNow,
+  runScenarioNow,
+  runUserEndpointsNow,
+  getJob,
+  getUserJobs,
+  cancelJob,
+  pauseJob,
+  resumeJob,
+  startWorker,
+};
@@ -0,0 +1,501 @@
+import axios from "axios";
+import { performance } from "node:perf_hooks";
+import { setTimeout as sleep } from "node:timers/promises";
+import { databaseService } from "./databaseService.js";
+import { oauthService } from "./oauthService.js";
+import { environmentService } from "./environmentService.js";
+import { contractService } from "./contractService.js";
+import { progressService } from "./progressService.js";
+import {
+  summarizeSamples,
+  parseRequestBody,
+  createCheckpoint,
+  restoreCheckpointSamples,
+  serializeLoadTestResult,
+} from "../utils/loadTestUtils.js";
+import { getLoadPlan, getRampingTarget, pickThinkTime } from "../utils/loadProfile.js";
+import { HttpError } from "../utils/errors.js";
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Build the axios request config for a saved endpoint
+ */
+function buildRequestConfig(endpoint) {
+  const method = endpoint.method.toUpperCase();
+  const sendsBody = !["GET", "HEAD"].includes(method);
+
+  return {
+    method,
+    url: endpoint.full_path,
+    headers: endpoint.request_headers || {},
+    data: sendsBody ? parseRequestBody(endpoint.request_body) : undefined,
+    timeout: REQUEST_TIMEOUT_MS,
+    // Keep bodies as text: most are never read, and contract checks parse them
+    transformResponse: [(data) => data],
+    // Every response is a sample; only network failures should throw
+    validateStatus: () => true,
+  };
+}
+
+/**
+ * Fire a single request and record its status and latency. The response is
+ * returned next to the sample for hooks to inspect.
+ */
+async function executeRequest(requestConfig, runStartedAt) {
+  const startedAt = performance.now();
+  const offsetMs = startedAt - runStartedAt;
+
+  try {
+    const response = await axios.request(requestConfig);
+    return {
+      sample: {
+        status: response.status,
+        offsetMs,
+        latencyMs: performance.now() - startedAt,
+      },
+      response,
+    };
+  } catch (error) {
+    return {
+      sample: {
+        status: null,
+        offsetMs,
+        latencyMs: performance.now() - startedAt,
+        error: error.code || error.message,
+      },
+      response: null,
+    };
+  }
+}
+
+/**
+ * Let `prepareRequest` (see runLoad hooks) adjust a request, then send it.
+ * A failing preparation, e.g. the token endpoint is down mid-run, counts as
+ * a failed request. Returns the config sent next to the sample and response.
+ */
+async function sendPreparedRequest(requestConfig, prepareRequest, runStartedAt) {
+  let config = requestConfig;
+
+  if (prepareRequest) {
+    try {
+      config = await prepareRequest(requestConfig);
+    } catch (error) {
+      return {
+        sample: {
+          status: null,
+          offsetMs: performance.now() - runStartedAt,
+          latencyMs: 0,
+          error: error.message,
+        },
+        response: null,
+        config,
+      };
+    }
+  }
+
+  return { ...(await executeRequest(config, runStartedAt)), config };
+}
+
+/**
+ * Request hooks that keep an OAuth2 access token on every request, fetching a
+ * new one when it nears expiry or the API rejects it with a 401
+ */
+function createOAuthHooks(oauth2) {
+  return {
+    async prepareRequest(requestConfig) {
+      const authorization = await oauthService.getAuthorizationHeader(oauth2);
+      return {
+        ...requestConfig,
+        headers: { ...requestConfig.headers, Authorization: authorization },
+      };
+    },
+    afterSample(sample, requestConfig) {
+      if (sample.status === 401) {
+        oauthService.invalidateAccessToken(oauth2, requestConfig.headers.Authorization);
+      }
+    },
+  };
+}
+
+/**
+ * Request hooks that check sampled responses against the endpoint's spec
+ */
+function createContractHooks(validator) {
+  return {
+    afterSample(sample, requestConfig, response) {
+      if (response) {
+        validator.check(response);
+      }
+    },
+  };
+}
+
+/**
+ * Chain request hooks: each prepareRequest sees the previous one's config
+ * and every afterSample is called
+ */
+function combineHooks(...hookSets) {
+  const preparers = hookSets.map((hooks) => hooks.prepareRequest).filter(Boolean);
+  const observers = hookSets.map((hooks) => hooks.afterSample).filter(Boolean);
+
+  return {
+    ...(preparers.length > 0
+      ? {
+          async prepareRequest(requestConfig) {
+            let config = requestConfig;
+            for (const prepare of preparers) {
+              config = await prepare(config);
+            }
+            return config;
+          },
+        }
+      : {}),
+    afterSample(sample, requestConfig, response) {
+      for (const observe of observers) {
+        observe(sample, requestConfig, response);
+      }
+    },
+  };
+}
+
+// How often ramping runs adjust their number of workers
+const RAMP_TICK_MS = 100;
+// How often runs given an onCheckpoint callback report a checkpoint
+const CHECKPOINT_INTERVAL_MS = 10000;
+
+/**
+ * Start requests at a constant rate regardless of how long they take. An
+ * arrival finding `threads` requests already in flight is dropped. The first
+ * request that fails (e.g. an afterSample hook throwing) stops new arrivals;
+ * its error is thrown once the requests in flight have settled.
+ */
+async function runArrivalRate(plan, hasBudget, sendRequest, startedAt, resumedAtMs) {
+  const intervalMs = 1000 / plan.arrivalRate;
+  const inFlight = new Set();
+  let dropped = 0;
+  let failure = null;
+
+  for (let index = Math.ceil(resumedAtMs / intervalMs); ; index++) {
+    const startAt = startedAt + index * intervalMs;
+    if (failure || startAt >= startedAt + plan.durationMs || !hasBudget()) break;
+
+    const wait = startAt - performance.now();
+    if (wait > 0) await sleep(wait);
+
+    if (inFlight.size >= plan.threads) {
+      dropped++;
+      continue;
+    }
+
+    const request = sendRequest()
+      .catch((error) => {
+        failure ??= error;
+      })
+      .finally(() => inFlight.delete(request));
+    inFlight.add(request);
+  }
+
+  await Promise.all(inFlight);
+  if (failure) {
+    throw failure;
+  }
+  return dropped;
+}
+
+/**
+ * Add and retire workers so their number follows the ramping stages. As with
+ * arrival rates, the first failing worker stops the others and its error is
+ * thrown once they have finished.
+ */
+async function runRamping(plan, hasBudget, runWorker, startedAt) {
+  const workers = new Set();
+  const finished = [];
+  let failure = null;
+
+  while (!failure && hasBudget()) {
+    const target = getRampingTarget(plan.stages, performance.now() - startedAt);
+    const active = [...workers].filter((worker) => !worker.stopped);
+
+    for (let count = active.length; count < target; count++) {
+      const worker = { stopped: false };
+      workers.add(worker);
+      finished.push(
+        runWorker(() => !worker.stopped && !failure)
+          .catch((error) => {
+            failure ??= error;
+          })
+          .finally(() => workers.delete(worker))
+      );
+    }
+
+    // Retire the newest workers first; each stops after its current request
+    active.slice(target).forEach((worker) => {
+      worker.stopped = true;
+    });
+
+    await sleep(RAMP_TICK_MS);
+  }
+
+  await Promise.all(finished);
+  if (failure) {
+    throw failure;
+  }
+}
+
+/**
+ * Run a load plan (see utils/loadProfile.js) against one request: a fixed
+ * number of requests, a duration, ramping stages or a constant arrival rate.
+ * `hooks` may adjust each request before it is sent and inspect its sample.
+ * `control.execute(requestConfig, runStartedAt)` replaces sending the request
+ * with other work that resolves to { sample, response, config }, e.g. one
+ * iteration of a scenario.
+ *
+ * Aborting `control.signal` stops new requests; once those in flight finish
+ * the run returns a `checkpoint`. `control.onCheckpoint` receives one
+ * periodically while running. Each checkpoint carries only the samples added
+ * since the previous one (see createCheckpoint); `control.checkpoint`
+ * resumes from the latest one with the samples of all of them.
+ * Returns the samples, the run's duration and the arrivals dropped.
+ */
+async function runLoad(requestConfig, plan, hooks = {}, control = {}) {
+  const { signal, onCheckpoint } = control;
+  const samples = restoreCheckpointSamples(control.checkpoint);
+  // A resumed run carries on with its schedule as if it had never stopped
+  const resumedAtMs = control.checkpoint?.elapsed_ms || 0;
+  const startedAt = performance.now() - resumedAtMs;
+  const deadline = plan.durationMs ? startedAt + plan.durationMs : Infinity;
+  const baseConfig = plan.timeoutMs ? { ...requestConfig, timeout: plan.timeoutMs } : requestConfig;
+  // Requests in flight at a checkpoint have no sample yet and are sent again
+  let issued = samples.length;
+  let dropped = control.checkpoint?.dropped || 0;
+
+  // total_requests caps every executor; 0 leaves time-bound runs uncapped
+  const hasBudget = () =>
+    !signal?.aborted &&
+    (plan.totalRequests < 1 || issued < plan.totalRequests) &&
+    performance.now() < deadline;
+
+  // Samples already handed out in a checkpoint (or restored from one)
+  let savedCount = samples.length;
+  const checkpoint = () => {
+    const snapshot = createCheckpoint({
+      samples,
+      elapsedMs: performance.now() - startedAt,
+      dropped,
+      savedCount,
+    });
+    savedCount = samples.length;
+    return snapshot;
+  };
+
+  const execute =
+    control.execute ||
+    ((config, runStartedAt) => sendPreparedRequest(config, hooks.prepareRequest, runStartedAt));
+
+  const sendRequest = async () => {
+    issued++;
+    const { sample, response, config } = await execute(baseConfig, startedAt);
+    hooks.afterSample?.(sample, config, response);
+    samples.push(sample);
+  };
+
+  const runWorker = async (isActive = () => true) => {
+    while (hasBudget() && isActive()) {
+      await sendRequest();
+
+      const thinkTime = Math.min(pickThinkTime(plan.thinkTimeMs), deadline - performance.now());
+      if (thinkTime > 0 && hasBudget() && isActive()) {
+        await sleep(thinkTime);
+      }
+    }
+  };
+
+  const checkpointTimer = onCheckpoint
+    ? setInterval(() => onCheckpoint(checkpoint()), CHECKPOINT_INTERVAL_MS)
+    : null;
+
+  try {
+    if (plan.executor === "arrival-rate") {
+      dropped += await runArrivalRate(plan, hasBudget, sendRequest, startedAt, resumedAtMs);
+    } else if (plan.executor === "ramping") {
+      await runRamping(plan, hasBudget, runWorker, startedAt);
+    } else {
+      const remaining = plan.totalRequests - issued;
+      const workerCount = plan.totalRequests > 0 ? Math.min(plan.threads, remaining) : plan.threads;
+      await Promise.all(Array.from({ length: Math.max(1, workerCount) }, () => runWorker()));
+    }
+  } finally {
+    clearInterval(checkpointTimer);
+  }
+
+  return {
+    samples,
+    durationMs: performance.now() - startedAt,
+    dropped,
+    checkpoint: signal?.aborted ? checkpoint() : null,
+  };
+}
+
+/**
+ * Run the load test configured on a saved endpoint and persist its result.
+ * `options.environmentId` selects the environment that fills the endpoint's
+ * {{placeholders}}. Unless `options.validateResponses` is false, sampled
+ * responses (`options.validationSampleRate`) of endpoints imported from a
+ * spec are checked against the operation's declared responses. Progress is
+ * published to progressService while the run is in flight.
+ *
+ * `options.signal`, `options.checkpoint` and `options.onCheckpoint` are
+ * passed on to runLoad for background jobs. A run stopped through the signal
+ * saves no result: the endpoint takes the signal's reason ("paused" or
+ * "cancelled") as its status and { stopped, checkpoint } is returned.
+ * Contract checks of a resumed run only cover the requests sent after it
+ * resumed.
+ */
+async function runEndpointLoadTest(endpointId, options = {}) {
+  const endpoint = await databaseService.getApiEndpointById(endpointId);
+
+  if (!endpoint) {
+    return null;
+  }
+
+  const plan = getLoadPlan(endpoint);
+
+  if (plan.executor === "iterations" && plan.totalRequests < 1) {
+    throw new HttpError(400, `Endpoint ${endpointId} has no requests configured.`);
+  }
+
+  // Secrets are only decrypted here, for the duration of the run
+  const resolvedEndpoint = await environmentService.applyEnvironment(
+    endpoint,
+    options.environmentId
+  );
+
+  if (!(await databaseService.claimApiEndpointRun(endpoint.id))) {
+    throw new HttpError(409, `Endpoint ${endpointId} is already running.`);
+  }
+  const progress = progressService.startRun({ endpoint_id: endpoint.id }, plan);
+
+  try {
+    const oauth2 = resolvedEndpoint.auth_config?.oauth2;
+
+    // Fetch the first token up front so a bad client configuration fails the run
+    if (oauth2) {
+      await oauthService.getAccessToken(oauth2);
+    }
+
+    const contract =
+      options.validateResponses === false
+        ? null
+        : await contractService.getEndpointContract(endpoint);
+    const validator = contract
+      ? contractService.createContractValidator(contract, {
+          sampleRate: options.validationSampleRate,
+        })
+      : null;
+
+    const { samples, durationMs, dropped, checkpoint } = await runLoad(
+      buildRequestConfig(resolvedEndpoint),
+      plan,
+      combineHooks(
+        oauth2 ? createOAuthHooks(oauth2) : {},
+        validator ? createContractHooks(validator) : {},
+        progress.hooks
+      ),
+      {
+        signal: options.signal,
+        checkpoint: options.checkpoint,
+        onCheckpoint: options.onCheckpoint,
+      }
+    );
+
+    if (checkpoint) {
+      const reason = options.signal.reason;
+      await databaseService.updateApiEndpointStatus(endpoint.id, reason);
+      progress.stop(reason);
+      return { stopped: reason, checkpoint };
+    }
+
+    const result = await databaseService.saveLoadTestResult({
+      api_endpoint_id: endpoint.id,
+      environment_id: options.environmentId ?? null,
+      ...summarizeSamples(samples, durationMs),
+      load_profile: endpoint.load_profile,
+      dropped_count: dropped,
+      ...(validator ? validator.summarize() : {}),
+    });
+
+    await databaseService.updateApiEndpointStatus(endpoint.id, "completed");
+    const serialized = serializeLoadTestResult(result);
+    progress.finish(serialized);
+    return serialized;
+  } catch (error) {
+    console.error(`Load test for endpoint ${endpoint.id} failed:`, error);
+    progress.fail(error);
+    await databaseService.updateApiEndpointStatus(endpoint.id, "failed");
+    throw error;
+  }
+}
+
+/**
+ * Run the load tests for a user's endpoints one after another. Endpoints
+ * already running or with an unfinished job are reported as skipped.
+ */
+async function runUserLoadTests(userId, endpointIds = [], options = {}) {
+  const endpoints = await databaseService.getApiEndpointsByUserId(userId);
+  const endpointsToRun =
+    endpointIds.length === 0
+      ? endpoints
+      : endpoints.filter((endpoint) => endpointIds.includes(endpoint.id));
+  const runnable = [];
+  const results = [];
+
+  for (const endpoint of endpointsToRun) {
+    let skipReason = null;
+    if (endpoint.load_status === "running") {
+      skipReason = "Endpoint is already running.";
+    } else if (await databaseService.getActiveLoadJobByEndpointId(endpoint.id)) {
+      skipReason = "Endpoint has an unfinished load job.";
+    }
+
+    if (skipReason) {
+      results.push({ api_endpoint_id: endpoint.id, status: "skipped", error: skipReason });
+    } else {
+      runnable.push(endpoint);
+    }
+  }
+
+  for (const endpoint of runnable) {
+    await databaseService.updateApiEndpointStatus(endpoint.id, "pending");
+    // Progress subscribers wait for the endpoint's turn
+    progressService.expectRun({ endpoint_id: endpoint.id });
+  }
+
+  for (const endpoint of runnable) {
+    try {
+      const result = await runEndpointLoadTest(endpoint.id, options);
+      results.push({ api_endpoint_id: endpoint.id, status: "completed", result });
+    } catch (error) {
+      progressService.cancelWaiting({ endpoint_id: endpoint.id }, "failed", error);
+      results.push({
+        api_endpoint_id: endpoint.id,
+        status: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+export const loadTestService = {
+  runEndpointLoadTest,
+  runUserLoadTests,
+  // Building blocks for other runners (scenarios)
+  buildRequestConfig,
+  sendPreparedRequest,
+  createOAuthHooks,
+  createContractHooks,
+  combineHooks,
+  runLoad,
+};
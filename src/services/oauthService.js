@@ -0,0 +1,154 @@
+import crypto from "node:crypto";
+import axios from "axios";
+import { HttpError } from "../utils/errors.js";
+
+const REQUEST_TIMEOUT_MS = 30000;
+// Refresh a little before expiry so in-flight requests don't carry a dead token
+const EXPIRY_MARGIN_MS = 30000;
+const DEFAULT_EXPIRES_IN_S = 3600;
+
+// Tokens by flow configuration: { accessToken, tokenType, expiresAt } or { pending }
+const tokenCache = new Map();
+const tokenEndpoints = new Map();
+
+/**
+ * Cache key of a flow configuration. The secrets are part of it (hashed, so
+ * they aren't kept in plain text as keys): the same client with another
+ * secret or password must not get the cached token.
+ */
+function getCacheKey(config) {
+  const secrets = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([config.clientSecret, config.password]))
+    .digest("hex");
+
+  return JSON.stringify([
+    config.tokenUrl || config.discoveryUrl,
+    config.grantType,
+    config.clientAuth,
+    config.clientId,
+    config.username,
+    config.scope,
+    secrets,
+  ]);
+}
+
+/**
+ * Look up the token endpoint of an OpenID Connect provider
+ */
+async function discoverTokenUrl(discoveryUrl) {
+  if (!tokenEndpoints.has(discoveryUrl)) {
+    const response = await axios.get(discoveryUrl, { timeout: REQUEST_TIMEOUT_MS });
+    if (!response.data?.token_endpoint) {
+      throw new HttpError(502, `No token_endpoint in OpenID configuration at ${discoveryUrl}.`);
+    }
+    tokenEndpoints.set(discoveryUrl, response.data.token_endpoint);
+  }
+
+  return tokenEndpoints.get(discoveryUrl);
+}
+
+/**
+ * Run the client credentials or password grant against the token endpoint
+ */
+async function requestToken(config) {
+  const tokenUrl = config.tokenUrl || (await discoverTokenUrl(config.discoveryUrl));
+  const params = new URLSearchParams({ grant_type: config.grantType });
+  const headers = {
+    "Content-Type": "application/x-www-form-urlencoded",
+    Accept: "application/json",
+  };
+
+  if (config.scope) params.set("scope", config.scope);
+
+  if (config.grantType === "password") {
+    params.set("username", config.username ?? "");
+    params.set("password", config.password ?? "");
+  }
+
+  if (config.clientAuth === "basic") {
+    const basic = Buffer.from(
+      `${encodeURIComponent(config.clientId ?? "")}:${encodeURIComponent(config.clientSecret ?? "")}`
+    ).toString("base64");
+    headers.Authorization = `Basic ${basic}`;
+  } else {
+    if (config.clientId) params.set("client_id", config.clientId);
+    if (config.clientSecret) params.set("client_secret", config.clientSecret);
+  }
+
+  const response = await axios.post(tokenUrl, params.toString(), {
+    headers,
+    timeout: REQUEST_TIMEOUT_MS,
+    validateStatus: () => true,
+  });
+
+  if (response.status >= 400 || !response.data?.access_token) {
+    const reason = response.data?.error_description || response.data?.error || `status ${response.status}`;
+    throw new HttpError(502, `Token request to ${tokenUrl} failed: ${reason}.`);
+  }
+
+  const tokenType = response.data.token_type || "Bearer";
+
+  return {
+    accessToken: response.data.access_token,
+    // Servers often answer "bearer"; the Authorization scheme is case-insensitive
+    tokenType: tokenType.toLowerCase() === "bearer" ? "Bearer" : tokenType,
+    expiresAt: Date.now() + Number(response.data.expires_in || DEFAULT_EXPIRES_IN_S) * 1000,
+  };
+}
+
+/**
+ * Get a valid access token for a flow configuration, fetching a new one when
+ * none is cached or it is about to expire. Concurrent callers share a fetch.
+ */
+async function getAccessToken(config, { forceRefresh = false } = {}) {
+  const key = getCacheKey(config);
+  const cached = tokenCache.get(key);
+
+  if (cached?.pending) {
+    return cached.pending;
+  }
+
+  if (cached && !forceRefresh && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return cached;
+  }
+
+  const pending = requestToken(config).then(
+    (token) => {
+      tokenCache.set(key, token);
+      return token;
+    },
+    (error) => {
+      tokenCache.delete(key);
+      throw error;
+    }
+  );
+  tokenCache.set(key, { pending });
+  return pending;
+}
+
+/**
+ * Authorization header value for a flow configuration
+ */
+async function getAuthorizationHeader(config) {
+  const token = await getAccessToken(config);
+  return `${token.tokenType} ${token.accessToken}`;
+}
+
+/**
+ * Drop a token the API rejected, unless it was already replaced by a newer one
+ */
+function invalidateAccessToken(config, authorizationHeader) {
+  const key = getCacheKey(config);
+  const cached = tokenCache.get(key);
+
+  if (cached?.accessToken && `${cached.tokenType} ${cached.accessToken}` === authorizationHeader) {
+    tokenCache.delete(key);
+  }
+}
+
+export const oauthService = {
+  getAccessToken,
+  getAuthorizationHeader,
+  invalidateAccessToken,
+};
@@ -0,0 +1,181 @@
+import { readFileSync } from "node:fs";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { selectRequestBodyContent } from "../utils/swaggerUtils.js";
+import { validateSchema } from "../utils/responseValidator.js";
+import {
+  createPayloadRequest,
+  buildPayloadPrompt,
+  parsePayloadText,
+} from "../utils/payloadPrompt.js";
+import { HttpError } from "../utils/errors.js";
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-1.5-flash";
+const PROVIDER_TIMEOUT_MS = 20000;
+// Operations sent to the provider at once
+const PROVIDER_CONCURRENCY = 4;
+
+/**
+ * Payload provider backed by Gemini. A provider is { name,
+ * generatePayload(request) } where request is a GeminiRequest and the
+ * result the model's raw reply text.
+ */
+function createGeminiProvider(apiKey) {
+  const model = new GoogleGenerativeAI(apiKey).getGenerativeModel(
+    {
+      model: GEMINI_MODEL,
+      generationConfig: { responseMimeType: "application/json", temperature: 0.8 },
+    },
+    { timeout: PROVIDER_TIMEOUT_MS }
+  );
+
+  return {
+    name: "gemini",
+    async generatePayload(request) {
+      const result = await model.generateContent(buildPayloadPrompt(request));
+      return result.response.text();
+    },
+  };
+}
+
+/**
+ * Offline provider replying with canned payloads keyed by endpoint id or
+ * "METHOD /path", e.g. { "POST /pets": { "body": { "name": "Rex" } } }.
+ * Operations without one get "{}" and fall back to the rule-based generator.
+ */
+function createStubProvider(responses = {}) {
+  return {
+    name: "stub",
+    async generatePayload({ endpoint }) {
+      const reply = responses[endpoint.id] ?? responses[`${endpoint.method} ${endpoint.path}`] ?? {};
+      return typeof reply === "string" ? reply : JSON.stringify(reply);
+    },
+  };
+}
+
+let provider = null;
+
+/**
+ * The configured provider: PAYLOAD_PROVIDER=stub reads its replies from the
+ * JSON file at PAYLOAD_STUB_FILE, otherwise Gemini with GEMINI_API_KEY
+ */
+function getPayloadProvider() {
+  if (provider) {
+    return provider;
+  }
+
+  if (process.env.PAYLOAD_PROVIDER === "stub") {
+    const file = process.env.PAYLOAD_STUB_FILE;
+    provider = createStubProvider(file ? JSON.parse(readFileSync(file, "utf8")) : {});
+    return provider;
+  }
+
+  if (!process.env.GEMINI_API_KEY) {
+    throw new HttpError(503, 'AI payloads are not configured: set GEMINI_API_KEY or use "payloadMode": "rules".');
+  }
+
+  provider = createGeminiProvider(process.env.GEMINI_API_KEY);
+  return provider;
+}
+
+/**
+ * Replace the provider, e.g. with createStubProvider in tests
+ */
+function setPayloadProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+/**
+ * Schema errors of one part of a reply as rejection messages; a schema that
+ * can't be checked (e.g. a malformed $ref) rejects the part as well
+ */
+function validatePayloadPart(value, schema, resolver, path) {
+  try {
+    return validateSchema(value, schema, resolver, path).map((error) => `${error.path} ${error.message}`);
+  } catch (error) {
+    return [`${path} could not be validated: ${error.message}`];
+  }
+}
+
+function getParameterSchema(parameter) {
+  return parameter.schema || Object.values(parameter.content || {})[0]?.schema || null;
+}
+
+/**
+ * Ask the provider for one operation's payload and keep the parts that
+ * satisfy their schemas. Returns { body?, parameters, rejected } where
+ * rejected lists why anything was dropped.
+ */
+async function generateEndpointPayload(activeProvider, endpoint, resolver) {
+  const bodyContent = selectRequestBodyContent(endpoint.requestBody);
+  const payload = { parameters: {}, rejected: [] };
+  let reply;
+
+  try {
+    reply = parsePayloadText(
+      await activeProvider.generatePayload(createPayloadRequest(endpoint, bodyContent, resolver))
+    );
+  } catch (error) {
+    payload.rejected.push(`${activeProvider.name} failed: ${error.message}`);
+    return payload;
+  }
+
+  if (!reply) {
+    payload.rejected.push(`${activeProvider.name} did not reply with a JSON object.`);
+    return payload;
+  }
+
+  if (reply.body !== undefined && bodyContent?.schema) {
+    const errors = validatePayloadPart(reply.body, bodyContent.schema, resolver, "$.body");
+    if (errors.length === 0) {
+      payload.body = reply.body;
+    } else {
+      payload.rejected.push(...errors);
+    }
+  }
+
+  for (const parameter of endpoint.parameters || []) {
+    const value = reply.parameters?.[parameter.name];
+    const schema = getParameterSchema(parameter);
+    if (value === undefined) continue;
+
+    const errors = schema
+      ? validatePayloadPart(value, schema, resolver, `$.parameters.${parameter.name}`)
+      : [];
+    if (errors.length === 0) {
+      payload.parameters[parameter.name] = value;
+    } else {
+      payload.rejected.push(...errors);
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * AI payloads for a list of operations, by endpoint id. Providers are called
+ * a few operations at a time; a failed call only affects its operation.
+ */
+async function generatePayloads(endpoints, swaggerData) {
+  const activeProvider = getPayloadProvider();
+  const payloads = new Map();
+  const queue = [...endpoints];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const endpoint = queue.shift();
+      payloads.set(
+        endpoint.id,
+        await generateEndpointPayload(activeProvider, endpoint, swaggerData.resolver)
+      );
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(PROVIDER_CONCURRENCY, queue.length) }, worker));
+  return { provider: activeProvider.name, payloads };
+}
+
+export const payloadService = {
+  generatePayloads,
+  createStubProvider,
+  setPayloadProvider,
+};
@@ -0,0 +1,188 @@
+import { EventEmitter } from "node:events";
+import { performance } from "node:perf_hooks";
+import { isSuccessfulSample, calculatePercentile } from "../utils/loadTestUtils.js";
+
+const PROGRESS_INTERVAL_MS = 1000;
+// Latency percentiles in progress events cover the most recent samples only
+const ROLLING_WINDOW_MS = 10000;
+
+// Load runs in flight in this process, by subject key (see toKey)
+const activeRuns = new Map();
+// Listeners waiting for a subject's next run to start, by subject key
+const waitingListeners = new Map();
+// Subjects queued behind others in a batch of this process, by subject key
+const expectedRuns = new Set();
+
+/**
+ * Runs are followed per subject, { endpoint_id } or { scenario_id }; its
+ * key is e.g. "endpoint_id:3"
+ */
+function toKey(subject) {
+  const [[field, id]] = Object.entries(subject);
+  return `${field}:${id}`;
+}
+
+/**
+ * Live figures for one run: cumulative counts plus the samples of the
+ * rolling window, emitted as a "progress" event every second
+ */
+function createRun(subject, plan) {
+  const events = new EventEmitter();
+  const startedAt = performance.now();
+  const recent = [];
+  let completed = 0;
+  let successCount = 0;
+  const statusCodes = {};
+
+  function snapshot() {
+    const now = performance.now();
+    while (recent.length > 0 && recent[0].completedAt < now - ROLLING_WINDOW_MS) {
+      recent.shift();
+    }
+
+    const latencies = recent.map((sample) => sample.latencyMs).sort((a, b) => a - b);
+
+    return {
+      ...subject,
+      executor: plan.executor,
+      planned_requests: plan.totalRequests || null,
+      planned_duration_ms: plan.durationMs,
+      elapsed_ms: Math.round(now - startedAt),
+      completed,
+      success_count: successCount,
+      error_count: completed - successCount,
+      rps: recent.filter((sample) => sample.completedAt >= now - 1000).length,
+      status_code: { ...statusCodes },
+      latency: {
+        window_ms: ROLLING_WINDOW_MS,
+        avg_ms: latencies.length
+          ? latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length
+          : 0,
+        p50_ms: calculatePercentile(latencies, 50),
+        p90_ms: calculatePercentile(latencies, 90),
+        p95_ms: calculatePercentile(latencies, 95),
+        p99_ms: calculatePercentile(latencies, 99),
+      },
+    };
+  }
+
+  const timer = setInterval(() => events.emit("event", "progress", snapshot()), PROGRESS_INTERVAL_MS);
+  timer.unref();
+
+  function end(event, data) {
+    clearInterval(timer);
+    activeRuns.delete(toKey(subject));
+    events.emit("event", event, data);
+    events.removeAllListeners();
+  }
+
+  return {
+    events,
+    snapshot,
+    hooks: {
+      afterSample(sample) {
+        completed++;
+        if (isSuccessfulSample(sample)) successCount++;
+        // Same keys as the status_code histogram of saved results
+        const key = sample.status === null ? "error" : String(sample.status);
+        statusCodes[key] = (statusCodes[key] || 0) + 1;
+        recent.push({ latencyMs: sample.latencyMs, completedAt: performance.now() });
+      },
+    },
+    finish(result) {
+      events.emit("event", "progress", snapshot());
+      end("summary", result);
+    },
+    fail(error) {
+      end("failed", { ...subject, error: error.message });
+    },
+    // A background job paused or cancelled mid-run
+    stop(reason) {
+      end(reason, { ...subject });
+    },
+  };
+}
+
+/**
+ * Register a run for a subject ({ endpoint_id } or { scenario_id }). Its
+ * `hooks` record samples; `finish` or `fail` sends the final event and
+ * closes every subscriber.
+ */
+function startRun(subject, plan) {
+  const key = toKey(subject);
+  const run = createRun(subject, plan);
+  activeRuns.set(key, run);
+  expectedRuns.delete(key);
+
+  for (const listener of waitingListeners.get(key) || []) {
+    run.events.on("event", listener);
+  }
+  waitingListeners.delete(key);
+
+  return run;
+}
+
+/**
+ * Follow a subject's run in flight: `listener(event, data)` gets the
+ * current progress right away, then every update until the final "summary",
+ * "failed", "paused" or "cancelled" event. A subject that isn't running yet
+ * is followed from its next run when it was marked with expectRun or the
+ * caller knows a run is coming (`waitForRun`, e.g. a queued job). Returns an
+ * unsubscribe function, or null when there is nothing to follow.
+ */
+function subscribe(subject, listener, { waitForRun = false } = {}) {
+  const key = toKey(subject);
+  const run = activeRuns.get(key);
+
+  if (run) {
+    run.events.on("event", listener);
+    listener("progress", run.snapshot());
+    return () => run.events.off("event", listener);
+  }
+
+  if (!waitForRun && !expectedRuns.has(key)) {
+    return null;
+  }
+
+  const waiting = waitingListeners.get(key) || new Set();
+  waiting.add(listener);
+  waitingListeners.set(key, waiting);
+
+  return () => {
+    waiting.delete(listener);
+    if (waiting.size === 0 && waitingListeners.get(key) === waiting) {
+      waitingListeners.delete(key);
+    }
+    activeRuns.get(key)?.events.off("event", listener);
+  };
+}
+
+/**
+ * Mark a subject as queued to run in this process, e.g. in a user's batch,
+ * so subscribers wait for its run; startRun and cancelWaiting clear the mark
+ */
+function expectRun(subject) {
+  expectedRuns.add(toKey(subject));
+}
+
+/**
+ * Release listeners waiting for a run that will not start, e.g. a queued
+ * endpoint whose environment could not be resolved ("failed" with the
+ * error) or whose job was cancelled ("cancelled")
+ */
+function cancelWaiting(subject, event, error) {
+  const key = toKey(subject);
+  expectedRuns.delete(key);
+
+  for (const listener of waitingListeners.get(key) || []) {
+    listener(event, { ...subject, ...(error ? { error: error.message } : {}) });
+  }
+  waitingListeners.delete(key);
+}
+
+export const progressService = {
+  startRun,
+  expectRun,
+  subscribe,
+  cancelWaiting,
+};
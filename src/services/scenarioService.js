@@ -0,0 +1,696 @@
+import { performance } from "node:perf_hooks";
+import { databaseService } from "./databaseService.js";
+import { environmentService } from "./environmentService.js";
+import { contractService } from "./contractService.js";
+import { oauthService } from "./oauthService.js";
+import { loadTestService } from "./loadTestService.js";
+import { progressService } from "./progressService.js";
+import { isPlainObject, findPlaceholders, renderTemplate } from "../utils/templateUtils.js";
+import { decodePointerToken } from "../utils/refResolver.js";
+import { decryptAuthConfig } from "../utils/securityUtils.js";
+import {
+  isSuccessfulSample,
+  parseRequestBody,
+  toSampleTuples,
+  restoreCheckpointSamples,
+  serializeLoadTestResult,
+} from "../utils/loadTestUtils.js";
+import { resolveLoadSettings, getLoadPlan } from "../utils/loadProfile.js";
+import {
+  validateExtractions,
+  extractValues,
+  fillPathParams,
+  setQueryParams,
+  parseLinkExpression,
+  summarizeScenarioRun,
+} from "../utils/scenarioUtils.js";
+import { HttpError } from "../utils/errors.js";
+
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+const PARAMETER_LOCATIONS = ["path", "query", "header", "cookie"];
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate the editable fields of a scenario; `partial` allows omitting the
+ * name and steps (updates)
+ */
+function validateScenarioInput(input, partial = false) {
+  const { name, iterations, threads, steps } = input;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new HttpError(400, '"name" is required.');
+    }
+  }
+
+  // 0 leaves a time-bound load profile uncapped, as total_requests does
+  if (iterations !== undefined && !(Number.isInteger(iterations) && iterations >= 0)) {
+    throw new HttpError(400, '"iterations" must be a non-negative integer.');
+  }
+
+  if (threads !== undefined && !isPositiveInteger(threads)) {
+    throw new HttpError(400, '"threads" must be a positive integer.');
+  }
+
+  if (!partial || steps !== undefined) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new HttpError(400, '"steps" must be a non-empty array.');
+    }
+  }
+
+  (steps || []).forEach((step, index) => {
+    const label = `Step ${index + 1}`;
+
+    if (!isPlainObject(step) || !Number.isInteger(step.api_endpoint_id)) {
+      throw new HttpError(400, `${label}: "api_endpoint_id" must be an integer.`);
+    }
+
+    const extractError = validateExtractions(step.extract ?? [], label);
+    if (extractError) {
+      throw new HttpError(400, extractError);
+    }
+
+    for (const field of ["path_params", "query_params", "request_headers"]) {
+      const value = step[field];
+      if (value === undefined || value === null) continue;
+      if (!isPlainObject(value) || Object.values(value).some((item) => typeof item === "object")) {
+        throw new HttpError(400, `${label}: "${field}" must be an object of name/value pairs.`);
+      }
+    }
+
+    if (
+      step.request_url !== undefined &&
+      step.request_url !== null &&
+      !/^(https?:\/\/|\{\{)/i.test(step.request_url)
+    ) {
+      throw new HttpError(400, `${label}: "request_url" must be an absolute http(s) URL or start with a {{variable}}.`);
+    }
+  });
+}
+
+/**
+ * Validate a scenario's load settings like an endpoint's (see
+ * resolveLoadSettings), with `iterations` in the place of `total_requests`.
+ * Returns the { iterations, threads, load_profile } to store.
+ */
+function resolveScenarioLoad({ iterations, threads, load_profile: loadProfile }) {
+  let settings;
+  try {
+    settings = resolveLoadSettings({ total_requests: iterations, threads, load_profile: loadProfile });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      throw new HttpError(error.status, error.message.replace('"total_requests"', '"iterations"'));
+    }
+    throw error;
+  }
+
+  return {
+    iterations: settings.total_requests,
+    threads: settings.threads,
+    load_profile: settings.load_profile,
+  };
+}
+
+/**
+ * Steps may only use the user's own endpoints, and path parameters only on
+ * endpoints imported from a spec (their path template is needed)
+ */
+async function validateScenarioSteps(userId, steps) {
+  const endpoints = await databaseService.getApiEndpointsByUserId(userId);
+  const byId = new Map(endpoints.map((endpoint) => [endpoint.id, endpoint]));
+  const unknownIds = steps
+    .map((step) => step.api_endpoint_id)
+    .filter((id) => !byId.has(id));
+
+  if (unknownIds.length > 0) {
+    throw new HttpError(400, `Unknown endpoint id(s): ${[...new Set(unknownIds)].join(", ")}.`);
+  }
+
+  for (const [index, step] of steps.entries()) {
+    if (!step.path_params) continue;
+
+    const contract = await contractService.getEndpointContract(byId.get(step.api_endpoint_id));
+    if (!contract) {
+      throw new HttpError(
+        400,
+        `Step ${index + 1}: endpoint ${step.api_endpoint_id} was not imported from a spec, so its path parameters are unknown; use "request_url" instead.`
+      );
+    }
+
+    const pathParameters = contract.parameters
+      .filter((parameter) => parameter.in === "path")
+      .map((parameter) => parameter.name);
+    const unknown = Object.keys(step.path_params).filter((name) => !pathParameters.includes(name));
+    if (unknown.length > 0) {
+      throw new HttpError(
+        400,
+        `Step ${index + 1}: ${contract.path} has no path parameter(s) ${unknown.join(", ")}.`
+      );
+    }
+  }
+}
+
+/**
+ * API view of a scenario: steps reference their endpoint by id and summary
+ */
+function serializeScenario(scenario) {
+  return {
+    ...scenario,
+    steps: (scenario.steps || []).map(({ api_endpoint: endpoint, ...step }) => ({
+      ...step,
+      endpoint: endpoint
+        ? { id: endpoint.id, method: endpoint.method, full_path: endpoint.full_path, summary: endpoint.summary }
+        : undefined,
+    })),
+  };
+}
+
+/**
+ * Create a scenario: { name, description, iterations, threads, load_profile,
+ * steps }. Without a load profile it runs `iterations` (default 1) times.
+ */
+async function createScenario(userId, input) {
+  validateScenarioInput(input);
+  const hasProfile = input.load_profile !== undefined && input.load_profile !== null;
+  const load = resolveScenarioLoad({
+    iterations: input.iterations ?? (hasProfile ? undefined : 1),
+    threads: input.threads ?? 1,
+    load_profile: input.load_profile,
+  });
+  await validateScenarioSteps(userId, input.steps);
+
+  try {
+    const scenario = await databaseService.createScenario({
+      name: input.name.trim(),
+      description: input.description,
+      ...load,
+      user_id: userId,
+      steps: input.steps,
+    });
+    return serializeScenario(scenario);
+  } catch (error) {
+    // Foreign key violation: no such user
+    if (error?.code === "P2003") {
+      throw new HttpError(404, "User not found.");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a scenario; `steps`, when given, replaces the whole chain
+ */
+async function updateScenario(id, input) {
+  validateScenarioInput(input, true);
+
+  const scenario = await databaseService.getScenarioById(id);
+  if (!scenario) {
+    return null;
+  }
+
+  if (scenario.load_status === "running") {
+    throw new HttpError(409, `Scenario ${id} is running.`);
+  }
+
+  if (input.steps) {
+    await validateScenarioSteps(scenario.user_id, input.steps);
+  }
+
+  const changes = {};
+  if (input.name !== undefined) changes.name = input.name.trim();
+  if (input.description !== undefined) changes.description = input.description;
+  if (input.steps !== undefined) changes.steps = input.steps;
+
+  // Load settings are validated as a whole; a null load_profile goes back to plain iterations
+  if (["iterations", "threads", "load_profile"].some((field) => input[field] !== undefined)) {
+    Object.assign(
+      changes,
+      resolveScenarioLoad({
+        iterations: input.iterations ?? scenario.iterations,
+        threads: input.threads ?? scenario.threads,
+        load_profile: input.load_profile === undefined ? scenario.load_profile : input.load_profile,
+      })
+    );
+  }
+
+  return serializeScenario(await databaseService.updateScenario(id, changes));
+}
+
+/**
+ * Delete a scenario unless it is running or has a job that may still run it.
+ * False when the scenario doesn't exist.
+ */
+async function deleteScenario(id) {
+  const scenario = await databaseService.getScenarioById(id);
+  if (!scenario) {
+    return false;
+  }
+
+  const activeJob = await databaseService.getActiveLoadJobByScenarioId(id);
+  if (activeJob || scenario.load_status === "running") {
+    throw new HttpError(409, `Scenario ${id} has an unfinished load run or job; cancel it first.`);
+  }
+
+  await databaseService.deleteScenario(id);
+  return true;
+}
+
+/**
+ * Fill a step's request with extracted values. A string that is just one
+ * placeholder takes the value as is, so numbers and objects keep their type
+ * in JSON bodies.
+ */
+function renderStepValue(value, variables) {
+  if (typeof value === "string") {
+    const name = value.match(SINGLE_PLACEHOLDER)?.[1];
+    if (name !== undefined && variables[name] !== undefined && variables[name] !== null) {
+      return variables[name];
+    }
+
+    return renderTemplate(
+      value,
+      Object.fromEntries(
+        Object.entries(variables).map(([key, item]) => [key, typeof item === "object" ? JSON.stringify(item) : item])
+      )
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => renderStepValue(item, variables));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderStepValue(item, variables)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Turn the scenario's steps into request templates: overrides applied,
+ * environment values filled in and the remaining {{placeholders}} checked
+ * against the names extracted by earlier steps
+ */
+async function prepareScenarioSteps(scenario, environmentValues, options) {
+  const extracted = new Set();
+  const prepared = [];
+
+  for (const [index, step] of scenario.steps.entries()) {
+    const endpoint = step.api_endpoint;
+    const contract =
+      step.path_params || options.validateResponses !== false
+        ? await contractService.getEndpointContract(endpoint)
+        : null;
+    // Path and query values are filled in per request so they can be encoded
+    const template = {
+      url: step.request_url || endpoint.full_path,
+      path_params: step.path_params || {},
+      query_params: step.query_params || {},
+      headers: { ...(endpoint.request_headers || {}), ...(step.request_headers || {}) },
+      body: step.request_body ?? parseRequestBody(endpoint.request_body),
+      auth_config: decryptAuthConfig(endpoint.auth_config),
+    };
+    const missing = [...findPlaceholders(template)].filter(
+      (name) => !extracted.has(name) && (environmentValues[name] === undefined || environmentValues[name] === null)
+    );
+
+    if (missing.length > 0) {
+      throw new HttpError(
+        400,
+        `Step ${index + 1} uses ${missing.map((name) => `{{${name}}}`).join(", ")}, which no earlier step extracts${
+          options.environmentId === undefined || options.environmentId === null
+            ? '; pass an "environment_id" for environment values'
+            : " and the environment does not define"
+        }.`
+      );
+    }
+
+    // Extracted values win over environment values of the same name
+    const { auth_config: authConfig, ...rendered } = renderTemplate(
+      template,
+      Object.fromEntries(Object.entries(environmentValues).filter(([name]) => !extracted.has(name)))
+    );
+
+    if (step.path_params && (!contract || fillPathParams(rendered.url, contract.path) === null)) {
+      throw new HttpError(
+        400,
+        `Step ${index + 1}: the URL of endpoint ${endpoint.id} doesn't follow its spec path, so its path parameters can't be replaced.`
+      );
+    }
+
+    const method = endpoint.method.toUpperCase();
+    const oauth2 = authConfig?.oauth2 || null;
+    const validator =
+      contract && options.validateResponses !== false
+        ? contractService.createContractValidator(contract, { sampleRate: options.validationSampleRate })
+        : null;
+    const preparedStep = {
+      position: step.position,
+      name: step.name || endpoint.summary || `${method} ${endpoint.full_path}`,
+      api_endpoint_id: endpoint.id,
+      method,
+      pathTemplate: step.path_params ? contract.path : null,
+      template: rendered,
+      extract: step.extract || [],
+      oauth2,
+      validator,
+      samples: [],
+      extractionFailures: 0,
+      skipped: 0,
+    };
+    preparedStep.hooks = loadTestService.combineHooks(
+      oauth2 ? loadTestService.createOAuthHooks(oauth2) : {},
+      validator ? loadTestService.createContractHooks(validator) : {},
+      { afterSample: (sample) => preparedStep.samples.push(sample) }
+    );
+    prepared.push(preparedStep);
+
+    for (const extraction of step.extract || []) {
+      extracted.add(extraction.name);
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Path or query values with the values extracted so far, as strings for
+ * fillPathParams and setQueryParams to encode
+ */
+function renderParams(params, variables) {
+  return Object.fromEntries(
+    Object.entries(params).map(([name, value]) => {
+      const rendered = renderStepValue(value, variables);
+      return [name, typeof rendered === "object" ? JSON.stringify(rendered) : String(rendered)];
+    })
+  );
+}
+
+/**
+ * The request of one step with the values extracted so far; `runConfig`
+ * carries the load profile's request timeout
+ */
+function buildStepRequest(step, variables, runConfig) {
+  const { url, path_params: pathParams, query_params: queryParams, headers, body } = step.template;
+  const renderedUrl = renderStepValue(url, variables);
+  const filledUrl = step.pathTemplate
+    ? fillPathParams(renderedUrl, step.pathTemplate, renderParams(pathParams, variables))
+    : renderedUrl;
+
+  return {
+    ...loadTestService.buildRequestConfig({
+      method: step.method,
+      full_path: setQueryParams(filledUrl, renderParams(queryParams, variables)),
+      request_headers: renderStepValue(headers, variables),
+      request_body: renderStepValue(body, variables),
+    }),
+    ...runConfig,
+  };
+}
+
+/**
+ * Run the chain once. A failed request or a value that can't be extracted
+ * ends the iteration; the remaining steps count as skipped. Resolves to a
+ * runLoad sample for the whole iteration: the status of the last step sent,
+ * or null when an extraction failed.
+ */
+async function runIteration(steps, runConfig, runStartedAt) {
+  const variables = {};
+  const startedAt = performance.now();
+  const finish = (status, error) => ({
+    sample: {
+      status,
+      offsetMs: startedAt - runStartedAt,
+      latencyMs: performance.now() - startedAt,
+      ...(error ? { error } : {}),
+    },
+    response: null,
+    config: runConfig,
+  });
+
+  let status = null;
+  for (const [index, step] of steps.entries()) {
+    const { sample, response, config } = await loadTestService.sendPreparedRequest(
+      buildStepRequest(step, variables, runConfig),
+      step.hooks.prepareRequest,
+      runStartedAt
+    );
+    step.hooks.afterSample(sample, config, response);
+
+    if (!isSuccessfulSample(sample)) {
+      steps.slice(index + 1).forEach((skippedStep) => skippedStep.skipped++);
+      return finish(sample.status, sample.error);
+    }
+
+    const { values, missing } = extractValues(step.extract, response);
+    if (missing.length > 0) {
+      step.extractionFailures++;
+      steps.slice(index + 1).forEach((skippedStep) => skippedStep.skipped++);
+      return finish(null, `"${step.name}" returned no ${missing.join(", ")}`);
+    }
+
+    Object.assign(variables, values);
+    status = sample.status;
+  }
+
+  return finish(status);
+}
+
+/**
+ * Add the steps' counters and samples to runLoad checkpoints; like the
+ * iterations', only the samples added since the previous checkpoint. Steps
+ * of iterations in flight are included, so a resumed run may count them twice.
+ */
+function createStepCheckpointer(steps) {
+  const savedCounts = steps.map((step) => step.samples.length);
+
+  return (checkpoint) => ({
+    ...checkpoint,
+    steps: steps.map((step, index) => {
+      const samples = toSampleTuples(step.samples.slice(savedCounts[index]));
+      savedCounts[index] = step.samples.length;
+      return { samples, extraction_failures: step.extractionFailures, skipped: step.skipped };
+    }),
+  });
+}
+
+/**
+ * Carry on with the per-step figures stored by createStepCheckpointer
+ */
+function restoreStepCheckpoints(checkpoint, steps) {
+  (checkpoint?.steps || []).forEach((stored, index) => {
+    if (!steps[index]) return;
+    steps[index].samples = restoreCheckpointSamples(stored);
+    steps[index].extractionFailures = stored.extraction_failures;
+    steps[index].skipped = stored.skipped;
+  });
+}
+
+/**
+ * Load test a scenario and persist the end-to-end and per-step result. Each
+ * iteration of the chain counts as one request of the scenario's load plan
+ * (see runLoad), so load profiles, progress events and background jobs work
+ * as for a single endpoint; options are those of runEndpointLoadTest.
+ */
+async function runScenario(scenarioId, options = {}) {
+  const scenario = await databaseService.getScenarioById(scenarioId);
+
+  if (!scenario) {
+    return null;
+  }
+
+  if (scenario.steps.length === 0) {
+    throw new HttpError(400, `Scenario ${scenarioId} has no steps.`);
+  }
+
+  const plan = getLoadPlan({
+    total_requests: scenario.iterations,
+    threads: scenario.threads,
+    load_profile: scenario.load_profile,
+  });
+  const environmentValues =
+    options.environmentId === undefined || options.environmentId === null
+      ? {}
+      : (await environmentService.resolveEnvironmentValues(options.environmentId, scenario.user_id)).values;
+  const steps = await prepareScenarioSteps(scenario, environmentValues, options);
+  restoreStepCheckpoints(options.checkpoint, steps);
+  const withStepCheckpoints = createStepCheckpointer(steps);
+
+  if (!(await databaseService.claimScenarioRun(scenario.id))) {
+    throw new HttpError(409, `Scenario ${scenarioId} is already running.`);
+  }
+  const progress = progressService.startRun({ scenario_id: scenario.id }, plan);
+
+  try {
+    // Fetch the first tokens up front so a bad client configuration fails the run
+    for (const step of steps) {
+      if (step.oauth2) await oauthService.getAccessToken(step.oauth2);
+    }
+
+    const { samples, durationMs, dropped, checkpoint } = await loadTestService.runLoad({}, plan, progress.hooks, {
+      signal: options.signal,
+      checkpoint: options.checkpoint,
+      onCheckpoint:
+        options.onCheckpoint && ((runCheckpoint) => options.onCheckpoint(withStepCheckpoints(runCheckpoint))),
+      execute: (runConfig, runStartedAt) => runIteration(steps, runConfig, runStartedAt),
+    });
+
+    if (checkpoint) {
+      const reason = options.signal.reason;
+      await databaseService.updateScenarioStatus(scenario.id, reason);
+      progress.stop(reason);
+      return { stopped: reason, checkpoint: withStepCheckpoints(checkpoint) };
+    }
+
+    const result = await databaseService.saveScenarioResult({
+      scenario_id: scenario.id,
+      environment_id: options.environmentId ?? null,
+      ...summarizeScenarioRun(samples, steps, durationMs),
+      load_profile: scenario.load_profile,
+      dropped_count: dropped,
+    });
+
+    await databaseService.updateScenarioStatus(scenario.id, "completed");
+    const serialized = serializeLoadTestResult(result);
+    progress.finish(serialized);
+    return serialized;
+  } catch (error) {
+    console.error(`Scenario ${scenario.id} failed:`, error);
+    progress.fail(error);
+    await databaseService.updateScenarioStatus(scenario.id, "failed");
+    throw error;
+  }
+}
+
+/**
+ * Endpoint a link points at, by operationId or a local operationRef
+ * ("#/paths/~1orders~1{id}/get")
+ */
+function findLinkTarget(link, candidates) {
+  if (link.operationId) {
+    return candidates.find(({ contract }) => contract.operationId === link.operationId);
+  }
+
+  const ref = link.operationRef?.match(/^#\/paths\/([^/]+)\/([a-z]+)$/i);
+  if (!ref) {
+    return undefined;
+  }
+
+  const path = decodePointerToken(ref[1]);
+  const method = ref[2].toUpperCase();
+  return candidates.find(({ contract }) => contract.path === path && contract.method === method);
+}
+
+/**
+ * Two-step scenario for one link: the source extracts what the link's
+ * runtime expressions read, the target receives them as parameters/body
+ */
+function buildLinkSuggestion(linkName, link, source, target) {
+  const extract = [];
+  const targetStep = { api_endpoint_id: target.endpoint.id };
+  const notes = [];
+
+  const setParameter = (location, name, value) => {
+    const field = { path: "path_params", query: "query_params", header: "request_headers" }[location];
+    if (!field) {
+      notes.push(`Parameter "${name}" (${location || "unknown location"}) can't be set by a scenario step.`);
+      return;
+    }
+    targetStep[field] = { ...targetStep[field], [name]: value };
+  };
+
+  for (const [key, expression] of Object.entries(link.parameters || {})) {
+    const [prefix, ...rest] = key.split(".");
+    const qualified = rest.length > 0 && PARAMETER_LOCATIONS.includes(prefix);
+    const name = qualified ? rest.join(".") : key;
+    const location = qualified
+      ? prefix
+      : target.contract.parameters.find((parameter) => parameter.name === name)?.in;
+    const extraction = parseLinkExpression(expression);
+
+    if (extraction) {
+      const variable = name.replace(/[^\w.-]/g, "_");
+      extract.push({ name: variable, ...extraction });
+      setParameter(location, name, `{{${variable}}}`);
+    } else if (typeof expression === "string" && expression.startsWith("$")) {
+      notes.push(`"${key}": ${expression} is not a response value and can't be extracted.`);
+    } else {
+      setParameter(location, name, expression);
+    }
+  }
+
+  if (link.requestBody !== undefined) {
+    const extraction = parseLinkExpression(link.requestBody);
+    if (extraction) {
+      const variable = `${linkName.replace(/[^\w.-]/g, "_")}_body`;
+      extract.push({ name: variable, ...extraction });
+      targetStep.request_body = `{{${variable}}}`;
+    } else if (typeof link.requestBody === "string" && link.requestBody.startsWith("$")) {
+      notes.push(`Request body ${link.requestBody} is not a response value and can't be extracted.`);
+    } else {
+      targetStep.request_body = link.requestBody;
+    }
+  }
+
+  const label = ({ endpoint }) => endpoint.summary || `${endpoint.method} ${endpoint.full_path}`;
+
+  return {
+    name: `${label(source)} → ${label(target)}`,
+    link: linkName,
+    description: link.description || null,
+    steps: [{ api_endpoint_id: source.endpoint.id, extract }, targetStep],
+    notes,
+  };
+}
+
+/**
+ * Scenario suggestions from the OpenAPI links of a spec's saved endpoints,
+ * in the shape accepted by createScenario (plus notes on what a link needs
+ * that can't be expressed)
+ */
+async function suggestScenarios(specId) {
+  const endpoints = await databaseService.getApiEndpointsBySpecId(specId);
+  const candidates = [];
+
+  for (const endpoint of endpoints) {
+    const contract = await contractService.getEndpointContract(endpoint);
+    if (contract) candidates.push({ endpoint, contract });
+  }
+
+  const suggestions = [];
+
+  for (const source of candidates) {
+    const { responses, resolver } = source.contract;
+
+    for (const [status, rawResponse] of Object.entries(responses)) {
+      // Links of error responses don't make a working flow
+      if (!/^2/.test(status)) continue;
+
+      const links = (resolver.deref(rawResponse) || {}).links || {};
+      for (const [linkName, rawLink] of Object.entries(links)) {
+        const link = resolver.deref(rawLink) || {};
+        const target = findLinkTarget(link, candidates);
+
+        if (target) {
+          suggestions.push(buildLinkSuggestion(linkName, link, source, target));
+        }
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+export const scenarioService = {
+  createScenario,
+  updateScenario,
+  deleteScenario,
+  serializeScenario,
+  runScenario,
+  suggestScenarios,
+};
@@ -0,0 +1,371 @@
+import { swaggerService } from "./swaggerService.js";
+import { specService } from "./specService.js";
+import {
+  createSchemaBasedRequestBody,
+  selectRequestBodyContent,
+} from "../utils/swaggerUtils.js";
+import { diffFieldInfo } from "../utils/schemaDiff.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Match operations by method and path template, ignoring parameter names,
+ * so renaming /pets/{id} to /pets/{petId} is not a remove + add
+ */
+function getOperationKey(endpoint) {
+  return `${endpoint.method} ${endpoint.path.replace(/\{[^}]+\}/g, "{}")}`;
+}
+
+/**
+ * A diff side is a spec source (URL or inline document) or { versionId } of
+ * a stored spec version, which must belong to `userId` when one is given
+ */
+async function resolveDiffSource(side, label, userId) {
+  if (side?.versionId === undefined) {
+    return side;
+  }
+
+  const versionId = Number(side.versionId);
+  if (!Number.isInteger(versionId)) {
+    throw new HttpError(400, `Invalid "${label}.versionId".`);
+  }
+
+  const source = await specService.getStoredSpecSource(versionId, { userId });
+  if (!source) {
+    throw new HttpError(404, `Spec version ${versionId} not found.`);
+  }
+
+  return source;
+}
+
+/**
+ * Field metadata for a schema, as built for request body generation
+ */
+function getSchemaFieldInfo(schema, resolver) {
+  if (!schema) {
+    return null;
+  }
+
+  return createSchemaBasedRequestBody(schema, resolver, { seed: "diff" }).fieldInfo;
+}
+
+/**
+ * Key parameters by location and name; path parameters by their position in
+ * the template, since renaming one does not change the request
+ */
+function getParameterKey(endpoint, parameter) {
+  if (parameter.in === "path") {
+    const names = [...endpoint.path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+    const position = names.indexOf(parameter.name);
+    if (position !== -1) return `path:#${position}`;
+  }
+
+  return `${parameter.in}:${parameter.name}`;
+}
+
+function diffParameters(base, head) {
+  const changes = [];
+  const baseParams = new Map(
+    base.endpoint.parameters.map((param) => [getParameterKey(base.endpoint, param), param])
+  );
+  const headParams = new Map(
+    head.endpoint.parameters.map((param) => [getParameterKey(head.endpoint, param), param])
+  );
+
+  for (const [key, param] of headParams) {
+    const location = `parameter ${param.in}:${param.name}`;
+    const before = baseParams.get(key);
+
+    if (!before) {
+      changes.push({
+        location,
+        type: param.required ? "parameter.required-added" : "parameter.added",
+        breaking: Boolean(param.required),
+        message: `${param.required ? "Required" : "Optional"} ${param.in} parameter "${param.name}" was added.`,
+      });
+      continue;
+    }
+
+    if (Boolean(before.required) !== Boolean(param.required)) {
+      changes.push({
+        location,
+        type: param.required ? "parameter.became-required" : "parameter.became-optional",
+        breaking: Boolean(param.required),
+        message: `${param.in} parameter "${param.name}" became ${param.required ? "required" : "optional"}.`,
+        before: Boolean(before.required),
+        after: Boolean(param.required),
+      });
+    }
+
+    const fieldChanges = diffFieldInfo(
+      getSchemaFieldInfo(before.schema, base.resolver),
+      getSchemaFieldInfo(param.schema, head.resolver),
+      "request",
+      `${param.in} parameter "${param.name}"`
+    );
+    changes.push(...fieldChanges.map((change) => ({ location, ...change })));
+  }
+
+  for (const [key, param] of baseParams) {
+    if (headParams.has(key)) continue;
+
+    changes.push({
+      location: `parameter ${param.in}:${param.name}`,
+      type: "parameter.removed",
+      breaking: false,
+      message: `${param.in} parameter "${param.name}" was removed.`,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Media types present in `before` but not in `after`, and the other way round
+ */
+function diffMediaTypes(before, after) {
+  const beforeTypes = Object.keys(before?.content || {});
+  const afterTypes = Object.keys(after?.content || {});
+
+  return {
+    removed: beforeTypes.filter((type) => !afterTypes.includes(type)),
+    added: afterTypes.filter((type) => !beforeTypes.includes(type)),
+  };
+}
+
+function diffRequestBodies(base, head) {
+  const location = "requestBody";
+  const before = base.endpoint.requestBody;
+  const after = head.endpoint.requestBody;
+
+  if (!before && !after) {
+    return [];
+  }
+
+  if (!before || !after) {
+    const required = Boolean(after?.required);
+    return [
+      {
+        location,
+        type: after ? "request.body.added" : "request.body.removed",
+        breaking: required,
+        message: after
+          ? `A ${required ? "required" : "optional"} request body was added.`
+          : "The request body was removed.",
+      },
+    ];
+  }
+
+  const changes = [];
+
+  if (Boolean(before.required) !== Boolean(after.required)) {
+    changes.push({
+      location,
+      type: after.required ? "request.body.became-required" : "request.body.became-optional",
+      breaking: Boolean(after.required),
+      message: `The request body became ${after.required ? "required" : "optional"}.`,
+    });
+  }
+
+  const mediaTypes = diffMediaTypes(before, after);
+  for (const mediaType of mediaTypes.removed) {
+    changes.push({
+      location,
+      type: "request.media-type.removed",
+      breaking: true,
+      message: `Request media type ${mediaType} is no longer accepted.`,
+    });
+  }
+  for (const mediaType of mediaTypes.added) {
+    changes.push({
+      location,
+      type: "request.media-type.added",
+      breaking: false,
+      message: `Request media type ${mediaType} is now accepted.`,
+    });
+  }
+
+  const fieldChanges = diffFieldInfo(
+    getSchemaFieldInfo(selectRequestBodyContent(before)?.schema, base.resolver),
+    getSchemaFieldInfo(selectRequestBodyContent(after)?.schema, head.resolver),
+    "request"
+  );
+  changes.push(...fieldChanges.map((change) => ({ location, ...change })));
+
+  return changes;
+}
+
+function isSuccessStatus(status) {
+  return /^2/.test(status) || status === "default";
+}
+
+function diffResponses(base, head) {
+  const changes = [];
+  const before = base.endpoint.responses || {};
+  const after = head.endpoint.responses || {};
+
+  for (const status of Object.keys(before)) {
+    if (after[status]) continue;
+
+    changes.push({
+      location: `response ${status}`,
+      type: "response.removed",
+      breaking: isSuccessStatus(status),
+      message: `Response ${status} was removed.`,
+    });
+  }
+
+  for (const [status, response] of Object.entries(after)) {
+    const location = `response ${status}`;
+
+    if (!before[status]) {
+      changes.push({
+        location,
+        type: "response.added",
+        breaking: false,
+        message: `Response ${status} was added.`,
+      });
+      continue;
+    }
+
+    const mediaTypes = diffMediaTypes(before[status], response);
+    for (const mediaType of mediaTypes.removed) {
+      changes.push({
+        location,
+        type: "response.media-type.removed",
+        breaking: true,
+        message: `Response media type ${mediaType} is no longer returned.`,
+      });
+    }
+    for (const mediaType of mediaTypes.added) {
+      changes.push({
+        location,
+        type: "response.media-type.added",
+        breaking: false,
+        message: `Response media type ${mediaType} may now be returned.`,
+      });
+    }
+
+    const fieldChanges = diffFieldInfo(
+      getSchemaFieldInfo(selectRequestBodyContent(before[status])?.schema, base.resolver),
+      getSchemaFieldInfo(selectRequestBodyContent(response)?.schema, head.resolver),
+      "response",
+      `the ${status} response body`
+    );
+    changes.push(...fieldChanges.map((change) => ({ location, ...change })));
+  }
+
+  return changes;
+}
+
+/**
+ * All changes between two versions of one operation
+ */
+function diffOperation(base, head) {
+  const changes = [];
+
+  if (!base.endpoint.deprecated && head.endpoint.deprecated) {
+    changes.push({
+      location: "operation",
+      type: "operation.deprecated",
+      breaking: false,
+      message: "The operation was deprecated.",
+    });
+  }
+
+  return [
+    ...changes,
+    ...diffParameters(base, head),
+    ...diffRequestBodies(base, head),
+    ...diffResponses(base, head),
+  ];
+}
+
+function describeOperation(endpoint) {
+  return {
+    id: endpoint.id,
+    operation: `${endpoint.method} ${endpoint.path}`,
+  };
+}
+
+/**
+ * Compare two specs and list their changes, each classified as breaking or
+ * not for existing clients. Both specs go through the same normalization as
+ * imports, so Swagger 2.0 and OpenAPI 3.x documents can be compared.
+ * `options.userId` limits stored versions to that user's specs.
+ */
+async function diffSpecs(baseSide, headSide, options = {}) {
+  const [baseData, headData] = await Promise.all([
+    resolveDiffSource(baseSide, "base", options.userId).then(swaggerService.getSwaggerData),
+    resolveDiffSource(headSide, "head", options.userId).then(swaggerService.getSwaggerData),
+  ]);
+
+  const baseOperations = new Map(
+    baseData.endpoints.map((endpoint) => [getOperationKey(endpoint), endpoint])
+  );
+  const headOperations = new Map(
+    headData.endpoints.map((endpoint) => [getOperationKey(endpoint), endpoint])
+  );
+  const changes = [];
+  const operations = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+  for (const [key, endpoint] of baseOperations) {
+    if (headOperations.has(key)) continue;
+
+    operations.removed++;
+    changes.push({
+      ...describeOperation(endpoint),
+      location: "operation",
+      type: "operation.removed",
+      breaking: true,
+      message: `${endpoint.method} ${endpoint.path} was removed.`,
+    });
+  }
+
+  for (const [key, endpoint] of headOperations) {
+    const baseEndpoint = baseOperations.get(key);
+
+    if (!baseEndpoint) {
+      operations.added++;
+      changes.push({
+        ...describeOperation(endpoint),
+        location: "operation",
+        type: "operation.added",
+        breaking: false,
+        message: `${endpoint.method} ${endpoint.path} was added.`,
+      });
+      continue;
+    }
+
+    const operationChanges = diffOperation(
+      { endpoint: baseEndpoint, resolver: baseData.resolver },
+      { endpoint, resolver: headData.resolver }
+    );
+
+    if (operationChanges.length === 0) {
+      operations.unchanged++;
+      continue;
+    }
+
+    operations.changed++;
+    changes.push(
+      ...operationChanges.map((change) => ({ ...describeOperation(endpoint), ...change }))
+    );
+  }
+
+  const breakingCount = changes.filter((change) => change.breaking).length;
+
+  return {
+    base: { title: baseData.info.title, version: baseData.info.version },
+    head: { title: headData.info.title, version: headData.info.version },
+    summary: {
+      breaking: breakingCount,
+      nonBreaking: changes.length - breakingCount,
+      operations,
+    },
+    changes,
+  };
+}
+
+export const specDiffService = {
+  diffSpecs,
+};
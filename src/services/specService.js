@@ -0,0 +1,85 @@
+import crypto from "node:crypto";
+import { databaseService } from "./databaseService.js";
+import { normalizeSpecSource } from "../utils/specLoader.js";
+
+/**
+ * Hash of a bundled spec ({ document, files }) used to detect new versions
+ */
+function hashSpecContent(bundle) {
+  return crypto.createHash("sha256").update(JSON.stringify(bundle)).digest("hex");
+}
+
+/**
+ * Strip the stored document from a version for API responses
+ */
+function summarizeSpecVersion(version) {
+  const { document, ...summary } = version;
+  return summary;
+}
+
+/**
+ * Record an import: find or create the user's ApiSpec for the source (its URL,
+ * or `options.specName` for uploaded documents) and the ApiSpecVersion for its
+ * content
+ */
+async function recordSpecImport(userId, source, swaggerData, options = {}) {
+  const { url, document } = normalizeSpecSource(source);
+  const sourceType = document !== undefined && document !== null ? "upload" : "url";
+  const name = options.specName || swaggerData.info?.title || url || "Untitled spec";
+  const bundle = {
+    document: swaggerData.resolver.document,
+    files: swaggerData.resolver.files,
+  };
+  const contentHash = hashSpecContent(bundle);
+
+  const spec = await databaseService.upsertApiSpec({
+    name,
+    source_type: sourceType,
+    source_url: url,
+    user_id: userId,
+  });
+
+  const existingVersion = await databaseService.findApiSpecVersionByHash(
+    spec.id,
+    contentHash
+  );
+  const version = existingVersion
+    ? await databaseService.touchApiSpecVersion(existingVersion.id)
+    : await databaseService.createApiSpecVersion({
+        spec_id: spec.id,
+        version: swaggerData.info?.version,
+        content_hash: contentHash,
+        document: bundle,
+      });
+
+  return {
+    spec,
+    version: summarizeSpecVersion(version),
+    isNewVersion: !existingVersion,
+  };
+}
+
+/**
+ * Spec source for a stored version, loadable with swaggerService.getSwaggerData.
+ * With `options.userId`, versions of other users' specs are treated as missing.
+ */
+async function getStoredSpecSource(versionId, options = {}) {
+  const version = await databaseService.getApiSpecVersionById(versionId);
+
+  if (!version || (options.userId !== undefined && version.spec.user_id !== options.userId)) {
+    return null;
+  }
+
+  return {
+    url: version.spec.source_url || undefined,
+    document: version.document.document,
+    files: version.document.files || {},
+    bundled: true,
+  };
+}
+
+export const specService = {
+  recordSpecImport,
+  getStoredSpecSource,
+  summarizeSpecVersion,
+};
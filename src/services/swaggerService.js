@@ -1,233 +1,488 @@
-import axios from "axios";
 import { databaseService } from "./databaseService.js";
+import { specService } from "./specService.js";
+import { payloadService } from "./payloadService.js";
+import { environmentService } from "./environmentService.js";
 import {
-  extractBaseUrl,
   createPathWithParams,
+  createParameterHeaders,
   createSchemaBasedRequestBody,
+  selectRequestBodyContent,
+  createEndpointHash,
 } from "../utils/swaggerUtils.js";
+import { createRandom } from "../utils/random.js";
+import { loadSpecBundle, normalizeSpecSource } from "../utils/specLoader.js";
+import { createRefResolver } from "../utils/refResolver.js";
+import {
+  isSwagger2,
+  normalizeSwagger2Operation,
+  buildSwagger2Servers,
+} from "../utils/specNormalizer.js";
+import { filterEndpoints, groupEndpointsByTag } from "../utils/endpointFilters.js";
+import { resolveServerBaseUrl } from "../utils/serverUtils.js";
+import {
+  resolveOperationAuth,
+  extractCredentialSecrets,
+  appendQueryParameters,
+  mergeCookieHeader,
+} from "../utils/securityUtils.js";
+import { HttpError } from "../utils/errors.js";
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+// Environment secret an import token is stored as unless named otherwise
+const TOKEN_SECRET_NAME = "apiToken";
+
+/**
+ * Merge path-level parameters with operation-level ones; an operation
+ * parameter overrides a path parameter with the same name and location
+ */
+function mergeParameters(pathParameters = [], operationParameters = []) {
+  const overridden = new Set(operationParameters.map((param) => `${param.in}:${param.name}`));
+  return [
+    ...pathParameters.filter((param) => !overridden.has(`${param.in}:${param.name}`)),
+    ...operationParameters,
+  ];
+}
+
+/**
+ * Give every operation a stable id: its operationId, or a hash of method and
+ * path when it has none (or shares its operationId with another operation).
+ * Unlike list positions, these ids survive paths being added or reordered.
+ */
+function assignEndpointIds(endpoints) {
+  const operationIdCounts = endpoints.reduce((counts, endpoint) => {
+    if (endpoint.operationId) {
+      counts[endpoint.operationId] = (counts[endpoint.operationId] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+  for (const endpoint of endpoints) {
+    endpoint.id =
+      endpoint.operationId && operationIdCounts[endpoint.operationId] === 1
+        ? endpoint.operationId
+        : createEndpointHash(endpoint.method, endpoint.path);
+  }
+
+  return endpoints;
+}
+
+/**
+ * Pick the endpoints named by `selectedIds` (all when empty) that also match
+ * the tag/method/path/deprecated `filters`; unknown ids are rejected rather
+ * than silently skipped
+ */
+function selectEndpoints(endpoints, selectedIds = [], filters = {}) {
+  if (!selectedIds || selectedIds.length === 0) {
+    return filterEndpoints(endpoints, filters);
+  }
+
+  const byId = new Map(endpoints.map((endpoint) => [endpoint.id, endpoint]));
+  const unknownIds = selectedIds.filter((id) => !byId.has(String(id)));
+
+  if (unknownIds.length > 0) {
+    throw new HttpError(
+      400,
+      `Unknown endpoint id(s): ${unknownIds.join(", ")}. Fetch the current ids from /api/swagger/endpoints.`
+    );
+  }
+
+  const selected = [...new Set(selectedIds.map(String))].map((id) => byId.get(id));
+  return filterEndpoints(selected, filters);
+}
 
 /**
- * Fetches swagger documentation from a URL and parses it
+ * Loads swagger documentation from a URL or an inline document and parses it.
+ * The returned `resolver` dereferences any $ref in the document or its files.
+ * `serverOptions` ({ serverIndex, serverUrl, serverVariables, baseUrl }) pick
+ * the server requests go to; each endpoint gets its own `baseUrl` since paths
+ * and operations may declare servers of their own.
  */
-async function getSwaggerData(swaggerUrl) {
+async function getSwaggerData(source, serverOptions = {}) {
   try {
-    const { data } = await axios.get(swaggerUrl);
+    const { document: data, files } = await loadSpecBundle(source);
+    const resolver = createRefResolver(data, files);
+    const { url: swaggerUrl } = normalizeSpecSource(source);
+    const swagger2 = isSwagger2(data);
     const paths = data.paths || {};
     const definitions = data.definitions || data.components?.schemas || {};
     const security = data.security || [];
     const securitySchemes =
       data.components?.securitySchemes || data.securityDefinitions || {};
-    const endpoints = Object.entries(paths).flatMap(([path, methods]) =>
-      Object.entries(methods).map(([method, details]) => ({
-        method: method.toUpperCase(),
-        path,
-        summary: details.summary || details.description || "",
-        tags: details.tags || [],
-        parameters: details.parameters || [],
-        requestBody: details.requestBody || null,
-      }))
-    );
+    const endpoints = Object.entries(paths).flatMap(([path, rawPathItem]) => {
+      const pathItem = resolver.deref(rawPathItem) || {};
+      const pathParameters = (pathItem.parameters || []).map(resolver.deref);
+
+      return Object.entries(pathItem)
+        .filter(([method]) => HTTP_METHODS.includes(method.toLowerCase()))
+        .map(([method, operation]) => {
+          const dereferenced = {
+            ...operation,
+            parameters: mergeParameters(
+              pathParameters,
+              (operation.parameters || []).map(resolver.deref)
+            ),
+            requestBody: resolver.deref(operation.requestBody),
+            responses: Object.fromEntries(
+              Object.entries(operation.responses || {}).map(([status, response]) => [
+                status,
+                resolver.deref(response),
+              ])
+            ),
+          };
+          // Swagger 2.0 body/formData parameters become an OAS3 requestBody
+          const details = swagger2
+            ? normalizeSwagger2Operation(dereferenced, data)
+            : dereferenced;
+
+          return {
+            operationId: details.operationId || null,
+            method: method.toUpperCase(),
+            path,
+            summary: details.summary || details.description || "",
+            tags: details.tags || [],
+            deprecated: Boolean(details.deprecated),
+            parameters: details.parameters || [],
+            requestBody: details.requestBody || null,
+            responses: details.responses,
+            // Operation-level security overrides the document's; [] means public
+            security: details.security ?? data.security ?? [],
+            servers: operation.servers || pathItem.servers || null,
+          };
+        });
+    });
+    assignEndpointIds(endpoints);
+
+    const servers = swagger2
+      ? buildSwagger2Servers(data, swaggerUrl)
+      : data.servers || [];
+    const { baseUrl, server } = resolveServerBaseUrl(servers, {
+      ...serverOptions,
+      docUrl: swaggerUrl,
+    });
+
+    for (const endpoint of endpoints) {
+      // The chosen index/URL refers to the document's list; path and operation
+      // lists fall back to their first server when it doesn't apply
+      endpoint.baseUrl = endpoint.servers
+        ? resolveServerBaseUrl(endpoint.servers, { ...serverOptions, docUrl: swaggerUrl }, false).baseUrl
+        : baseUrl;
+    }
 
     return {
       info: data.info || {},
-      servers: data.servers || [],
+      tags: data.tags || [],
+      servers,
+      server,
+      baseUrl,
       endpoints,
       paths,
       definitions,
       security,
       securitySchemes,
+      resolver,
     };
   } catch (error) {
+    if (error instanceof HttpError) throw error;
     console.error("Error fetching swagger data:", error);
     throw new Error("Failed to fetch or parse Swagger data");
   }
 }
 
+/**
+ * Per-operation random source. A seed is salted with the operation so each
+ * endpoint's values stay the same when other endpoints are added or skipped.
+ */
+function createEndpointRandom(endpoint, options = {}) {
+  const { seed } = options;
+
+  if (seed === undefined || seed === null || seed === "") {
+    return createRandom();
+  }
+
+  return createRandom(`${seed}:${endpoint.method} ${endpoint.path}`);
+}
+
+/**
+ * Caller supplied parameter values for an endpoint. `parameterValues` maps
+ * parameter names to values for every endpoint, and endpoint ids or
+ * "METHOD /path" keys to per-operation maps that take precedence, e.g.
+ * { "limit": 10, "getOrder": { "orderId": 42 } }
+ */
+function getParameterValues(endpoint, parameterValues = {}) {
+  const operationKey = `${endpoint.method} ${endpoint.path}`;
+  const globalValues = Object.fromEntries(
+    Object.entries(parameterValues || {}).filter(
+      ([key]) => !/^[A-Z]+ \//.test(key) && key !== endpoint.id
+    )
+  );
+
+  return {
+    ...globalValues,
+    ...(parameterValues?.[operationKey] || {}),
+    ...(parameterValues?.[endpoint.id] || {}),
+  };
+}
+
+/**
+ * Build the concrete request for an endpoint: the path with parameter values,
+ * header/cookie parameters and a request body generated from its schema.
+ * An `aiPayload` (see payloadService) supplies values ahead of the spec's
+ * examples and the generator; caller supplied parameter values still win.
+ */
+function buildEndpointRequest(endpoint, swaggerData, options = {}, aiPayload = null) {
+  const random = createEndpointRandom(endpoint, options);
+  const parameterOptions = {
+    resolver: swaggerData.resolver,
+    random,
+    values: {
+      ...aiPayload?.parameters,
+      ...getParameterValues(endpoint, options.parameterValues),
+    },
+  };
+  const bodyContent = selectRequestBodyContent(endpoint.requestBody);
+  let requestBody = bodyContent?.example ?? null;
+  let bodySource = requestBody === null ? null : "example";
+  let requestFieldInfo = null;
+
+  if (bodyContent?.schema) {
+    try {
+      const result = createSchemaBasedRequestBody(
+        bodyContent.schema,
+        swaggerData.resolver,
+        { random }
+      );
+      requestBody = bodyContent.example ?? result.dummyData;
+      bodySource = bodyContent.example === undefined ? "generated" : "example";
+      requestFieldInfo = result.fieldInfo;
+    } catch (error) {
+      console.error(`Error processing request body schema for ${endpoint.path}:`, error);
+    }
+  }
+
+  if (aiPayload?.body !== undefined) {
+    requestBody = aiPayload.body;
+    bodySource = "ai";
+  }
+
+  return {
+    contentType: bodyContent?.contentType || null,
+    requestBody,
+    bodySource,
+    requestFieldInfo,
+    path: createPathWithParams(endpoint.path, endpoint.parameters, parameterOptions),
+    headers: createParameterHeaders(endpoint.parameters, parameterOptions),
+  };
+}
+
+/**
+ * Credentials saved on imported endpoints: never the values themselves, but
+ * {{placeholders}} resolved at run time. Placeholders are kept as given; any
+ * other token becomes a secret named `options.tokenSecret` (default
+ * "apiToken") and per-scheme credentials secrets named after their scheme
+ * (see extractCredentialSecrets). Returns { token, credentials, secrets },
+ * the secrets still to be stored in `options.environmentId`.
+ */
+function extractImportSecrets(token, credentials, securitySchemes, options = {}) {
+  const { credentials: storedCredentials, secrets } = extractCredentialSecrets(credentials, securitySchemes);
+  let storedToken = token;
+
+  if (token !== undefined && token !== null && token !== "" && !/^\{\{\s*[\w.-]+\s*\}\}$/.test(token)) {
+    const name = options.tokenSecret ?? TOKEN_SECRET_NAME;
+    secrets[name] = token;
+    storedToken = `{{${name}}}`;
+  }
+
+  if (Object.keys(secrets).length > 0 && options.environmentId === undefined) {
+    throw new HttpError(
+      400,
+      'Pass an "environment_id" to store "token" and "credentials" as environment secrets, or pass them as {{secret}} placeholders.'
+    );
+  }
+
+  return { token: storedToken, credentials: storedCredentials, secrets };
+}
+
 /**
  * Process the swagger data and save to database
  */
-async function processSwaggerData(swaggerUrl, userId, total_requests, threads, selectedIds = [], token) {
+async function processSwaggerData(source, userId, total_requests, threads, selectedIds = [], token, options = {}) {
+  // Uploads are matched to their ApiSpec by name on later imports
+  const { document } = normalizeSpecSource(source);
+  if (document !== undefined && document !== null && !options.specName) {
+    throw new HttpError(400, '"specName" is required when uploading a spec document.');
+  }
+
   try {
-    const swaggerData = await getSwaggerData(swaggerUrl);
-    const baseUrl = extractBaseUrl(swaggerUrl);
+    const swaggerData = await getSwaggerData(source, options.server);
     const processedEndpoints = [];
 
-    // Add ID to each endpoint
-    let idCounter = 1;
-    const endpointsWithIds = swaggerData.endpoints.map((endpoint) => ({
-      ...endpoint,
-      id: idCounter++,
-    }));
-
     // Determine which endpoints to process
-    const endpointsToProcess =
-      selectedIds.length === 0
-        ? endpointsWithIds
-        : endpointsWithIds.filter((ep) => selectedIds.includes(ep.id));
-
-    // Determine auth type
-    let authHeaderKey = 'Authorization';
-    let authHeaderValue = '';
-    
-    const securityRequirements = swaggerData.security || [];
-    const securitySchemes = swaggerData.securitySchemes || {};
-
-    if (token && securityRequirements.length > 0) {
-      const firstRequirement = securityRequirements[0];
-      const securitySchemeName = Object.keys(firstRequirement)[0];
-      const securityScheme = securitySchemes[securitySchemeName];
-    
-      if (securityScheme) {
-        switch (securityScheme.type) {
-          case 'http':
-            if (securityScheme.scheme === 'basic') {
-              authHeaderValue = `Basic ${token}`;
-            } else if (securityScheme.scheme === 'bearer') {
-              authHeaderValue = `Bearer ${token}`;
-            }
-            break;
-          case 'apiKey':
-            if (securityScheme.in === 'header') {
-              authHeaderKey = securityScheme.name;
-              authHeaderValue = token;
-            }
-            break;
-          default:
-            console.warn("Unknown auth scheme type; using Bearer fallback.");
-            authHeaderValue = `Bearer ${token}`;
-        }
-      } else {
-        console.warn(`Security scheme '${securitySchemeName}' not found.`);
+    const endpointsToProcess = selectEndpoints(
+      swaggerData.endpoints,
+      selectedIds,
+      options.filters
+    );
+
+    const importCredentials = extractImportSecrets(
+      token,
+      options.credentials,
+      swaggerData.securitySchemes,
+      options
+    );
+
+    const authWarnings = [];
+    const payloadWarnings = [];
+    const generated =
+      options.payloadMode === "ai"
+        ? await payloadService.generatePayloads(endpointsToProcess, swaggerData)
+        : null;
+
+    // Build every endpoint first: a rejected import stores nothing
+    const builtEndpoints = endpointsToProcess.map((endpoint) => {
+      const aiPayload = generated?.payloads.get(endpoint.id);
+      const request = buildEndpointRequest(endpoint, swaggerData, options, aiPayload);
+
+      // Parts of the AI payload that broke their schema fell back to the generator
+      if (aiPayload?.rejected.length > 0) {
+        payloadWarnings.push({
+          id: endpoint.id,
+          method: endpoint.method,
+          path: endpoint.path,
+          rejected: aiPayload.rejected,
+        });
       }
-    }
+      const auth = resolveOperationAuth(endpoint.security, swaggerData.securitySchemes, {
+        credentials: importCredentials.credentials,
+        token: importCredentials.token,
+        baseUrl: endpoint.baseUrl,
+      });
 
-    for (const endpoint of endpointsToProcess) {
-      const pathDetails = swaggerData.paths?.[endpoint.path];
-
-      let requestBody = null;
-      let requestFieldInfo = null;
-
-      if (endpoint.requestBody) {
-        try {
-          const content = endpoint.requestBody.content || {};
-          const jsonContent =
-            content["application/json"] || Object.values(content)[0];
-
-          if (jsonContent && jsonContent.schema) {
-            const schema = jsonContent.schema;
-            const result = createSchemaBasedRequestBody(
-              schema,
-              swaggerData.definitions
-            );
-            requestBody = JSON.stringify(result.dummyData);
-            requestFieldInfo = result.fieldInfo;
-          }
-        } catch (error) {
-          console.error("Error processing request body schema:", error);
-          requestBody = null;
-          requestFieldInfo = null;
-        }
+      if (auth.missing.length > 0) {
+        authWarnings.push({
+          id: endpoint.id,
+          method: endpoint.method,
+          path: endpoint.path,
+          missing: auth.missing,
+        });
       }
 
+      const cookieHeader = mergeCookieHeader(request.headers.Cookie, auth.cookies);
+
       // Process the endpoint
-      const processedEndpoint = {
+      return {
+        operation_id: endpoint.id,
         method: endpoint.method,
-        full_path: `${baseUrl}${createPathWithParams(
-          endpoint.path,
-          endpoint.parameters
-        )}`,
+        full_path: appendQueryParameters(`${endpoint.baseUrl}${request.path}`, auth.query),
         summary: endpoint.summary || "",
-        request_body: requestBody,
-        request_field_info: requestFieldInfo
-          ? JSON.stringify(requestFieldInfo)
+        request_body:
+          request.requestBody === null ? null : JSON.stringify(request.requestBody),
+        request_field_info: request.requestFieldInfo
+          ? JSON.stringify(request.requestFieldInfo)
           : null,
         request_headers: JSON.stringify({
-          "Content-Type": "application/json",
-          ...(token && authHeaderValue ? { [authHeaderKey]: authHeaderValue } : {}),
+          "Content-Type": request.contentType || "application/json",
+          ...request.headers,
+          ...auth.headers,
+          ...(cookieHeader ? { Cookie: cookieHeader } : {}),
         }),
+        // OAuth2 tokens are fetched (and refreshed) when the load test runs
+        auth_config: auth.oauth2 ? { oauth2: auth.oauth2 } : null,
       };
+    });
 
-      const savedEndpoint = await databaseService.saveApiEndpoint({
+    if (Object.keys(importCredentials.secrets).length > 0) {
+      await environmentService.storeSecrets(options.environmentId, userId, importCredentials.secrets);
+    }
+
+    // Keep the imported document as a version of the user's spec
+    const { spec, version, isNewVersion } = await specService.recordSpecImport(
+      userId,
+      source,
+      swaggerData,
+      { specName: options.specName }
+    );
+
+    for (const processedEndpoint of builtEndpoints) {
+      const savedEndpoint = await databaseService.upsertSpecApiEndpoint({
         ...processedEndpoint,
         user_id: userId,
         total_requests: total_requests,
         threads: threads,
+        load_profile: options.loadProfile,
+        spec_id: spec.id,
+        spec_version_id: version.id,
       });
 
-      // const savedEndpoint = {
-      //   ...processedEndpoint,
-      //   user_id: userId,
-      //   load_status: true,
-      //   total_requests: total_requests,
-      //   threads: threads,
-      // };
-
       processedEndpoints.push(savedEndpoint);
     }
 
+    // Endpoints saved from earlier versions whose operation is gone
+    const currentIds = new Set(swaggerData.endpoints.map((endpoint) => endpoint.id));
+    const staleEndpoints = (await databaseService.getApiEndpointsBySpecId(spec.id))
+      .filter((endpoint) => !currentIds.has(endpoint.operation_id))
+      .map((endpoint) => ({
+        id: endpoint.id,
+        operation_id: endpoint.operation_id,
+        method: endpoint.method,
+        full_path: endpoint.full_path,
+      }));
+
     return {
       swaggerInfo: swaggerData.info,
+      server: swaggerData.server,
+      baseUrl: swaggerData.baseUrl,
+      spec: { id: spec.id, name: spec.name, source_type: spec.source_type },
+      specVersion: { ...version, isNew: isNewVersion },
       endpointsProcessed: processedEndpoints.length,
       endpoints: processedEndpoints,
+      staleEndpoints,
+      authWarnings,
+      ...(generated ? { payloadProvider: generated.provider, payloadWarnings } : {}),
     };
   } catch (error) {
+    if (error instanceof HttpError) throw error;
     console.error("Error processing swagger data:", error);
     throw new Error("Failed to process Swagger data");
   }
 }
 
-async function extractRequestBodyTemplates(swaggerUrl, selectedIds = []) {
+async function extractRequestBodyTemplates(source, selectedIds = [], options = {}) {
   try {
-    const swaggerData = await getSwaggerData(swaggerUrl);
-    const baseUrl = extractBaseUrl(swaggerUrl);
-
-    let idCounter = 1;
-    const endpointsWithIds = swaggerData.endpoints.map((endpoint) => ({
-      ...endpoint,
-      id: idCounter++,
-    }));
+    const swaggerData = await getSwaggerData(source, options.server);
 
-    const endpointsToProcess =
-      selectedIds.length === 0
-        ? endpointsWithIds
-        : endpointsWithIds.filter((ep) => selectedIds.includes(ep.id));
+    const endpointsToProcess = selectEndpoints(
+      swaggerData.endpoints,
+      selectedIds,
+      options.filters
+    );
 
     const resultTemplates = [];
+    const generated =
+      options.payloadMode === "ai"
+        ? await payloadService.generatePayloads(endpointsToProcess, swaggerData)
+        : null;
 
     for (const endpoint of endpointsToProcess) {
-      let requestBody = null;
-      let requestFieldInfo = null;
-
-      if (endpoint.requestBody) {
-        try {
-          const content = endpoint.requestBody.content || {};
-          const jsonContent =
-            content["application/json"] || Object.values(content)[0];
-
-          if (jsonContent?.schema) {
-            const schema = jsonContent.schema;
-            const result = createSchemaBasedRequestBody(
-              schema,
-              swaggerData.definitions
-            );
-            requestBody = result.dummyData;
-            requestFieldInfo = result.fieldInfo;
-          }
-        } catch (err) {
-          console.warn(`Failed to extract request body for ${endpoint.path}`, err);
-        }
-      }
+      const aiPayload = generated?.payloads.get(endpoint.id);
+      const request = buildEndpointRequest(endpoint, swaggerData, options, aiPayload);
 
       resultTemplates.push({
+        id: endpoint.id,
         method: endpoint.method.toUpperCase(),
-        api_url: `${baseUrl}${createPathWithParams(endpoint.path, endpoint.parameters)}`,
-        request_body_template: requestBody,
-        request_fields_info: requestFieldInfo,
+        api_url: `${endpoint.baseUrl}${request.path}`,
+        content_type: request.contentType,
+        request_headers: request.headers,
+        request_body_template: request.requestBody,
+        request_fields_info: request.requestFieldInfo,
+        ...(aiPayload
+          ? { payload_source: request.bodySource, payload_warnings: aiPayload.rejected }
+          : {}),
       });
     }
 
     return resultTemplates;
   } catch (error) {
+    if (error instanceof HttpError) throw error;
     console.error("Error extracting request body templates:", error);
     throw new Error("Failed to extract request body templates");
   }
@@ -235,26 +490,38 @@ async function extractRequestBodyTemplates(swaggerUrl, selectedIds = []) {
 
 
 
-async function getSwaggerEndpointPaths(swaggerUrl) {
+/**
+ * List the endpoints of a spec (optionally filtered), flat or grouped by tag
+ */
+async function getSwaggerEndpointPaths(source, options = {}) {
   try {
-    const swaggerData = await getSwaggerData(swaggerUrl);
-    const baseUrl = extractBaseUrl(swaggerUrl);
+    const swaggerData = await getSwaggerData(source);
     const endpointsInfo = [];
 
-    let idCounter = 1;
-    for (const endpoint of swaggerData.endpoints) {
-      const fullPath = createPathWithParams(endpoint.path, endpoint.parameters);
+    for (const endpoint of filterEndpoints(swaggerData.endpoints, options.filters)) {
+      const fullPath = createPathWithParams(endpoint.path, endpoint.parameters, {
+        resolver: swaggerData.resolver,
+      });
       
       const method = endpoint.method || ['GET']; // Default to GET if not provided
         endpointsInfo.push({
-          id: idCounter++,
+          id: endpoint.id,
+          operationId: endpoint.operationId,
           method: method.toUpperCase(),
-          path: fullPath
+          path: fullPath,
+          summary: endpoint.summary,
+          tags: endpoint.tags,
+          deprecated: endpoint.deprecated,
         });
     }
 
+    if (options.groupBy === "tag") {
+      return groupEndpointsByTag(endpointsInfo, swaggerData.tags);
+    }
+
     return endpointsInfo;
   } catch (error) {
+    if (error instanceof HttpError) throw error;
     console.error("Error extracting endpoint paths:", error);
     throw new Error("Failed to extract endpoint paths from Swagger");
   }
@@ -0,0 +1,112 @@
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { HttpError } from "./errors.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_BYTES = 64;
+const SCRYPT_SALT_BYTES = 16;
+const API_KEY_PREFIX = "lt_";
+const API_KEY_BYTES = 32;
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>" (base64 parts)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SCRYPT_SALT_BYTES);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_BYTES);
+  return ["scrypt", salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+/**
+ * Check a password against a hash from hashPassword in constant time
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split("$");
+
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function getTokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+
+  if (!secret) {
+    throw new HttpError(500, "AUTH_TOKEN_SECRET is not configured; access tokens can't be issued.");
+  }
+
+  return secret;
+}
+
+function signPayload(encodedPayload) {
+  return crypto.createHmac("sha256", getTokenSecret()).update(encodedPayload).digest("base64url");
+}
+
+/**
+ * Access token "<payload>.<signature>": a base64url JSON payload signed with
+ * HMAC-SHA256 under AUTH_TOKEN_SECRET
+ */
+function signAccessToken(payload) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encodedPayload}.${signPayload(encodedPayload)}`;
+}
+
+/**
+ * Payload of a token from signAccessToken; null when it was tampered with,
+ * signed with another secret or is past its `exp` (seconds since epoch)
+ */
+function verifyAccessToken(token) {
+  const [encodedPayload, signature, extra] = String(token).split(".");
+
+  if (!encodedPayload || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(signPayload(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+    return typeof payload.exp === "number" && payload.exp * 1000 > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function isApiKey(credential) {
+  return String(credential).startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * SHA-256 of an API key; keys are random enough not to need a slow hash
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * A new API key "lt_<random>" with the prefix shown in listings and the
+ * hash to store
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(API_KEY_BYTES).toString("base64url")}`;
+  return { key, prefix: key.slice(0, 10), hash: hashApiKey(key) };
+}
+
+export {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+};
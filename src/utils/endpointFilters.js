@@ -0,0 +1,138 @@
+import { HttpError } from "./errors.js";
+import { unsafePatternReason } from "./regexUtils.js";
+
+const DEPRECATED_MODES = ["include", "exclude", "only"];
+
+/**
+ * Turn a path glob into a RegExp: "*" matches within one segment, "**"
+ * across segments and "?" a single character, e.g. "/pets/*" or "/admin/**"
+ */
+function globToRegExp(glob) {
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+const REGEX_PREFIX = "re:";
+
+/**
+ * Compile a path filter: "re:^/pets/\\d+$" is a regular expression, anything
+ * else (including plain paths such as "/store/inventory") is a glob matched
+ * against the whole path template. Regexes that could backtrack
+ * catastrophically are refused.
+ */
+function compilePathPattern(pattern) {
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    const source = pattern.slice(REGEX_PREFIX.length);
+    const unsafe = unsafePatternReason(source);
+    if (unsafe) {
+      throw new HttpError(400, `Invalid path regex "${source}": ${unsafe}.`);
+    }
+    try {
+      return new RegExp(source);
+    } catch (error) {
+      throw new HttpError(400, `Invalid path regex "${source}": ${error.message}`);
+    }
+  }
+
+  return globToRegExp(pattern);
+}
+
+/**
+ * Accept arrays or comma separated strings (as sent in query strings)
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Normalize endpoint filters from a request body or query string:
+ * { tags, methods, path, deprecated: "include" | "exclude" | "only" }
+ */
+function normalizeEndpointFilters(filters = {}) {
+  const deprecated = filters.deprecated || "include";
+
+  if (!DEPRECATED_MODES.includes(deprecated)) {
+    throw new HttpError(
+      400,
+      `"deprecated" filter must be one of: ${DEPRECATED_MODES.join(", ")}.`
+    );
+  }
+
+  // Not comma separated: regexes may contain commas themselves
+  const paths = [filters.path].flat().filter(Boolean).map(String);
+
+  return {
+    tags: toList(filters.tags),
+    methods: toList(filters.methods).map((method) => method.toUpperCase()),
+    paths: paths.map(compilePathPattern),
+    deprecated,
+  };
+}
+
+/**
+ * Keep the endpoints matching every given filter; an endpoint matches a list
+ * filter (tags, methods, paths) when it matches any entry of that list
+ */
+function filterEndpoints(endpoints, filters = {}) {
+  const { tags, methods, paths, deprecated } = normalizeEndpointFilters(filters || {});
+
+  return endpoints.filter((endpoint) => {
+    if (tags.length > 0 && !endpoint.tags.some((tag) => tags.includes(tag))) return false;
+    if (methods.length > 0 && !methods.includes(endpoint.method)) return false;
+    if (paths.length > 0 && !paths.some((regex) => regex.test(endpoint.path))) return false;
+    if (deprecated === "exclude" && endpoint.deprecated) return false;
+    if (deprecated === "only" && !endpoint.deprecated) return false;
+    return true;
+  });
+}
+
+/**
+ * Group endpoint summaries by tag, in the order of the document's tag list.
+ * Endpoints with several tags appear in each group; untagged ones last, in a
+ * group with a null tag so a real tag named "untagged" stays separate.
+ */
+function groupEndpointsByTag(endpoints, documentTags = []) {
+  const groups = new Map(
+    documentTags.map((tag) => [tag.name, { tag: tag.name, description: tag.description || "", endpoints: [] }])
+  );
+
+  const untagged = { tag: null, description: "", endpoints: [] };
+
+  for (const endpoint of endpoints) {
+    if (endpoint.tags.length === 0) {
+      untagged.endpoints.push(endpoint);
+      continue;
+    }
+
+    for (const tag of endpoint.tags) {
+      if (!groups.has(tag)) {
+        groups.set(tag, { tag, description: "", endpoints: [] });
+      }
+      groups.get(tag).endpoints.push(endpoint);
+    }
+  }
+
+  return [...groups.values(), untagged]
+    .filter((group) => group.endpoints.length > 0)
+    .map((group) => ({ ...group, count: group.endpoints.length }));
+}
+
+export { compilePathPattern, normalizeEndpointFilters, filterEndpoints, groupEndpointsByTag };
@@ -0,0 +1,12 @@
+/**
+ * Error carrying the HTTP status a controller should respond with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+export { HttpError };
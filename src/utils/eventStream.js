@@ -0,0 +1,46 @@
+// Comment lines keep proxies and clients from timing out an idle stream
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a load run's events as Server-Sent Events until its final event.
+ * `subscribe(listener)` follows the run (see progressService.subscribe);
+ * when there is nothing to follow, a single "idle" event carrying
+ * `idleData` ends the stream. A ":keepalive" comment is sent every
+ * KEEPALIVE_INTERVAL_MS while the stream is open.
+ */
+function streamRunEvents(req, res, subscribe, idleData) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop proxies such as nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+
+  let keepalive = null;
+  const unsubscribe = subscribe((event, data) => {
+    writeEvent(res, event, data);
+    if (event !== "progress") {
+      clearInterval(keepalive);
+      res.end();
+    }
+  });
+
+  if (!unsubscribe) {
+    writeEvent(res, "idle", idleData);
+    return res.end();
+  }
+
+  // A stream waiting for a queued run may be quiet for a long time
+  keepalive = setInterval(() => res.write(":keepalive\n\n"), KEEPALIVE_INTERVAL_MS);
+  req.on("close", () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+}
+
+export { streamRunEvents };
@@ -0,0 +1,519 @@
+import { findPlaceholders } from "./templateUtils.js";
+
+const POSTMAN_SCHEMA = "https://schema.getpostman.com/json/collection/v2.1.0/collection.json";
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Headers and query parameters whose values are credentials
+const SECRET_HEADER = /^(proxy-)?authorization$|^cookie$|api[-_]?key|token|secret|password/i;
+const SECRET_QUERY = /^(key|auth|sig|signature)$|api[-_]?key|token|secret|password/i;
+
+/**
+ * Placeholder standing in for a credential in exported files, named after
+ * its header or query parameter
+ */
+function toSecretPlaceholder(name) {
+  return `{{${name.replace(/[^\w.-]/g, "_")}}}`;
+}
+
+/**
+ * Headers with credential values replaced by {{placeholders}}; the scheme of
+ * an Authorization header ("Bearer", "Basic") is kept. Values that already
+ * use placeholders are left alone.
+ */
+function maskSecretHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => {
+      if (!SECRET_HEADER.test(name) || findPlaceholders(String(value)).size > 0) {
+        return [name, value];
+      }
+
+      const scheme = /authorization$/i.test(name) && String(value).match(/^(\w+)\s+\S/);
+      return [name, `${scheme ? `${scheme[1]} ` : ""}${toSecretPlaceholder(name)}`];
+    })
+  );
+}
+
+/**
+ * URL with the values of credential query parameters (e.g. ?api_key=...)
+ * replaced by {{placeholders}}
+ */
+function maskSecretQuery(url) {
+  return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (pair, separator, name, value) =>
+    SECRET_QUERY.test(name) && findPlaceholders(value).size === 0
+      ? `${separator}${name}=${toSecretPlaceholder(name)}`
+      : pair
+  );
+}
+
+/**
+ * Common view of a saved endpoint: headers as an object, the body as text.
+ * Stored credentials are never exported; they become {{placeholders}}.
+ */
+function toExportRequest(endpoint) {
+  const headers = maskSecretHeaders(
+    typeof endpoint.request_headers === "string"
+      ? JSON.parse(endpoint.request_headers)
+      : endpoint.request_headers || {}
+  );
+  const method = endpoint.method.toUpperCase();
+  const body =
+    endpoint.request_body === null ||
+    endpoint.request_body === undefined ||
+    ["GET", "HEAD"].includes(method)
+      ? null
+      : typeof endpoint.request_body === "string"
+        ? endpoint.request_body
+        : JSON.stringify(endpoint.request_body);
+
+  return {
+    id: endpoint.id,
+    name: endpoint.summary || `${method} ${endpoint.full_path}`,
+    method,
+    url: maskSecretQuery(endpoint.full_path),
+    headers,
+    body,
+    contentType:
+      Object.entries(headers).find(([name]) => name.toLowerCase() === "content-type")?.[1] ||
+      "application/json",
+    threads: Math.max(1, endpoint.threads || 1),
+    totalRequests: Math.max(1, endpoint.total_requests || 1),
+    loadProfile: endpoint.load_profile || null,
+  };
+}
+
+/**
+ * Placeholders used by any of the requests, in a stable order
+ */
+function collectVariables(requests) {
+  return [...findPlaceholders(requests.map(({ url, headers, body }) => ({ url, headers, body })))].sort();
+}
+
+/**
+ * Postman v2.1 collection; {{placeholders}} are Postman's own variable
+ * syntax, so they become collection variables to fill in
+ */
+function toPostmanCollection(endpoints, name) {
+  const requests = endpoints.map(toExportRequest);
+
+  return {
+    info: {
+      name,
+      schema: POSTMAN_SCHEMA,
+    },
+    item: requests.map((request) => ({
+      name: request.name,
+      request: {
+        method: request.method,
+        header: Object.entries(request.headers).map(([key, value]) => ({
+          key,
+          value: String(value),
+        })),
+        url: request.url,
+        ...(request.body !== null
+          ? {
+              body: {
+                mode: "raw",
+                raw: request.body,
+                ...(/json/i.test(request.contentType)
+                  ? { options: { raw: { language: "json" } } }
+                  : {}),
+              },
+            }
+          : {}),
+      },
+    })),
+    variable: collectVariables(requests).map((key) => ({ key, value: "" })),
+  };
+}
+
+/**
+ * JavaScript string expression for k6; {{name}} reads the environment
+ * variable of that name (k6 run -e name=value)
+ */
+function toK6String(value) {
+  if (findPlaceholders(value).size === 0) {
+    return JSON.stringify(value);
+  }
+
+  const escaped = value.replace(/[\\`]/g, "\\$&").replace(/\$\{/g, "\\${");
+  return `\`${escaped.replace(PLACEHOLDER, (placeholder, name) => `\${__ENV[${JSON.stringify(name)}]}`)}\``;
+}
+
+/**
+ * k6 executor settings for an endpoint's load profile; without one,
+ * `threads` VUs share `total_requests` iterations. A request cap on
+ * time-bound profiles has no k6 equivalent and is left out.
+ */
+function toK6Executor(request) {
+  const profile = request.loadProfile;
+
+  switch (profile?.executor) {
+    case "duration":
+      return [`executor: "constant-vus",`, `vus: ${request.threads},`, `duration: "${profile.duration}s",`];
+    case "ramping":
+      return [
+        `executor: "ramping-vus",`,
+        `startVUs: 0,`,
+        `stages: [`,
+        ...profile.stages.map((stage) => `  { duration: "${stage.duration}s", target: ${stage.target} },`),
+        `],`,
+      ];
+    case "arrival-rate": {
+      // k6 rates are integers per time unit
+      const perSecond = Number.isInteger(profile.arrivalRate);
+      return [
+        `executor: "constant-arrival-rate",`,
+        `rate: ${perSecond ? profile.arrivalRate : Math.round(profile.arrivalRate * 60)},`,
+        `timeUnit: "${perSecond ? "1s" : "1m"}",`,
+        `duration: "${profile.duration}s",`,
+        `preAllocatedVUs: ${request.threads},`,
+        `maxVUs: ${request.threads},`,
+      ];
+    }
+    default:
+      return [
+        `executor: "shared-iterations",`,
+        `vus: ${Math.min(request.threads, request.totalRequests)},`,
+        `iterations: ${request.totalRequests},`,
+      ];
+  }
+}
+
+/**
+ * k6 sleep() call for a profile's think time (given in milliseconds)
+ */
+function toK6Sleep(thinkTimeMs) {
+  if (!thinkTimeMs) {
+    return "";
+  }
+
+  if (typeof thinkTimeMs === "number") {
+    return `  sleep(${thinkTimeMs / 1000});`;
+  }
+
+  return `  sleep(${thinkTimeMs.min / 1000} + Math.random() * ${(thinkTimeMs.max - thinkTimeMs.min) / 1000});`;
+}
+
+/**
+ * k6 script with one scenario per endpoint, following its load profile.
+ * k6 runs the scenarios concurrently.
+ */
+function toK6Script(endpoints) {
+  const requests = endpoints.map(toExportRequest);
+  const variables = collectVariables(requests);
+  const usesSleep = requests.some((request) => request.loadProfile?.thinkTimeMs);
+
+  const scenarios = requests
+    .map((request) =>
+      [
+        `    endpoint_${request.id}: {`,
+        ...toK6Executor(request).map((line) => `      ${line}`),
+        `      exec: "endpoint_${request.id}",`,
+        `    },`,
+      ].join("\n")
+    )
+    .join("\n");
+
+  const functions = requests
+    .map((request) => {
+      const headers = Object.entries(request.headers)
+        .map(([name, value]) => `        ${JSON.stringify(name)}: ${toK6String(String(value))},`)
+        .join("\n");
+
+      return [
+        `// ${request.name.replace(/\n/g, " ")}`,
+        `export function endpoint_${request.id}() {`,
+        `  const res = http.request(`,
+        `    ${JSON.stringify(request.method)},`,
+        `    ${toK6String(request.url)},`,
+        `    ${request.body === null ? "null" : toK6String(request.body)},`,
+        `    {`,
+        `      headers: {`,
+        headers,
+        `      },`,
+        `      tags: { endpoint: "${request.id}" },`,
+        request.loadProfile?.timeoutMs ? `      timeout: "${request.loadProfile.timeoutMs}ms",` : "",
+        `    }`,
+        `  );`,
+        `  check(res, { "status is 2xx": (r) => r.status >= 200 && r.status < 300 });`,
+        toK6Sleep(request.loadProfile?.thinkTimeMs),
+        `}`,
+      ]
+        .filter((line) => line !== "")
+        .join("\n");
+    })
+    .join("\n\n");
+
+  return [
+    `import http from "k6/http";`,
+    `import { check${usesSleep ? ", sleep" : ""} } from "k6";`,
+    ``,
+    ...(variables.length > 0
+      ? [`// Pass variables with -e, e.g. k6 run ${variables.map((name) => `-e ${name}=...`).join(" ")} script.js`, ``]
+      : []),
+    `export const options = {`,
+    `  scenarios: {`,
+    scenarios,
+    `  },`,
+    `};`,
+    ``,
+    functions,
+    ``,
+  ].join("\n");
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * {{name}} becomes a JMeter property reference (jmeter -Jname=value)
+ */
+function toJMeterValue(value) {
+  return String(value).replace(PLACEHOLDER, (placeholder, name) => `\${__P(${name},)}`);
+}
+
+function jmeterStringProp(name, value) {
+  return `<stringProp name="${name}">${escapeXml(value)}</stringProp>`;
+}
+
+/**
+ * Thread group settings for an endpoint's load profile. JMeter loops per
+ * thread, so a fixed burst sends ceil(total_requests / threads) requests per
+ * thread; time-bound profiles loop until the scheduler's duration is up
+ * (ramping profiles ramp to their highest target over the first stage).
+ */
+function toJMeterThreadSettings(request) {
+  const profile = request.loadProfile;
+
+  if (!profile || profile.executor === "iterations") {
+    const threads = Math.min(request.threads, request.totalRequests);
+    return { threads, loops: Math.ceil(request.totalRequests / threads), rampTime: 0, duration: null };
+  }
+
+  if (profile.executor === "ramping") {
+    return {
+      threads: request.threads,
+      loops: -1,
+      rampTime: Math.round(profile.stages[0].duration),
+      duration: Math.ceil(profile.stages.reduce((sum, stage) => sum + stage.duration, 0)),
+    };
+  }
+
+  return { threads: request.threads, loops: -1, rampTime: 0, duration: Math.ceil(profile.duration) };
+}
+
+/**
+ * Timers for an endpoint's arrival rate and think time
+ */
+function toJMeterTimers(profile) {
+  const timers = [];
+
+  if (profile?.arrivalRate) {
+    timers.push(`
+          <ConstantThroughputTimer guiclass="TestBeanGUI" testclass="ConstantThroughputTimer" testname="Arrival rate" enabled="true">
+            <intProp name="calcMode">2</intProp>
+            <doubleProp>
+              <name>throughput</name>
+              <value>${profile.arrivalRate * 60}</value>
+              <savedValue>0.0</savedValue>
+            </doubleProp>
+          </ConstantThroughputTimer>
+          <hashTree/>`);
+  }
+
+  if (typeof profile?.thinkTimeMs === "number") {
+    timers.push(`
+          <ConstantTimer guiclass="ConstantTimerGui" testclass="ConstantTimer" testname="Think time" enabled="true">
+            ${jmeterStringProp("ConstantTimer.delay", Math.round(profile.thinkTimeMs))}
+          </ConstantTimer>
+          <hashTree/>`);
+  } else if (profile?.thinkTimeMs) {
+    timers.push(`
+          <UniformRandomTimer guiclass="UniformRandomTimerGui" testclass="UniformRandomTimer" testname="Think time" enabled="true">
+            ${jmeterStringProp("ConstantTimer.delay", Math.round(profile.thinkTimeMs.min))}
+            ${jmeterStringProp("RandomTimer.range", Math.round(profile.thinkTimeMs.max - profile.thinkTimeMs.min))}
+          </UniformRandomTimer>
+          <hashTree/>`);
+  }
+
+  return timers.join("");
+}
+
+/**
+ * JMeter test plan with one thread group per endpoint, run one after
+ * another, each following the endpoint's load profile
+ */
+function toJMeterPlan(endpoints, name) {
+  const requests = endpoints.map(toExportRequest);
+
+  const threadGroups = requests
+    .map((request) => {
+      const { threads, loops, rampTime, duration } = toJMeterThreadSettings(request);
+      const headerElements = Object.entries(request.headers)
+        .map(
+          ([headerName, value]) => `
+              <elementProp name="${escapeXml(headerName)}" elementType="Header">
+                ${jmeterStringProp("Header.name", headerName)}
+                ${jmeterStringProp("Header.value", toJMeterValue(value))}
+              </elementProp>`
+        )
+        .join("");
+      const bodyArguments =
+        request.body === null
+          ? `<collectionProp name="Arguments.arguments"/>`
+          : `<collectionProp name="Arguments.arguments">
+                <elementProp name="" elementType="HTTPArgument">
+                  <boolProp name="HTTPArgument.always_encode">false</boolProp>
+                  ${jmeterStringProp("Argument.value", toJMeterValue(request.body))}
+                  ${jmeterStringProp("Argument.metadata", "=")}
+                </elementProp>
+              </collectionProp>`;
+
+      return `
+      <ThreadGroup guiclass="ThreadGroupGui" testclass="ThreadGroup" testname="${escapeXml(request.name)}" enabled="true">
+        ${jmeterStringProp("ThreadGroup.on_sample_error", "continue")}
+        <elementProp name="ThreadGroup.main_controller" elementType="LoopController" guiclass="LoopControlPanel" testclass="LoopController">
+          <boolProp name="LoopController.continue_forever">false</boolProp>
+          ${jmeterStringProp("LoopController.loops", loops)}
+        </elementProp>
+        ${jmeterStringProp("ThreadGroup.num_threads", threads)}
+        ${jmeterStringProp("ThreadGroup.ramp_time", rampTime)}${
+          duration
+            ? `
+        <boolProp name="ThreadGroup.scheduler">true</boolProp>
+        ${jmeterStringProp("ThreadGroup.duration", duration)}`
+            : ""
+        }
+      </ThreadGroup>
+      <hashTree>
+        <HTTPSamplerProxy guiclass="HttpTestSampleGui" testclass="HTTPSamplerProxy" testname="${escapeXml(`${request.method} ${request.url}`)}" enabled="true">
+          <boolProp name="HTTPSampler.postBodyRaw">${request.body !== null}</boolProp>
+          <elementProp name="HTTPsampler.Arguments" elementType="Arguments">
+              ${bodyArguments}
+          </elementProp>
+          ${jmeterStringProp("HTTPSampler.path", toJMeterValue(request.url))}
+          ${jmeterStringProp("HTTPSampler.method", request.method)}
+          <boolProp name="HTTPSampler.follow_redirects">true</boolProp>
+          <boolProp name="HTTPSampler.use_keepalive">true</boolProp>${
+            request.loadProfile?.timeoutMs
+              ? `
+          ${jmeterStringProp("HTTPSampler.response_timeout", request.loadProfile.timeoutMs)}`
+              : ""
+          }
+        </HTTPSamplerProxy>
+        <hashTree>
+          <HeaderManager guiclass="HeaderPanel" testclass="HeaderManager" testname="Headers" enabled="true">
+            <collectionProp name="HeaderManager.headers">${headerElements}
+            </collectionProp>
+          </HeaderManager>
+          <hashTree/>${toJMeterTimers(request.loadProfile)}
+        </hashTree>
+      </hashTree>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<jmeterTestPlan version="1.2" properties="5.0" jmeter="5.6.3">
+  <hashTree>
+    <TestPlan guiclass="TestPlanGui" testclass="TestPlan" testname="${escapeXml(name)}" enabled="true">
+      <boolProp name="TestPlan.serialize_threadgroups">true</boolProp>
+      <elementProp name="TestPlan.user_defined_variables" elementType="Arguments">
+        <collectionProp name="Arguments.arguments"/>
+      </elementProp>
+    </TestPlan>
+    <hashTree>${threadGroups}
+      <ResultCollector guiclass="SummaryReport" testclass="ResultCollector" testname="Summary Report" enabled="true">
+        <boolProp name="ResultCollector.error_logging">false</boolProp>
+      </ResultCollector>
+      <hashTree/>
+    </hashTree>
+  </hashTree>
+</jmeterTestPlan>
+`;
+}
+
+/**
+ * Query string pairs of a URL, tolerating {{placeholders}} in the URL
+ */
+function parseQueryString(url) {
+  const query = url.split("#")[0].split("?")[1];
+
+  if (!query) {
+    return [];
+  }
+
+  return query
+    .split("&")
+    .filter(Boolean)
+    .map((pair) => {
+      // Only the first "=" separates the name; values may contain more
+      const separator = pair.indexOf("=");
+      const name = separator === -1 ? pair : pair.slice(0, separator);
+      const value = separator === -1 ? "" : pair.slice(separator + 1);
+      const decode = (text) => {
+        try {
+          return decodeURIComponent(text.replace(/\+/g, " "));
+        } catch {
+          return text;
+        }
+      };
+      return { name: decode(name), value: decode(value) };
+    });
+}
+
+/**
+ * HAR 1.2 log with one (not yet sent) entry per endpoint
+ */
+function toHar(endpoints, creator) {
+  const requests = endpoints.map(toExportRequest);
+  const startedDateTime = new Date().toISOString();
+
+  return {
+    log: {
+      version: "1.2",
+      creator,
+      entries: requests.map((request) => ({
+        startedDateTime,
+        time: 0,
+        request: {
+          method: request.method,
+          url: request.url,
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: Object.entries(request.headers).map(([name, value]) => ({
+            name,
+            value: String(value),
+          })),
+          queryString: parseQueryString(request.url),
+          ...(request.body !== null
+            ? { postData: { mimeType: request.contentType, text: request.body } }
+            : {}),
+          headersSize: -1,
+          bodySize: request.body === null ? 0 : Buffer.byteLength(request.body),
+        },
+        response: {
+          status: 0,
+          statusText: "",
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: [],
+          content: { size: 0, mimeType: "x-unknown" },
+          redirectURL: "",
+          headersSize: -1,
+          bodySize: -1,
+        },
+        cache: {},
+        timings: { send: 0, wait: 0, receive: 0 },
+        comment: request.name,
+      })),
+    },
+  };
+}
+
+export { toPostmanCollection, toK6Script, toJMeterPlan, toHar };
@@ -0,0 +1,431 @@
+import { HttpError } from "./errors.js";
+import { isPlainObject, findPlaceholders, renderTemplate } from "./templateUtils.js";
+
+// Headers the HTTP client sets itself; replaying recorded values breaks requests
+const HAR_SKIPPED_HEADERS = ["host", "content-length", "connection", "accept-encoding", "transfer-encoding"];
+const HAR_STATIC_RESOURCE_TYPES = ["image", "stylesheet", "font", "script", "media", "manifest"];
+const STATIC_FILE_PATTERN = /\.(png|jpe?g|gif|svg|ico|webp|css|js|mjs|map|woff2?|ttf|eot|mp4|webm)(\?|#|$)/i;
+
+/**
+ * Hands out one {{placeholder}} per distinct credential found in imported
+ * requests and collects the values in `secrets`, to be stored in an
+ * environment. Values using placeholders already are kept. A name taken by
+ * another value, or by one of the `reserved` variables, gets a suffix.
+ */
+function createSecretCollector(reserved = {}) {
+  const secrets = {};
+  const namesByValue = new Map();
+
+  const toPlaceholder = (baseName, value) => {
+    if (value === undefined || value === null || value === "" || findPlaceholders(String(value)).size > 0) {
+      return value;
+    }
+
+    const secret = String(value);
+    if (!namesByValue.has(secret)) {
+      let name = baseName;
+      for (let suffix = 2; name in secrets || name in reserved; suffix++) {
+        name = `${baseName}_${suffix}`;
+      }
+      secrets[name] = secret;
+      namesByValue.set(secret, name);
+    }
+    return `{{${namesByValue.get(secret)}}}`;
+  };
+
+  return { secrets, toPlaceholder };
+}
+
+/**
+ * Replace the credentials in Authorization and Cookie headers with
+ * placeholders; the scheme of an Authorization header ("Bearer") is kept
+ */
+function extractSecretHeaders(headers, collector) {
+  for (const [name, value] of Object.entries(headers)) {
+    if (/^(proxy-)?authorization$/i.test(name)) {
+      const [, scheme = "", credential] = String(value).match(/^(\w+ +)?(.*)$/s);
+      const placeholder = collector.toPlaceholder(name.toLowerCase(), credential);
+      headers[name] = placeholder === credential ? value : `${scheme}${placeholder}`;
+    } else if (/^cookie$/i.test(name)) {
+      headers[name] = collector.toPlaceholder("cookie", value);
+    }
+  }
+}
+
+/**
+ * Postman key/value lists (headers, query, urlencoded bodies) without the
+ * disabled entries
+ */
+function enabledPairs(pairs = []) {
+  return (Array.isArray(pairs) ? pairs : []).filter((pair) => pair && !pair.disabled && pair.key);
+}
+
+/**
+ * Postman stores auth attributes as [{ key, value }] (v2.1) or as a plain
+ * object (v2.0)
+ */
+function getAuthAttributes(auth) {
+  const attributes = auth[auth.type] || {};
+
+  if (!Array.isArray(attributes)) {
+    return attributes;
+  }
+
+  return Object.fromEntries(attributes.filter(Boolean).map(({ key, value }) => [key, value]));
+}
+
+/**
+ * Turn a Postman auth block into headers and query parameters. Attributes
+ * are filled from the collection `values` first so credentials kept in
+ * collection variables are encoded (basic) and collected as secrets too.
+ */
+function applyPostmanAuth(auth, headers, query, context) {
+  const { warnings, requestName, values, collector } = context;
+  if (!auth || auth.type === "noauth") {
+    return;
+  }
+
+  const attributes = renderTemplate(getAuthAttributes(auth), values);
+
+  switch (auth.type) {
+    case "bearer":
+      headers.Authorization = `Bearer ${attributes.token ?? ""}`;
+      break;
+    case "basic":
+      headers.Authorization = `Basic ${Buffer.from(`${attributes.username ?? ""}:${attributes.password ?? ""}`).toString("base64")}`;
+      break;
+    case "apikey": {
+      const value = collector.toPlaceholder("apiKey", attributes.value ?? "");
+      if (attributes.in === "query") query.push({ key: attributes.key, value });
+      else headers[attributes.key || "X-API-Key"] = value;
+      break;
+    }
+    case "oauth2":
+      // Only a token obtained in Postman can be reused; the flow itself isn't replayed
+      if (attributes.accessToken) {
+        headers.Authorization = `${attributes.headerPrefix || "Bearer"} ${attributes.accessToken}`;
+      } else {
+        warnings.push(`"${requestName}": oauth2 auth without an access token was skipped.`);
+      }
+      break;
+    default:
+      warnings.push(`"${requestName}": ${auth.type} auth is not supported and was skipped.`);
+  }
+}
+
+/**
+ * Build the URL of a Postman request from its raw form or its parts,
+ * substituting ":name" path variables
+ */
+function buildPostmanUrl(url) {
+  if (typeof url === "string") {
+    return { base: url, query: [] };
+  }
+
+  if (!url) {
+    return { base: "", query: [] };
+  }
+
+  const pathVariables = Object.fromEntries(
+    (Array.isArray(url.variable) ? url.variable : [])
+      .filter((variable) => variable?.key)
+      .map((variable) => [variable.key, variable.value])
+  );
+  let base;
+
+  if (url.host || url.path) {
+    const host = Array.isArray(url.host) ? url.host.join(".") : url.host || "";
+    const path = Array.isArray(url.path) ? url.path.join("/") : url.path || "";
+    const protocol = url.protocol ? `${url.protocol}://` : "";
+    const port = url.port ? `:${url.port}` : "";
+    base = `${protocol}${host}${port}${path ? `/${path.replace(/^\//, "")}` : ""}`;
+  } else {
+    base = (url.raw || "").split("?")[0];
+  }
+
+  base = base.replace(/\/:([A-Za-z_][\w-]*)/g, (segment, name) =>
+    pathVariables[name] !== undefined && pathVariables[name] !== null
+      ? `/${encodeURIComponent(pathVariables[name])}`
+      : segment
+  );
+
+  return { base, query: enabledPairs(url.query) };
+}
+
+function appendQuery(base, query) {
+  if (query.length === 0) {
+    return base;
+  }
+
+  const queryString = query
+    .map(({ key, value }) => (value === undefined || value === null ? key : `${key}=${value}`))
+    .join("&");
+  return `${base}${base.includes("?") ? "&" : "?"}${queryString}`;
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some((key) => key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Body of a Postman request as text (or a field map for form data) plus the
+ * content type it implies
+ */
+function buildPostmanBody(body, warnings, requestName) {
+  if (!body || body.disabled) {
+    return { body: null, contentType: null };
+  }
+
+  switch (body.mode) {
+    case "raw": {
+      const language = body.options?.raw?.language;
+      const contentType =
+        language === "json" ? "application/json" : language === "xml" ? "application/xml" : "text/plain";
+      return { body: body.raw ?? "", contentType };
+    }
+    case "urlencoded":
+      return {
+        body: enabledPairs(body.urlencoded)
+          .map(({ key, value }) => `${encodeURIComponent(key)}=${encodeURIComponent(value ?? "")}`)
+          .join("&"),
+        contentType: "application/x-www-form-urlencoded",
+      };
+    case "formdata": {
+      const fields = enabledPairs(body.formdata);
+      if (fields.some((field) => field.type === "file")) {
+        warnings.push(`"${requestName}": file fields of form data were skipped.`);
+      }
+      return {
+        body: Object.fromEntries(
+          fields.filter((field) => field.type !== "file").map(({ key, value }) => [key, value ?? ""])
+        ),
+        contentType: "multipart/form-data",
+      };
+    }
+    case "graphql":
+      return {
+        body: JSON.stringify({
+          query: body.graphql?.query ?? "",
+          variables: parseJsonSafely(body.graphql?.variables) ?? {},
+        }),
+        contentType: "application/json",
+      };
+    default:
+      warnings.push(`"${requestName}": ${body.mode} bodies are not supported and were skipped.`);
+      return { body: null, contentType: null };
+  }
+}
+
+function parseJsonSafely(value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Flatten a Postman v2.x collection into plain requests. Folders become a
+ * "Folder / Sub folder" prefix, auth is inherited from the closest folder
+ * and collection variables (overridden by `variables`) are substituted;
+ * variables without a value stay as {{placeholders}} for environments.
+ * Credentials (auth, Authorization and Cookie headers) are replaced by
+ * placeholders as well, their values returned in `secrets`.
+ */
+function parsePostmanCollection(collection, { variables = {} } = {}) {
+  if (!collection?.info || !Array.isArray(collection.item)) {
+    throw new HttpError(400, "Not a Postman v2.x collection: expected \"info\" and \"item\".");
+  }
+
+  if (collection.info.schema && !/\/v2\.[01]\.\d+\//.test(collection.info.schema)) {
+    throw new HttpError(400, `Unsupported Postman collection schema: ${collection.info.schema}.`);
+  }
+
+  const values = {
+    ...Object.fromEntries(
+      (collection.variable || [])
+        .filter((variable) => variable.key && !variable.disabled && variable.value !== "")
+        .map((variable) => [variable.key, variable.value])
+    ),
+    ...variables,
+  };
+  const requests = [];
+  const warnings = [];
+  const collector = createSecretCollector(values);
+
+  // `location` is the item's index path, e.g. "item[0].item[2]", for errors
+  const visit = (items, folders, inheritedAuth, location) => {
+    for (const [index, item] of items.entries()) {
+      const itemLocation = `${location}[${index}]`;
+
+      if (!isPlainObject(item)) {
+        throw new HttpError(400, `Postman ${itemLocation} must be an object.`);
+      }
+
+      if (Array.isArray(item.item)) {
+        visit(item.item, [...folders, item.name], item.auth ?? inheritedAuth, `${itemLocation}.item`);
+        continue;
+      }
+
+      if (!item.request) continue;
+
+      // A request may be just its URL
+      const request = typeof item.request === "string" ? { url: item.request } : item.request;
+      const malformedUrl =
+        request.url != null && typeof request.url !== "string" && !isPlainObject(request.url);
+      if (!isPlainObject(request) || malformedUrl) {
+        throw new HttpError(400, `Postman ${itemLocation} has a malformed "request".`);
+      }
+      const name = [...folders, item.name || "Untitled request"].join(" / ");
+      const headers = Object.fromEntries(
+        enabledPairs(request.header).map(({ key, value }) => [key, value ?? ""])
+      );
+      const { base, query } = buildPostmanUrl(request.url);
+      const { body, contentType } = buildPostmanBody(request.body, warnings, name);
+
+      applyPostmanAuth(request.auth ?? inheritedAuth, headers, query, {
+        warnings,
+        requestName: name,
+        values,
+        collector,
+      });
+
+      if (contentType && !hasHeader(headers, "content-type")) {
+        headers["Content-Type"] = contentType;
+      }
+
+      const rendered = renderTemplate(
+        {
+          name,
+          method: String(request.method || "GET").toUpperCase(),
+          url: appendQuery(base, query),
+          headers,
+          body,
+        },
+        values
+      );
+      extractSecretHeaders(rendered.headers, collector);
+      requests.push(rendered);
+    }
+  };
+
+  visit(collection.item, [], collection.auth, "item");
+
+  return {
+    name: collection.info.name || "Postman collection",
+    requests,
+    warnings,
+    secrets: collector.secrets,
+  };
+}
+
+function isStaticHarEntry(entry) {
+  return (
+    HAR_STATIC_RESOURCE_TYPES.includes(entry._resourceType) ||
+    STATIC_FILE_PATTERN.test(entry.request.url)
+  );
+}
+
+/**
+ * Body of a recorded request: its text, or its form params
+ */
+function getHarBody(postData) {
+  if (!postData) {
+    return null;
+  }
+
+  if (postData.text !== undefined) {
+    return postData.text;
+  }
+
+  return (Array.isArray(postData.params) ? postData.params : [])
+    .filter(Boolean)
+    .map(({ name, value }) => `${encodeURIComponent(name)}=${encodeURIComponent(value ?? "")}`)
+    .join("&");
+}
+
+/**
+ * Requests recorded in a HAR 1.2 log. Static assets (images, scripts,
+ * styles, fonts) are skipped unless `includeStatic`, and identical requests
+ * are kept once unless `dedupe` is false. Authorization and Cookie values
+ * are replaced by {{placeholders}} and returned in `secrets`.
+ */
+function parseHar(har, { includeStatic = false, dedupe = true } = {}) {
+  if (!Array.isArray(har?.log?.entries)) {
+    throw new HttpError(400, "Not a HAR file: expected \"log.entries\".");
+  }
+
+  const requests = [];
+  const warnings = [];
+  const seen = new Set();
+  const collector = createSecretCollector();
+
+  for (const [index, entry] of har.log.entries.entries()) {
+    if (!isPlainObject(entry?.request)) {
+      throw new HttpError(400, `HAR entry ${index} has no "request" object.`);
+    }
+
+    const url = entry.request.url || "";
+    if (typeof url !== "string") {
+      throw new HttpError(400, `HAR entry ${index} has a non-string "request.url".`);
+    }
+    if (!/^https?:\/\//i.test(url)) continue;
+    if (!URL.canParse(url)) {
+      throw new HttpError(400, `HAR entry ${index} has an invalid URL "${url}".`);
+    }
+    if (entry.request.headers !== undefined && !Array.isArray(entry.request.headers)) {
+      throw new HttpError(400, `HAR entry ${index} has a non-array "request.headers".`);
+    }
+    if (!includeStatic && isStaticHarEntry(entry)) continue;
+
+    const method = String(entry.request.method || "GET").toUpperCase();
+    const body = getHarBody(entry.request.postData);
+    const key = JSON.stringify([method, url, body]);
+
+    if (dedupe && seen.has(key)) continue;
+    seen.add(key);
+
+    const headers = {};
+    for (const header of entry.request.headers || []) {
+      if (typeof header?.name !== "string") {
+        throw new HttpError(400, `HAR entry ${index} has a header without a "name".`);
+      }
+
+      const { name, value } = header;
+      // HTTP/2 pseudo headers (":authority") and client-managed ones
+      if (name.startsWith(":") || HAR_SKIPPED_HEADERS.includes(name.toLowerCase())) continue;
+      headers[name] = value;
+    }
+
+    if (body !== null && entry.request.postData?.mimeType && !hasHeader(headers, "content-type")) {
+      headers["Content-Type"] = entry.request.postData.mimeType;
+    }
+    extractSecretHeaders(headers, collector);
+
+    const { pathname } = new URL(url);
+    requests.push({
+      name: entry.comment || `${method} ${pathname}`,
+      method,
+      url,
+      headers,
+      body,
+    });
+  }
+
+  if (requests.length === 0) {
+    warnings.push("The HAR file contains no API requests to import.");
+  }
+
+  return {
+    name: har.log.pages?.[0]?.title || "HAR capture",
+    requests,
+    warnings,
+    secrets: collector.secrets,
+  };
+}
+
+export { parsePostmanCollection, parseHar };
@@ -0,0 +1,234 @@
+import { HttpError } from "./errors.js";
+
+const EXECUTORS = ["iterations", "duration", "ramping", "arrival-rate"];
+const MAX_DURATION_S = 3600;
+const MAX_TIMEOUT_MS = 300000;
+// One run's share of this server: workers (or requests in flight) and requests
+const MAX_THREADS = 1000;
+const MAX_TOTAL_REQUESTS = 1000000;
+// Default cap on requests in flight for arrival-rate runs: room for
+// responses taking up to this many seconds before arrivals are dropped
+const DEFAULT_IN_FLIGHT_SECONDS = 5;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+function validateThinkTime(thinkTimeMs) {
+  if (thinkTimeMs === undefined || thinkTimeMs === null) {
+    return undefined;
+  }
+
+  if (typeof thinkTimeMs === "number" && thinkTimeMs >= 0) {
+    return thinkTimeMs;
+  }
+
+  const { min, max } = thinkTimeMs || {};
+  if (typeof min === "number" && typeof max === "number" && min >= 0 && min <= max) {
+    return { min, max };
+  }
+
+  throw new HttpError(400, '"load_profile.thinkTimeMs" must be a non-negative number or { min, max }.');
+}
+
+/**
+ * Bounds of the stored request cap and worker count, when given
+ */
+function validateRequestCounts(totalRequests, threads) {
+  if (
+    totalRequests !== undefined &&
+    totalRequests !== null &&
+    !(Number.isInteger(totalRequests) && totalRequests >= 0 && totalRequests <= MAX_TOTAL_REQUESTS)
+  ) {
+    throw new HttpError(400, `"total_requests" must be an integer between 0 and ${MAX_TOTAL_REQUESTS}.`);
+  }
+
+  if (threads !== undefined && threads !== null && !(isPositiveInteger(threads) && threads <= MAX_THREADS)) {
+    throw new HttpError(400, `"threads" must be an integer between 1 and ${MAX_THREADS}.`);
+  }
+}
+
+function validateDuration(duration, field = "load_profile.duration") {
+  if (!isPositiveNumber(duration) || duration > MAX_DURATION_S) {
+    throw new HttpError(400, `"${field}" must be a number of seconds between 0 and ${MAX_DURATION_S}.`);
+  }
+  return duration;
+}
+
+/**
+ * Which executor a profile asks for: the explicit `executor`, else the one
+ * its fields imply
+ */
+function getExecutor(profile) {
+  if (profile.executor !== undefined) {
+    if (!EXECUTORS.includes(profile.executor)) {
+      throw new HttpError(400, `"load_profile.executor" must be one of ${EXECUTORS.join(", ")}.`);
+    }
+    return profile.executor;
+  }
+
+  if (profile.arrivalRate !== undefined) return "arrival-rate";
+  if (profile.stages !== undefined) return "ramping";
+  if (profile.duration !== undefined) return "duration";
+  return "iterations";
+}
+
+/**
+ * Validate the load settings of an import: the legacy `total_requests` and
+ * `threads` alone (a fixed burst) or with a `load_profile`:
+ *
+ * - iterations: `total_requests` spread over `threads` workers
+ * - duration: `threads` workers for `duration` seconds
+ * - ramping: workers follow `stages` ([{ duration, target }]) from 0
+ * - arrival-rate: `arrivalRate` requests per second for `duration` seconds,
+ *   whatever the latency, with at most `threads` in flight
+ *
+ * `thinkTimeMs` (a number or { min, max }) pauses workers between requests
+ * and `timeoutMs` bounds each request. Outside iterations, `total_requests`
+ * optionally caps the run. Returns the { total_requests, threads,
+ * load_profile } to store on the endpoint.
+ */
+function resolveLoadSettings({ total_requests: totalRequests, threads, load_profile: profile }) {
+  if (profile === undefined || profile === null) {
+    if (!totalRequests) {
+      throw new HttpError(400, 'Missing "total_requests" in request body.');
+    }
+    if (!threads) {
+      throw new HttpError(400, 'Missing "threads" in request body.');
+    }
+    validateRequestCounts(totalRequests, threads);
+    return { total_requests: totalRequests, threads, load_profile: null };
+  }
+
+  if (typeof profile !== "object" || Array.isArray(profile)) {
+    throw new HttpError(400, '"load_profile" must be an object.');
+  }
+
+  const executor = getExecutor(profile);
+  const stored = { executor };
+  let storedThreads = threads;
+
+  validateRequestCounts(totalRequests, threads);
+
+  switch (executor) {
+    case "iterations":
+      if (!totalRequests) throw new HttpError(400, 'Missing "total_requests" in request body.');
+      if (!threads) throw new HttpError(400, 'Missing "threads" in request body.');
+      break;
+
+    case "duration":
+      stored.duration = validateDuration(profile.duration);
+      if (!threads) throw new HttpError(400, 'Missing "threads" in request body.');
+      break;
+
+    case "ramping": {
+      if (!Array.isArray(profile.stages) || profile.stages.length === 0) {
+        throw new HttpError(400, '"load_profile.stages" must be a non-empty array of { duration, target }.');
+      }
+      stored.stages = profile.stages.map((stage, index) => {
+        if (!stage || !Number.isInteger(stage.target) || stage.target < 0 || stage.target > MAX_THREADS) {
+          throw new HttpError(400, `"load_profile.stages[${index}].target" must be an integer between 0 and ${MAX_THREADS}.`);
+        }
+        return {
+          duration: validateDuration(stage.duration, `load_profile.stages[${index}].duration`),
+          target: stage.target,
+        };
+      });
+      validateDuration(
+        stored.stages.reduce((sum, stage) => sum + stage.duration, 0),
+        "load_profile.stages (total duration)"
+      );
+      storedThreads = Math.max(...stored.stages.map((stage) => stage.target));
+      if (storedThreads < 1) {
+        throw new HttpError(400, '"load_profile.stages" must reach a target of at least 1.');
+      }
+      break;
+    }
+
+    case "arrival-rate":
+      if (!isPositiveNumber(profile.arrivalRate)) {
+        throw new HttpError(400, '"load_profile.arrivalRate" must be a positive number of requests per second.');
+      }
+      if (profile.thinkTimeMs !== undefined) {
+        throw new HttpError(400, '"load_profile.thinkTimeMs" does not apply to arrival-rate profiles; the rate sets when requests start.');
+      }
+      stored.arrivalRate = profile.arrivalRate;
+      stored.duration = validateDuration(profile.duration);
+      storedThreads = threads || Math.min(Math.ceil(profile.arrivalRate) * DEFAULT_IN_FLIGHT_SECONDS, MAX_THREADS);
+      break;
+  }
+
+  const thinkTimeMs = validateThinkTime(profile.thinkTimeMs);
+  if (thinkTimeMs !== undefined) stored.thinkTimeMs = thinkTimeMs;
+
+  if (profile.timeoutMs !== undefined) {
+    if (!isPositiveInteger(profile.timeoutMs) || profile.timeoutMs > MAX_TIMEOUT_MS) {
+      throw new HttpError(400, `"load_profile.timeoutMs" must be a positive integer up to ${MAX_TIMEOUT_MS}.`);
+    }
+    stored.timeoutMs = profile.timeoutMs;
+  }
+
+  return { total_requests: totalRequests || 0, threads: storedThreads, load_profile: stored };
+}
+
+/**
+ * How a saved endpoint is run: its profile with the stored request cap and
+ * worker count; endpoints without a profile send a fixed burst
+ */
+function getLoadPlan(endpoint) {
+  const profile = endpoint.load_profile || { executor: "iterations" };
+  const stagesDuration = (profile.stages || []).reduce((sum, stage) => sum + stage.duration, 0);
+  const duration = profile.executor === "ramping" ? stagesDuration : profile.duration;
+
+  return {
+    executor: profile.executor,
+    totalRequests: endpoint.total_requests,
+    threads: Math.max(1, endpoint.threads),
+    durationMs: duration ? duration * 1000 : null,
+    stages: profile.stages || [],
+    arrivalRate: profile.arrivalRate,
+    thinkTimeMs: profile.thinkTimeMs,
+    timeoutMs: profile.timeoutMs,
+  };
+}
+
+/**
+ * Workers ramping stages want at `elapsedMs`: linear from the previous
+ * stage's target (0 at the start) to the stage's own
+ */
+function getRampingTarget(stages, elapsedMs) {
+  let from = 0;
+  let stageStart = 0;
+
+  for (const stage of stages) {
+    const stageMs = stage.duration * 1000;
+    if (elapsedMs < stageStart + stageMs) {
+      return Math.round(from + ((stage.target - from) * (elapsedMs - stageStart)) / stageMs);
+    }
+    from = stage.target;
+    stageStart += stageMs;
+  }
+
+  return from;
+}
+
+/**
+ * Pause between a worker's requests, fixed or uniformly drawn from { min, max }
+ */
+function pickThinkTime(thinkTimeMs) {
+  if (!thinkTimeMs) {
+    return 0;
+  }
+
+  if (typeof thinkTimeMs === "number") {
+    return thinkTimeMs;
+  }
+
+  return thinkTimeMs.min + Math.random() * (thinkTimeMs.max - thinkTimeMs.min);
+}
+
+export { resolveLoadSettings, getLoadPlan, getRampingTarget, pickThinkTime };
@@ -0,0 +1,199 @@
+import { HttpError } from "./errors.js";
+
+/**
+ * Whether a single request sample counts as a success (2xx/3xx response)
+ */
+function isSuccessfulSample(sample) {
+  return sample.status !== null && sample.status < 400;
+}
+
+/**
+ * Build a status code histogram; network failures are counted under "error"
+ */
+function buildStatusCodeHistogram(samples) {
+  return samples.reduce((histogram, sample) => {
+    const key = sample.status === null ? "error" : String(sample.status);
+    histogram[key] = (histogram[key] || 0) + 1;
+    return histogram;
+  }, {});
+}
+
+/**
+ * Nearest-rank percentile over an ascending list of latencies
+ */
+function calculatePercentile(sortedLatencies, percentile) {
+  if (sortedLatencies.length === 0) {
+    return 0;
+  }
+
+  const rank = Math.ceil((percentile / 100) * sortedLatencies.length);
+  return sortedLatencies[Math.min(Math.max(rank, 1), sortedLatencies.length) - 1];
+}
+
+/**
+ * Group samples into per-second buckets by the time each request completed
+ */
+function buildTimeline(samples) {
+  const buckets = new Map();
+
+  for (const sample of samples) {
+    const second = Math.floor((sample.offsetMs + sample.latencyMs) / 1000);
+    const bucket = buckets.get(second) || {
+      second,
+      requests: 0,
+      errors: 0,
+      totalLatency: 0,
+    };
+
+    bucket.requests++;
+    bucket.totalLatency += sample.latencyMs;
+    if (!isSuccessfulSample(sample)) bucket.errors++;
+    buckets.set(second, bucket);
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.second - b.second)
+    .map(({ totalLatency, ...bucket }) => ({
+      ...bucket,
+      avg_latency_ms: totalLatency / bucket.requests,
+    }));
+}
+
+/**
+ * Aggregate raw request samples into the shape of a LoadTestResult row
+ */
+function summarizeSamples(samples, durationMs) {
+  const latencies = samples.map((sample) => sample.latencyMs);
+  const sortedLatencies = [...latencies].sort((a, b) => a - b);
+  const successCount = samples.filter(isSuccessfulSample).length;
+  const totalLatency = latencies.reduce((sum, latency) => sum + latency, 0);
+
+  return {
+    total_requests: samples.length,
+    success_count: successCount,
+    error_count: samples.length - successCount,
+    avg_latency_ms: samples.length ? totalLatency / samples.length : 0,
+    duration: Math.round(durationMs),
+    rps: durationMs > 0 ? samples.length / (durationMs / 1000) : 0,
+    fastest_ms: latencies.length
+      ? Math.round(latencies.reduce((min, value) => Math.min(min, value)))
+      : 0,
+    slowest_ms: latencies.length
+      ? Math.round(latencies.reduce((max, value) => Math.max(max, value)))
+      : 0,
+    status_code: buildStatusCodeHistogram(samples),
+    p50_ms: calculatePercentile(sortedLatencies, 50),
+    p90_ms: calculatePercentile(sortedLatencies, 90),
+    p95_ms: calculatePercentile(sortedLatencies, 95),
+    p99_ms: calculatePercentile(sortedLatencies, 99),
+    timeline: buildTimeline(samples),
+  };
+}
+
+/**
+ * Run options from a request body: { environment_id, validate_responses,
+ * validation_sample_rate }
+ */
+function parseRunOptions(body = {}) {
+  const {
+    environment_id: environmentId,
+    validate_responses: validateResponses,
+    validation_sample_rate: validationSampleRate,
+  } = body;
+
+  if (environmentId !== undefined && !Number.isInteger(environmentId)) {
+    throw new HttpError(400, '"environment_id" must be an integer.');
+  }
+
+  if (validateResponses !== undefined && typeof validateResponses !== "boolean") {
+    throw new HttpError(400, '"validate_responses" must be a boolean.');
+  }
+
+  if (
+    validationSampleRate !== undefined &&
+    !(typeof validationSampleRate === "number" && validationSampleRate > 0 && validationSampleRate <= 1)
+  ) {
+    throw new HttpError(400, '"validation_sample_rate" must be a number greater than 0 and at most 1.');
+  }
+
+  return { environmentId, validateResponses, validationSampleRate };
+}
+
+/**
+ * Saved bodies are stored as JSON strings; fall back to the raw value otherwise
+ */
+function parseRequestBody(requestBody) {
+  if (requestBody === null || requestBody === undefined) {
+    return undefined;
+  }
+
+  if (typeof requestBody !== "string") {
+    return requestBody;
+  }
+
+  try {
+    return JSON.parse(requestBody);
+  } catch {
+    return requestBody;
+  }
+}
+
+/**
+ * Samples as compact [status, offsetMs, latencyMs] tuples for storage;
+ * network errors keep a null status but lose their message
+ */
+function toSampleTuples(samples) {
+  return samples.map((sample) => [
+    sample.status,
+    Math.round(sample.offsetMs),
+    Math.round(sample.latencyMs * 10) / 10,
+  ]);
+}
+
+/**
+ * Snapshot of a run that can be stored and resumed: the time it ran, the
+ * arrivals it dropped, the samples it has completed and, as tuples, those
+ * added from `savedCount` on. Each checkpoint only carries the samples the
+ * previous one didn't, so storing them takes the same time all run long.
+ */
+function createCheckpoint({ samples, elapsedMs, dropped, savedCount = 0 }) {
+  return {
+    elapsed_ms: Math.round(elapsedMs),
+    dropped,
+    completed: samples.length,
+    samples: toSampleTuples(samples.slice(savedCount)),
+  };
+}
+
+/**
+ * Samples of a checkpoint whose tuples were put back together, all of them
+ * from the start of the run
+ */
+function restoreCheckpointSamples(checkpoint) {
+  return (checkpoint?.samples || []).map(([status, offsetMs, latencyMs]) => ({
+    status,
+    offsetMs,
+    latencyMs,
+  }));
+}
+
+/**
+ * BigInt columns cannot be serialized by res.json
+ */
+function serializeLoadTestResult(result) {
+  return { ...result, duration: Number(result.duration) };
+}
+
+export {
+  isSuccessfulSample,
+  buildStatusCodeHistogram,
+  calculatePercentile,
+  buildTimeline,
+  summarizeSamples,
+  parseRunOptions,
+  parseRequestBody,
+  toSampleTuples,
+  createCheckpoint,
+  restoreCheckpointSamples,
+  serializeLoadTestResult,
+};
@@ -0,0 +1,122 @@
+import { toRefResolver } from "./refResolver.js";
+
+// Refs nested deeper are cut off in the prompt; the validator still follows them
+const MAX_INLINE_DEPTH = 8;
+
+/**
+ * Copy of a schema with its $refs inlined so the model sees complete types.
+ * Recursive refs and refs nested more than MAX_INLINE_DEPTH deep become a
+ * bare { type: "object" }.
+ */
+function inlineSchemaRefs(schema, resolver, seen = new Set(), depth = 0) {
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+
+  if (Array.isArray(schema)) {
+    return schema.map((item) => inlineSchemaRefs(item, resolver, seen, depth));
+  }
+
+  if (typeof schema.$ref === "string") {
+    if (seen.has(schema.$ref) || depth >= MAX_INLINE_DEPTH) {
+      return { type: "object" };
+    }
+    return inlineSchemaRefs(resolver.deref(schema), resolver, new Set([...seen, schema.$ref]), depth + 1);
+  }
+
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => [key, inlineSchemaRefs(value, resolver, seen, depth)])
+  );
+}
+
+/**
+ * The operation details a payload provider works from, in the shape of the
+ * GeminiRequest interface: { endpoint, pathDetails: { parameters,
+ * requestBody } } with every schema inlined
+ */
+function createPayloadRequest(endpoint, bodyContent, definitions) {
+  const resolver = toRefResolver(definitions);
+
+  return {
+    endpoint: {
+      id: endpoint.id,
+      operationId: endpoint.operationId,
+      method: endpoint.method.toUpperCase(),
+      path: endpoint.path,
+      summary: endpoint.summary,
+      tags: endpoint.tags,
+    },
+    pathDetails: {
+      parameters: (endpoint.parameters || []).map((parameter) => ({
+        name: parameter.name,
+        in: parameter.in,
+        required: Boolean(parameter.required),
+        description: parameter.description,
+        schema: inlineSchemaRefs(
+          parameter.schema || Object.values(parameter.content || {})[0]?.schema || { type: "string" },
+          resolver
+        ),
+      })),
+      requestBody: bodyContent?.schema
+        ? {
+            contentType: bodyContent.contentType,
+            description: endpoint.requestBody?.description,
+            schema: inlineSchemaRefs(bodyContent.schema, resolver),
+          }
+        : null,
+    },
+  };
+}
+
+/**
+ * Instructions for an LLM to produce one realistic request for an operation
+ */
+function buildPayloadPrompt({ endpoint, pathDetails }) {
+  const lines = [
+    "You generate test data for HTTP load tests.",
+    `Produce one realistic request for the operation ${endpoint.method} ${endpoint.path}` +
+      (endpoint.summary ? ` ("${endpoint.summary}")` : "") +
+      ".",
+    "Values must look like real production data for the domain (names, addresses, prices, dates, identifiers),",
+    "not placeholders such as \"string\" or \"example\", and must satisfy every constraint in the schemas.",
+    "",
+    "Reply with a single JSON object and nothing else:",
+    '{ "parameters": { "<parameter name>": <value> }, "body": <request body> }',
+    "Omit \"body\" when the operation has no request body.",
+  ];
+
+  if (pathDetails.parameters.length > 0) {
+    lines.push("", "Parameters:", JSON.stringify(pathDetails.parameters, null, 2));
+  }
+
+  if (pathDetails.requestBody) {
+    lines.push(
+      "",
+      `Request body (${pathDetails.requestBody.contentType}) schema:`,
+      JSON.stringify(pathDetails.requestBody.schema, null, 2)
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Read a provider's reply: a JSON object, possibly wrapped in a Markdown
+ * code fence. Null when it isn't one.
+ */
+function parsePayloadText(text) {
+  if (typeof text !== "string") {
+    return null;
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+
+  try {
+    const parsed = JSON.parse(fenced ? fenced[1] : text);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export { inlineSchemaRefs, createPayloadRequest, buildPayloadPrompt, parsePayloadText };
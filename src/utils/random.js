@@ -0,0 +1,49 @@
+/**
+ * Hash any seed (string or number) into a 32-bit integer
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Create a random() function returning floats in [0, 1). With a seed the
+ * sequence is reproducible (mulberry32); without one it is Math.random.
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    return Math.random;
+  }
+
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer between min and max, both inclusive
+ */
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Random element of a non-empty array
+ */
+function pickRandom(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+export { hashSeed, createRandom, randomInt, pickRandom };
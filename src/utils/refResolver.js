@@ -0,0 +1,119 @@
+import { HttpError } from "./errors.js";
+
+const MAX_REF_CHAIN = 50;
+
+/**
+ * Decode a single JSON pointer token (RFC 6901)
+ */
+function decodePointerToken(token) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(token);
+  } catch {
+    // A "%" not followed by two hex digits
+    throw new HttpError(400, `Invalid percent-encoding in $ref pointer segment "${token}".`);
+  }
+  return decoded.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Walk a JSON pointer such as "/components/schemas/Pet" into a document
+ */
+function resolvePointer(document, pointer = "") {
+  if (!pointer) {
+    return document;
+  }
+
+  return pointer
+    .replace(/^\//, "")
+    .split("/")
+    .map(decodePointerToken)
+    .reduce((node, token) => (node === undefined || node === null ? undefined : node[token]), document);
+}
+
+/**
+ * Split a $ref into its file location and JSON pointer
+ */
+function splitRef(ref) {
+  const hashIndex = ref.indexOf("#");
+  return hashIndex === -1
+    ? { location: ref, pointer: "" }
+    : { location: ref.slice(0, hashIndex), pointer: ref.slice(hashIndex + 1) };
+}
+
+/**
+ * Human readable name for a $ref: the last pointer segment or the file name
+ */
+function getRefName(ref) {
+  const { location, pointer } = splitRef(ref);
+  const segments = pointer.split("/").filter(Boolean);
+  return segments.length > 0
+    ? decodePointerToken(segments[segments.length - 1])
+    : location.split("/").pop();
+}
+
+/**
+ * Create a resolver for $refs in a root document and its bundled external files.
+ * External refs are expected in the canonical "<file>#<pointer>" form produced
+ * by bundleExternalRefs; local refs ("#/...") point into the root document.
+ */
+function createRefResolver(document = {}, files = {}) {
+  function resolve(ref) {
+    const { location, pointer } = splitRef(ref);
+    const target = location ? files[location] : document;
+    return target === undefined ? undefined : resolvePointer(target, pointer);
+  }
+
+  /**
+   * Follow a chain of $refs to the object it points at. Sibling keys next to
+   * the $ref (allowed by OAS 3.1, e.g. description) override the target's.
+   */
+  function deref(value) {
+    let current = value;
+    const seen = new Set();
+
+    while (current && typeof current.$ref === "string") {
+      if (seen.has(current.$ref) || seen.size >= MAX_REF_CHAIN) {
+        return current;
+      }
+      seen.add(current.$ref);
+
+      const { $ref, ...siblings } = current;
+      const target = resolve($ref);
+
+      if (target === undefined) {
+        return current;
+      }
+
+      current = Object.keys(siblings).length > 0 ? { ...target, ...siblings } : target;
+    }
+
+    return current;
+  }
+
+  return { document, files, resolve, deref };
+}
+
+/**
+ * Accept either a resolver or a bare definitions map (the legacy argument of
+ * the request body generator) and always return a resolver
+ */
+function toRefResolver(resolverOrDefinitions = {}) {
+  if (typeof resolverOrDefinitions.resolve === "function") {
+    return resolverOrDefinitions;
+  }
+
+  return createRefResolver({
+    definitions: resolverOrDefinitions,
+    components: { schemas: resolverOrDefinitions },
+  });
+}
+
+export {
+  decodePointerToken,
+  resolvePointer,
+  splitRef,
+  getRefName,
+  createRefResolver,
+  toRefResolver,
+};
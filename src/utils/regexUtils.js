@@ -0,0 +1,58 @@
+// Longest user- or spec-supplied pattern compiled into a RegExp
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Whether a quantified group itself contains a quantifier, e.g. "(a+)+" or
+ * "(\\w*)*": the shape behind catastrophic backtracking. Escapes and character
+ * classes are skipped; "?" is bounded and not counted.
+ */
+function hasNestedQuantifier(source) {
+  // One flag per open group: whether its body contains a quantifier so far
+  const groups = [];
+  let closedGroupQuantified = false;
+  let afterGroup = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")") {
+      closedGroupQuantified = groups.pop() || false;
+      if (closedGroupQuantified && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      afterGroup = true;
+      continue;
+    } else if (char === "*" || char === "+" || /^\{\d+(,\d*)?\}/.test(source.slice(i))) {
+      if (afterGroup && closedGroupQuantified) return true;
+      if (groups.length > 0) groups[groups.length - 1] = true;
+    }
+
+    afterGroup = false;
+  }
+
+  return false;
+}
+
+/**
+ * Reason a pattern is refused (too long or nested quantifiers), or null when
+ * it is safe to compile
+ */
+function unsafePatternReason(source) {
+  if (source.length > MAX_PATTERN_LENGTH) {
+    return `longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (hasNestedQuantifier(source)) {
+    return "nested quantifiers can backtrack catastrophically";
+  }
+  return null;
+}
+
+export { MAX_PATTERN_LENGTH, unsafePatternReason };
@@ -0,0 +1,330 @@
+import { toRefResolver } from "./refResolver.js";
+import { unsafePatternReason } from "./regexUtils.js";
+
+const MAX_SCHEMA_ERRORS = 10;
+const MAX_REF_DEPTH = 50;
+
+/**
+ * Loose checks for the common string formats; unknown formats always pass
+ */
+const FORMAT_PATTERNS = {
+  "date-time": /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  email: /^[^\s@]+@[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+
+function describeValueType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "string":
+      return typeof value === "string";
+    case "boolean":
+      return typeof value === "boolean";
+    default:
+      // "file" (Swagger 2.0) and anything unknown
+      return true;
+  }
+}
+
+/**
+ * Allowed types of a schema: OAS 3.1 type arrays, OAS 3.0 "nullable" and the
+ * Swagger 2.0 "x-nullable" extension; type-less schemas are inferred from
+ * their keywords the way the request body generator does
+ */
+function getAllowedTypes(schema) {
+  let types;
+
+  if (Array.isArray(schema.type)) types = [...schema.type];
+  else if (schema.type) types = [schema.type];
+  else if (schema.properties || schema.additionalProperties) types = ["object"];
+  else if (schema.items) types = ["array"];
+  else return null;
+
+  if (schema.nullable === true || schema["x-nullable"] === true) types.push("null");
+  return types;
+}
+
+/**
+ * Validate a value against a JSON schema as used by OpenAPI. Returns a list of
+ * { path, message } errors, "$" being the body itself; stops after a few.
+ */
+function validateSchema(value, schema, definitions = {}, path = "$", errors = [], depth = 0) {
+  const resolver = toRefResolver(definitions);
+  const report = (errorPath, message) => {
+    if (errors.length < MAX_SCHEMA_ERRORS) errors.push({ path: errorPath, message });
+  };
+
+  if (!schema || errors.length >= MAX_SCHEMA_ERRORS || depth > MAX_REF_DEPTH) {
+    return errors;
+  }
+
+  if (schema.$ref) {
+    const target = resolver.resolve(schema.$ref);
+    // Unresolvable refs can't be checked; don't blame the service for them
+    return target ? validateSchema(value, target, resolver, path, errors, depth + 1) : errors;
+  }
+
+  // Every allOf part applies to the same value
+  for (const part of schema.allOf || []) {
+    validateSchema(value, part, resolver, path, errors, depth + 1);
+  }
+
+  // An empty oneOf/anyOf is treated as absent rather than matching nothing
+  const alternatives = schema.oneOf?.length ? schema.oneOf : schema.anyOf?.length ? schema.anyOf : null;
+  if (alternatives && !(value === null && (schema.nullable || schema["x-nullable"]))) {
+    const matching = alternatives.filter(
+      (alternative) => validateSchema(value, alternative, resolver, path, [], depth + 1).length === 0
+    );
+
+    if (matching.length === 0) {
+      report(path, `matches none of the ${alternatives === schema.oneOf ? "oneOf" : "anyOf"} schemas`);
+    } else if (alternatives === schema.oneOf && matching.length > 1) {
+      report(path, `matches ${matching.length} oneOf schemas, expected exactly one`);
+    }
+  }
+
+  const types = getAllowedTypes(schema);
+
+  if (types && !types.some((type) => matchesType(value, type))) {
+    // An integer is also a number, so report the declared type as is
+    report(path, `expected ${types.join(" or ")}, got ${describeValueType(value)}`);
+    return errors;
+  }
+
+  if (value === null) {
+    return errors;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((entry) => JSON.stringify(entry) === JSON.stringify(value))) {
+    report(path, `${JSON.stringify(value)} is not one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(path, `shorter than minLength ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(path, `longer than maxLength ${schema.maxLength}`);
+    }
+    const pattern = typeof schema.pattern === "string" && getPatternRegExp(schema);
+    if (pattern && !pattern.test(value)) {
+      report(path, `does not match pattern ${schema.pattern}`);
+    }
+    if (FORMAT_PATTERNS[schema.format] && !FORMAT_PATTERNS[schema.format].test(value)) {
+      report(path, `is not a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    // OAS 3.0 uses boolean exclusive flags, OAS 3.1 numeric bounds
+    const exclusiveMinimum =
+      typeof schema.exclusiveMinimum === "number" ? schema.exclusiveMinimum : schema.exclusiveMinimum && schema.minimum;
+    const exclusiveMaximum =
+      typeof schema.exclusiveMaximum === "number" ? schema.exclusiveMaximum : schema.exclusiveMaximum && schema.maximum;
+
+    if (typeof exclusiveMinimum === "number" && value <= exclusiveMinimum) {
+      report(path, `must be greater than ${exclusiveMinimum}`);
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      report(path, `less than minimum ${schema.minimum}`);
+    }
+    if (typeof exclusiveMaximum === "number" && value >= exclusiveMaximum) {
+      report(path, `must be less than ${exclusiveMaximum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      report(path, `greater than maximum ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(path, `fewer than minItems ${schema.minItems}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(path, `more than maxItems ${schema.maxItems}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateSchema(item, schema.items, resolver, `${path}[${index}]`, errors, depth + 1)
+      );
+    }
+  } else if (typeof value === "object") {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) report(`${path}.${name}`, "required property is missing");
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        validateSchema(propertyValue, properties[name], resolver, `${path}.${name}`, errors, depth + 1);
+      } else if (schema.additionalProperties === false) {
+        report(`${path}.${name}`, "property is not allowed");
+      } else if (typeof schema.additionalProperties === "object") {
+        validateSchema(propertyValue, schema.additionalProperties, resolver, `${path}.${name}`, errors, depth + 1);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Compiled `pattern` per schema object; null when it isn't checked
+const patternCache = new WeakMap();
+
+/**
+ * RegExp for a schema's pattern, compiled once per schema. Invalid patterns
+ * and ones that could backtrack catastrophically (see regexUtils) give null:
+ * they are skipped rather than run against every sampled value.
+ */
+function getPatternRegExp(schema) {
+  if (!patternCache.has(schema)) {
+    let regex = null;
+    if (!unsafePatternReason(schema.pattern)) {
+      try {
+        regex = new RegExp(schema.pattern, "u");
+      } catch {
+        regex = null;
+      }
+    }
+    patternCache.set(schema, regex);
+  }
+
+  return patternCache.get(schema);
+}
+
+/**
+ * Declared response for a status: the exact code, then its range ("2XX"),
+ * then "default"
+ */
+function findResponseDefinition(responses = {}, status) {
+  const code = String(status);
+  const range = `${code[0]}XX`;
+  const key = Object.keys(responses).find((entry) => entry === code) ??
+    Object.keys(responses).find((entry) => entry.toUpperCase() === range) ??
+    (responses.default !== undefined ? "default" : undefined);
+
+  return key === undefined ? null : { key, response: responses[key] || {} };
+}
+
+/**
+ * Media type base ("application/json" from "application/json; charset=utf-8")
+ */
+function getMediaType(contentType) {
+  return String(contentType || "").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Declared media type matching a response content type, honouring wildcards
+ * such as "application/*" and "*\/*"
+ */
+function findMediaType(content, contentType) {
+  const mediaType = getMediaType(contentType);
+  const declared = Object.keys(content);
+
+  return (
+    declared.find((entry) => getMediaType(entry) === mediaType) ??
+    declared.find((entry) => {
+      const [type, subtype] = getMediaType(entry).split("/");
+      return subtype === "*" && (type === "*" || mediaType.startsWith(`${type}/`));
+    })
+  );
+}
+
+function isJsonMediaType(mediaType) {
+  return /^application\/json$|[/+]json$/.test(getMediaType(mediaType));
+}
+
+function isEmptyBody(data) {
+  return data === undefined || data === null || data === "";
+}
+
+/**
+ * Check one response against an operation's declared responses: the status
+ * code must be documented, its content type declared and a JSON body must
+ * match the schema. Returns a list of { type, message, path? } violations;
+ * `type` is "status", "content_type" or "schema".
+ */
+function validateResponse(responses, response, definitions = {}) {
+  const resolver = toRefResolver(definitions);
+  const definition = findResponseDefinition(responses, response.status);
+
+  if (!definition) {
+    return [
+      {
+        type: "status",
+        message: `Status ${response.status} is not documented; the spec declares ${Object.keys(responses).join(", ") || "no responses"}.`,
+      },
+    ];
+  }
+
+  const declaredResponse = resolver.deref(definition.response) || {};
+  const content = declaredResponse.content || {};
+  const contentType = response.headers?.["content-type"];
+
+  // Nothing declared: only an empty body is expected, but many APIs send
+  // one anyway, so there is nothing to check
+  if (Object.keys(content).length === 0) {
+    return [];
+  }
+
+  if (!contentType) {
+    return isEmptyBody(response.data)
+      ? []
+      : [{ type: "content_type", message: `Status ${response.status} response has no Content-Type header.` }];
+  }
+
+  const mediaType = findMediaType(content, contentType);
+
+  if (!mediaType) {
+    return [
+      {
+        type: "content_type",
+        message: `Content-Type ${getMediaType(contentType)} is not declared for ${definition.key}; expected ${Object.keys(content).join(", ")}.`,
+      },
+    ];
+  }
+
+  const schema = content[mediaType]?.schema;
+
+  if (!schema || !isJsonMediaType(contentType)) {
+    return [];
+  }
+
+  let body = response.data;
+
+  // axios leaves bodies it can't parse as text
+  if (typeof body === "string") {
+    if (body.trim() === "") {
+      return [{ type: "schema", path: "$", message: "JSON response body is empty." }];
+    }
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return [{ type: "schema", path: "$", message: "Response body is not valid JSON." }];
+    }
+  }
+
+  return validateSchema(body, schema, resolver).map(({ path, message }) => ({
+    type: "schema",
+    path,
+    message: `${path} ${message}`,
+  }));
+}
+
+export { validateSchema, findResponseDefinition, validateResponse };
@@ -0,0 +1,222 @@
+import { resolvePointer } from "./refResolver.js";
+import { calculatePercentile, isSuccessfulSample, summarizeSamples } from "./loadTestUtils.js";
+
+const EXTRACT_SOURCES = ["body", "header", "status"];
+
+/**
+ * Read a value out of a parsed JSON body with a JSONPath subset ("$",
+ * ".name", "['name']", "[0]") or a JSON pointer ("/items/0/id", "#/id").
+ * Returns undefined when the path does not exist.
+ */
+function evaluateJsonPath(value, path) {
+  if (path.startsWith("/") || path.startsWith("#")) {
+    return resolvePointer(value, path.replace(/^#/, ""));
+  }
+
+  if (!path.startsWith("$")) {
+    return undefined;
+  }
+
+  const tokens = [...path.slice(1).matchAll(/\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]*)['"]\]/g)];
+  // Anything the pattern skipped is a syntax we don't support
+  if (tokens.map((token) => token[0]).join("") !== path.slice(1)) {
+    return undefined;
+  }
+
+  return tokens.reduce(
+    (node, [, name, index, quoted]) =>
+      node === undefined || node === null ? undefined : node[name ?? quoted ?? Number(index)],
+    value
+  );
+}
+
+/**
+ * Validate a step's extractions: [{ name, from: "body" | "header" | "status", path }]
+ */
+function validateExtractions(extract, label) {
+  if (!Array.isArray(extract)) {
+    return `${label}: "extract" must be an array.`;
+  }
+
+  for (const extraction of extract) {
+    if (!extraction || typeof extraction.name !== "string" || !/^[\w.-]+$/.test(extraction.name)) {
+      return `${label}: every extraction needs a "name" of letters, digits, "_", "." or "-".`;
+    }
+    if (!EXTRACT_SOURCES.includes(extraction.from ?? "body")) {
+      return `${label}: "from" of "${extraction.name}" must be one of ${EXTRACT_SOURCES.join(", ")}.`;
+    }
+    if ((extraction.from ?? "body") !== "status" && typeof extraction.path !== "string") {
+      return `${label}: "${extraction.name}" needs a "path" (a JSONPath or header name).`;
+    }
+  }
+
+  return null;
+}
+
+function parseJsonSafely(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Pull a step's extractions out of a response ({ status, headers, data } with
+ * the body as text). Returns { values, missing }.
+ */
+function extractValues(extract = [], response) {
+  const values = {};
+  const missing = [];
+  let body;
+
+  for (const { name, from = "body", path } of extract) {
+    let value;
+
+    if (from === "status") {
+      value = response.status;
+    } else if (from === "header") {
+      value = response.headers?.[path.toLowerCase()];
+    } else {
+      body ??= typeof response.data === "string" ? parseJsonSafely(response.data) : response.data;
+      value = body === undefined ? undefined : evaluateJsonPath(body, path);
+    }
+
+    if (value === undefined || value === null) {
+      missing.push(name);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return { values, missing };
+}
+
+/**
+ * Replace the values of a saved URL's path parameters, matching the URL
+ * against the operation's path template ("/orders/{id}"). Values are
+ * percent-encoded. Null when the URL doesn't follow the template.
+ */
+function fillPathParams(url, pathTemplate, params = {}) {
+  const names = [];
+  const pattern = pathTemplate
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const name = part.match(/^\{([^}]+)\}$/)?.[1];
+      if (name) {
+        names.push(name);
+        return "([^/?#]*)";
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  const match = new RegExp(`${pattern}(?=[?#]|$)`, "d").exec(url);
+
+  if (!match) {
+    return null;
+  }
+
+  // Replace from the end so the earlier offsets stay valid
+  let filled = url;
+  for (let index = names.length - 1; index >= 0; index--) {
+    const value = params[names[index]];
+    if (value === undefined || value === null) continue;
+    const [start, end] = match.indices[index + 1];
+    filled = `${filled.slice(0, start)}${encodeURIComponent(value)}${filled.slice(end)}`;
+  }
+
+  return filled;
+}
+
+/**
+ * Set (or replace) query parameters on a URL, percent-encoding the values
+ */
+function setQueryParams(url, params = {}) {
+  if (Object.keys(params).length === 0) {
+    return url;
+  }
+
+  const [withoutHash, hash] = url.split("#");
+  const [base, query = ""] = withoutHash.split("?");
+  const names = new Set(Object.keys(params));
+  const kept = query
+    .split("&")
+    .filter((pair) => pair && !names.has(decodeURIComponent(pair.split("=")[0])));
+  const added = Object.entries(params).map(
+    ([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`
+  );
+
+  return `${base}?${[...kept, ...added].join("&")}${hash !== undefined ? `#${hash}` : ""}`;
+}
+
+/**
+ * Extraction for an OpenAPI link runtime expression; only response values
+ * can be extracted ("$response.body#/id", "$response.header.Location")
+ */
+function parseLinkExpression(expression) {
+  if (typeof expression !== "string") {
+    return null;
+  }
+
+  const body = expression.match(/^\$response\.body(#.*)?$/);
+  if (body) {
+    return { from: "body", path: body[1] && body[1] !== "#" ? body[1] : "$" };
+  }
+
+  const header = expression.match(/^\$response\.header\.(.+)$/);
+  if (header) {
+    return { from: "header", path: header[1] };
+  }
+
+  if (expression === "$statusCode") {
+    return { from: "status" };
+  }
+
+  return null;
+}
+
+/**
+ * Aggregate a scenario run: end-to-end figures over iterations (samples
+ * whose status is that of the last step sent) and per-step figures over
+ * each step's samples
+ */
+function summarizeScenarioRun(iterations, steps, durationMs) {
+  const latencies = iterations.map((iteration) => iteration.latencyMs).sort((a, b) => a - b);
+  const successCount = iterations.filter(isSuccessfulSample).length;
+  const totalLatency = latencies.reduce((sum, latency) => sum + latency, 0);
+
+  return {
+    iterations: iterations.length,
+    success_count: successCount,
+    error_count: iterations.length - successCount,
+    avg_latency_ms: iterations.length ? totalLatency / iterations.length : 0,
+    duration: Math.round(durationMs),
+    rps: durationMs > 0 ? iterations.length / (durationMs / 1000) : 0,
+    p50_ms: calculatePercentile(latencies, 50),
+    p90_ms: calculatePercentile(latencies, 90),
+    p95_ms: calculatePercentile(latencies, 95),
+    p99_ms: calculatePercentile(latencies, 99),
+    steps: steps.map((step) => {
+      const { timeline, duration, ...summary } = summarizeSamples(step.samples, durationMs);
+      return {
+        position: step.position,
+        name: step.name,
+        api_endpoint_id: step.api_endpoint_id,
+        ...summary,
+        extraction_failures: step.extractionFailures,
+        skipped: step.skipped,
+        ...(step.validator ? step.validator.summarize() : {}),
+      };
+    }),
+  };
+}
+
+export {
+  evaluateJsonPath,
+  validateExtractions,
+  extractValues,
+  fillPathParams,
+  setQueryParams,
+  parseLinkExpression,
+  summarizeScenarioRun,
+};
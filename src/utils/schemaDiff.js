@@ -0,0 +1,199 @@
+/**
+ * Flatten the fieldInfo tree built by createDummyDataFromSchema into a map of
+ * field path ("" for the root, "a.b", "items[]", "map.*") to its constraints
+ */
+function flattenFieldInfo(fieldInfo, fields = new Map(), path = "") {
+  if (!fieldInfo) {
+    return fields;
+  }
+
+  fields.set(path, {
+    type: fieldInfo.type,
+    format: fieldInfo.format,
+    required: Boolean(fieldInfo.required),
+    nullable: Boolean(fieldInfo.nullable),
+    enum: fieldInfo.enum,
+  });
+
+  for (const [key, info] of Object.entries(fieldInfo.properties || {})) {
+    flattenFieldInfo(info, fields, path ? `${path}.${key}` : key);
+  }
+
+  if (fieldInfo.items) {
+    flattenFieldInfo(fieldInfo.items, fields, path ? `${path}[]` : "[]");
+  }
+
+  if (fieldInfo.additionalProperties) {
+    flattenFieldInfo(fieldInfo.additionalProperties, fields, path ? `${path}.*` : "*");
+  }
+
+  return fields;
+}
+
+/**
+ * Whether `path` lies below one of `parents` (so reporting it is redundant)
+ */
+function isNestedUnder(path, parents) {
+  return parents.some(
+    (parent) =>
+      parent !== path &&
+      (parent === "" || path.startsWith(`${parent}.`) || path.startsWith(`${parent}[]`))
+  );
+}
+
+function describeField(path, rootName) {
+  return path ? `"${path}"` : rootName;
+}
+
+/**
+ * Compare two fieldInfo trees. `direction` is "request" or "response": the
+ * same change can break clients on one side and be harmless on the other,
+ * e.g. a removed field is fine in a request but breaking in a response.
+ * `rootName` names the root value in messages (a body or a parameter).
+ */
+function diffFieldInfo(baseInfo, headInfo, direction, rootName = "the body") {
+  const isRequest = direction === "request";
+  const baseFields = flattenFieldInfo(baseInfo);
+  const headFields = flattenFieldInfo(headInfo);
+  const added = [...headFields.keys()].filter((path) => !baseFields.has(path));
+  const removed = [...baseFields.keys()].filter((path) => !headFields.has(path));
+  const changes = [];
+
+  for (const path of added) {
+    if (isNestedUnder(path, added)) continue;
+    const field = headFields.get(path);
+    const requiredInRequest = isRequest && field.required;
+
+    changes.push({
+      type: requiredInRequest ? `${direction}.field.required-added` : `${direction}.field.added`,
+      breaking: requiredInRequest,
+      field: path,
+      message: `${requiredInRequest ? "Required field" : "Field"} ${describeField(path, rootName)} was added.`,
+      after: field,
+    });
+  }
+
+  for (const path of removed) {
+    if (isNestedUnder(path, removed)) continue;
+
+    changes.push({
+      type: `${direction}.field.removed`,
+      breaking: !isRequest,
+      field: path,
+      message: `Field ${describeField(path, rootName)} was removed.`,
+      before: baseFields.get(path),
+    });
+  }
+
+  for (const [path, before] of baseFields) {
+    const after = headFields.get(path);
+    if (!after) continue;
+
+    if (before.type !== after.type) {
+      changes.push({
+        type: `${direction}.field.type-changed`,
+        breaking: true,
+        field: path,
+        message: `Type of ${describeField(path, rootName)} changed from ${before.type} to ${after.type}.`,
+        before: before.type,
+        after: after.type,
+      });
+      // Format and enum changes are implied by a different type
+      continue;
+    }
+
+    if (before.format !== after.format) {
+      changes.push({
+        type: `${direction}.field.format-changed`,
+        breaking: true,
+        field: path,
+        message: `Format of ${describeField(path, rootName)} changed from ${before.format ?? "none"} to ${after.format ?? "none"}.`,
+        before: before.format ?? null,
+        after: after.format ?? null,
+      });
+    }
+
+    if (before.required !== after.required) {
+      // Requests break when a field becomes required, responses when one may go missing
+      const breaking = isRequest ? after.required : before.required;
+      changes.push({
+        type: `${direction}.field.${after.required ? "became-required" : "became-optional"}`,
+        breaking,
+        field: path,
+        message: `${describeField(path, rootName)} became ${after.required ? "required" : "optional"}.`,
+        before: before.required,
+        after: after.required,
+      });
+    }
+
+    if (before.nullable !== after.nullable) {
+      const breaking = isRequest ? before.nullable : after.nullable;
+      changes.push({
+        type: `${direction}.field.${after.nullable ? "became-nullable" : "became-non-nullable"}`,
+        breaking,
+        field: path,
+        message: `${describeField(path, rootName)} ${after.nullable ? "may now be null" : "may no longer be null"}.`,
+        before: before.nullable,
+        after: after.nullable,
+      });
+    }
+
+    changes.push(...diffEnums(path, before.enum, after.enum, direction, rootName));
+  }
+
+  return changes;
+}
+
+/**
+ * Enum changes: removed values break requests, added values break responses.
+ * Adding an enum to a free field narrows it too, removing one widens it.
+ */
+function diffEnums(path, beforeEnum, afterEnum, direction, rootName) {
+  const isRequest = direction === "request";
+  const changes = [];
+
+  if (!beforeEnum && !afterEnum) {
+    return changes;
+  }
+
+  const beforeValues = (beforeEnum || []).map((value) => JSON.stringify(value));
+  const afterValues = (afterEnum || []).map((value) => JSON.stringify(value));
+  const removedValues = beforeEnum
+    ? beforeEnum.filter((value, i) => afterEnum && !afterValues.includes(beforeValues[i]))
+    : [];
+  const addedValues = afterEnum
+    ? afterEnum.filter((value, i) => beforeEnum && !beforeValues.includes(afterValues[i]))
+    : [];
+  const narrowed = removedValues.length > 0 || (!beforeEnum && afterEnum);
+  const widened = addedValues.length > 0 || (beforeEnum && !afterEnum);
+
+  if (narrowed) {
+    changes.push({
+      type: `${direction}.enum.narrowed`,
+      breaking: isRequest,
+      field: path,
+      message: beforeEnum
+        ? `Enum of ${describeField(path, rootName)} no longer allows ${removedValues.map((v) => JSON.stringify(v)).join(", ")}.`
+        : `${describeField(path, rootName)} is now restricted to an enum.`,
+      before: beforeEnum || null,
+      after: afterEnum,
+    });
+  }
+
+  if (widened) {
+    changes.push({
+      type: `${direction}.enum.widened`,
+      breaking: !isRequest,
+      field: path,
+      message: afterEnum
+        ? `Enum of ${describeField(path, rootName)} now also allows ${addedValues.map((v) => JSON.stringify(v)).join(", ")}.`
+        : `${describeField(path, rootName)} is no longer restricted to an enum.`,
+      before: beforeEnum,
+      after: afterEnum || null,
+    });
+  }
+
+  return changes;
+}
+
+export { flattenFieldInfo, diffFieldInfo };
@@ -0,0 +1,71 @@
+import crypto from "node:crypto";
+import { HttpError } from "./errors.js";
+
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const FORMAT_VERSION = "v1";
+
+/**
+ * 256-bit key from SECRETS_ENCRYPTION_KEY: 64 hex characters or 32 base64
+ * encoded bytes are used as is, any other passphrase is hashed
+ */
+function getEncryptionKey() {
+  const rawKey = process.env.SECRETS_ENCRYPTION_KEY;
+
+  if (!rawKey) {
+    throw new HttpError(500, "SECRETS_ENCRYPTION_KEY is not configured; secrets can't be stored.");
+  }
+
+  if (/^[0-9a-f]{64}$/i.test(rawKey)) {
+    return Buffer.from(rawKey, "hex");
+  }
+
+  const decoded = Buffer.from(rawKey, "base64");
+  if (decoded.length === 32 && decoded.toString("base64") === rawKey) {
+    return decoded;
+  }
+
+  return crypto.createHash("sha256").update(rawKey).digest();
+}
+
+/**
+ * Encrypt a secret as "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+ */
+function encryptSecret(value) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+
+  return [
+    FORMAT_VERSION,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ */
+function decryptSecret(payload) {
+  const [version, iv, authTag, ciphertext] = String(payload).split(":");
+
+  if (version !== FORMAT_VERSION || !iv || !authTag || ciphertext === undefined) {
+    throw new HttpError(500, "Stored secret has an unknown format.");
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(authTag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    // A changed key or tampered value fails authentication
+    throw new HttpError(500, "Stored secret could not be decrypted; was SECRETS_ENCRYPTION_KEY changed?");
+  }
+}
+
+export { encryptSecret, decryptSecret };
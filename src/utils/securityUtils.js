@@ -0,0 +1,375 @@
+import { HttpError } from "./errors.js";
+import { encryptSecret, decryptSecret } from "./secretCrypto.js";
+
+/**
+ * OAuth2 flows we can run without a user present, by OAS3 flow name and
+ * Swagger 2.0 "flow" value
+ */
+const OAUTH_GRANT_TYPES = {
+  clientCredentials: "client_credentials",
+  application: "client_credentials",
+  password: "password",
+};
+
+// Stored encrypted in an endpoint's auth_config
+const OAUTH_SECRET_FIELDS = ["clientSecret", "password"];
+
+// Credential field holding the secret, by scheme type (basic is encoded whole)
+const SECRET_CREDENTIAL_FIELDS = {
+  http: "token",
+  apiKey: "value",
+  oauth2: "accessToken",
+  openIdConnect: "accessToken",
+};
+
+const PLACEHOLDER_PART = /(\{\{\s*[\w.-]+\s*\}\})/;
+const PLACEHOLDER_VALUE = /^\{\{\s*[\w.-]+\s*\}\}$/;
+
+/**
+ * Credential for a scheme: the entry in `credentials` keyed by scheme name,
+ * or the legacy single `token` for every scheme without one
+ */
+function getCredential(schemeName, options) {
+  return options.credentials?.[schemeName] ?? options.token ?? undefined;
+}
+
+/**
+ * String value of a token-like credential: the string itself or its `key`
+ * property, e.g. { token } for bearer schemes
+ */
+function getCredentialValue(schemeName, credential, key) {
+  const value = typeof credential === "object" ? credential[key] : credential;
+
+  if (typeof value !== "string" && typeof value !== "number") {
+    throw new HttpError(400, `Credential for "${schemeName}" must be a string or { ${key} }.`);
+  }
+
+  return value;
+}
+
+/**
+ * Basic credentials are sent as given when already encoded, otherwise built
+ * from { username, password }
+ */
+function encodeBasicCredential(credential) {
+  if (typeof credential === "string") {
+    return credential;
+  }
+
+  return Buffer.from(`${credential.username ?? ""}:${credential.password ?? ""}`).toString("base64");
+}
+
+function isBasicScheme(scheme) {
+  return scheme.type === "basic" || (scheme.type === "http" && (scheme.scheme || "").toLowerCase() === "basic");
+}
+
+/**
+ * Move the secret values out of per-scheme credentials (apiKey values, http
+ * tokens, basic credentials and OAuth2 access tokens): each becomes a
+ * {{placeholder}} named after its scheme, and the values are returned in
+ * `secrets` to be stored in an environment. Basic credentials are stored
+ * encoded. Placeholders, credentials of unknown schemes and OAuth2 client
+ * details (encrypted in auth_config instead) are kept as given.
+ */
+function extractCredentialSecrets(credentials = {}, securitySchemes = {}) {
+  const secrets = {};
+
+  const toPlaceholder = (schemeName, value) => {
+    const isSecret =
+      (typeof value === "string" || typeof value === "number") &&
+      value !== "" &&
+      !PLACEHOLDER_VALUE.test(String(value));
+    // Placeholders stay; invalid values are left for resolveOperationAuth to reject
+    if (!isSecret) {
+      return value;
+    }
+    const name = schemeName.replace(/[^\w.-]/g, "_");
+    secrets[name] = String(value);
+    return `{{${name}}}`;
+  };
+
+  const extracted = Object.entries(credentials || {}).map(([schemeName, credential]) => {
+    const scheme = securitySchemes[schemeName];
+    if (!scheme || credential === undefined || credential === null) {
+      return [schemeName, credential];
+    }
+
+    if (isBasicScheme(scheme)) {
+      return [
+        schemeName,
+        toPlaceholder(schemeName, typeof credential === "object" ? encodeBasicCredential(credential) : credential),
+      ];
+    }
+
+    const field = SECRET_CREDENTIAL_FIELDS[scheme.type];
+    if (!field) {
+      return [schemeName, credential];
+    }
+    if (typeof credential !== "object") {
+      return [schemeName, toPlaceholder(schemeName, credential)];
+    }
+    if (credential[field] === undefined) {
+      return [schemeName, credential];
+    }
+    return [schemeName, { ...credential, [field]: toPlaceholder(schemeName, credential[field]) }];
+  });
+
+  return { credentials: Object.fromEntries(extracted), secrets };
+}
+
+/**
+ * Pick the token flow for an oauth2 scheme: the flow named by the credential,
+ * else password when a username is given, else client credentials
+ */
+function getOAuthFlow(scheme, credential) {
+  if (scheme.flow) {
+    const grantType = OAUTH_GRANT_TYPES[scheme.flow];
+    return grantType && scheme.tokenUrl ? { grantType, tokenUrl: scheme.tokenUrl } : null;
+  }
+
+  const flows = scheme.flows || {};
+  const preferred = credential.flow || (credential.username ? "password" : "clientCredentials");
+  const flowName = flows[preferred]
+    ? preferred
+    : ["clientCredentials", "password"].find((name) => flows[name]);
+
+  if (!flowName || !flows[flowName].tokenUrl) {
+    return null;
+  }
+
+  return { grantType: OAUTH_GRANT_TYPES[flowName], tokenUrl: flows[flowName].tokenUrl };
+}
+
+/**
+ * Token endpoints may be relative to the API's base URL
+ */
+function resolveTokenUrl(tokenUrl, baseUrl) {
+  try {
+    return new URL(tokenUrl, baseUrl || undefined).toString();
+  } catch {
+    return tokenUrl;
+  }
+}
+
+/**
+ * Token configuration for an oauth2/openIdConnect scheme, fetched and
+ * refreshed at run time by oauthService
+ */
+function buildOAuthConfig(schemeName, scheme, credential, scopes, baseUrl) {
+  const config = {
+    scheme: schemeName,
+    clientId: credential.clientId,
+    clientSecret: credential.clientSecret,
+    clientAuth: credential.clientAuth === "basic" ? "basic" : "body",
+    scope: credential.scope ?? (scopes.length > 0 ? scopes.join(" ") : undefined),
+  };
+
+  if (scheme.type === "openIdConnect") {
+    return {
+      ...config,
+      grantType: credential.username ? "password" : "client_credentials",
+      ...(credential.username ? { username: credential.username, password: credential.password } : {}),
+      ...(credential.tokenUrl
+        ? { tokenUrl: resolveTokenUrl(credential.tokenUrl, baseUrl) }
+        : { discoveryUrl: resolveTokenUrl(scheme.openIdConnectUrl, baseUrl) }),
+    };
+  }
+
+  const flow = getOAuthFlow(scheme, credential);
+
+  if (!flow && !credential.tokenUrl) {
+    throw new HttpError(
+      400,
+      `OAuth2 scheme "${schemeName}" has no clientCredentials or password flow; pass an access token instead.`
+    );
+  }
+
+  return {
+    ...config,
+    grantType: flow?.grantType || (credential.username ? "password" : "client_credentials"),
+    tokenUrl: resolveTokenUrl(credential.tokenUrl || flow.tokenUrl, baseUrl),
+    ...(credential.username ? { username: credential.username, password: credential.password } : {}),
+  };
+}
+
+/**
+ * Encrypt the client secret and password of a token configuration for storage
+ */
+function encryptOAuthConfig(oauth2) {
+  return Object.fromEntries(
+    Object.entries(oauth2).map(([field, value]) => [
+      field,
+      OAUTH_SECRET_FIELDS.includes(field) && value !== undefined && value !== null ? encryptSecret(value) : value,
+    ])
+  );
+}
+
+/**
+ * An endpoint's auth_config with its OAuth2 secrets decrypted, for a run
+ */
+function decryptAuthConfig(authConfig) {
+  if (!authConfig?.oauth2) {
+    return authConfig;
+  }
+
+  const oauth2 = Object.fromEntries(
+    Object.entries(authConfig.oauth2).map(([field, value]) => [
+      field,
+      OAUTH_SECRET_FIELDS.includes(field) && typeof value === "string" ? decryptSecret(value) : value,
+    ])
+  );
+  return { ...authConfig, oauth2 };
+}
+
+/**
+ * Apply one scheme's credential to `auth`. Returns false when the scheme
+ * can't be satisfied (unknown or unsupported type); throws a 400 for a
+ * credential that doesn't fit the scheme.
+ */
+function applySchemeCredential(auth, schemeName, scheme, credential, scopes, baseUrl) {
+  switch (scheme.type) {
+    case "basic":
+      // Swagger 2.0 spelling of http basic
+      auth.headers.Authorization = `Basic ${encodeBasicCredential(credential)}`;
+      return true;
+
+    case "http": {
+      const httpScheme = (scheme.scheme || "").toLowerCase();
+      if (httpScheme === "basic") {
+        auth.headers.Authorization = `Basic ${encodeBasicCredential(credential)}`;
+      } else if (httpScheme === "bearer") {
+        auth.headers.Authorization = `Bearer ${getCredentialValue(schemeName, credential, "token")}`;
+      } else {
+        auth.headers.Authorization = `${scheme.scheme} ${getCredentialValue(schemeName, credential, "token")}`;
+      }
+      return true;
+    }
+
+    case "apiKey": {
+      const value = getCredentialValue(schemeName, credential, "value");
+      if (scheme.in === "query") auth.query[scheme.name] = value;
+      else if (scheme.in === "cookie") auth.cookies[scheme.name] = value;
+      else auth.headers[scheme.name] = value;
+      return true;
+    }
+
+    case "oauth2":
+    case "openIdConnect":
+      // A ready-made access token is used as is; client details start a token flow
+      if (typeof credential !== "object" || credential.accessToken) {
+        auth.headers.Authorization = `Bearer ${getCredentialValue(schemeName, credential, "accessToken")}`;
+      } else if (auth.oauth2) {
+        // A request carries one fetched token
+        throw new HttpError(
+          400,
+          `OAuth2 schemes "${auth.oauth2.scheme}" and "${schemeName}" are both required; pass an access token for one of them.`
+        );
+      } else {
+        auth.oauth2 = encryptOAuthConfig(buildOAuthConfig(schemeName, scheme, credential, scopes, baseUrl));
+      }
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolve the credentials to send for an operation. `requirements` is the
+ * operation's security list: alternatives (OR) of scheme maps (AND). The
+ * first alternative whose schemes all have credentials wins; an empty
+ * alternative ({} or no requirements at all) means no auth is needed. An
+ * alternative whose credentials don't fit its schemes is skipped; its error
+ * is thrown when no other alternative is satisfied. OAuth2 client secrets
+ * and passwords come back encrypted (see decryptAuthConfig).
+ * Returns { schemes, headers, query, cookies, oauth2, missing }.
+ */
+function resolveOperationAuth(requirements = [], securitySchemes = {}, options = {}) {
+  const empty = () => ({ schemes: [], headers: {}, query: {}, cookies: {}, oauth2: null, missing: [] });
+  const alternatives = requirements.filter((requirement) => Object.keys(requirement).length > 0);
+  const isOptional = alternatives.length < requirements.length || requirements.length === 0;
+
+  let firstError = null;
+
+  for (const requirement of alternatives) {
+    const auth = empty();
+    let satisfied;
+
+    try {
+      satisfied = Object.entries(requirement).every(([schemeName, scopes]) => {
+        const scheme = securitySchemes[schemeName];
+        const credential = getCredential(schemeName, options);
+
+        if (!scheme || credential === undefined || credential === null || credential === "") {
+          return false;
+        }
+
+        auth.schemes.push(schemeName);
+        return applySchemeCredential(auth, schemeName, scheme, credential, scopes || [], options.baseUrl);
+      });
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      firstError ??= error;
+      satisfied = false;
+    }
+
+    if (satisfied) {
+      return auth;
+    }
+  }
+
+  if (firstError) {
+    throw firstError;
+  }
+
+  const auth = empty();
+  if (!isOptional) {
+    auth.missing = Object.keys(alternatives[0]).filter(
+      (schemeName) => getCredential(schemeName, options) === undefined || !securitySchemes[schemeName]
+    );
+  }
+  return auth;
+}
+
+/**
+ * URL-encode a value except for its {{placeholders}}, which are filled in at
+ * run time
+ */
+function encodeTemplateValue(value) {
+  return String(value)
+    .split(PLACEHOLDER_PART)
+    .map((part, index) => (index % 2 === 1 ? part : encodeURIComponent(part)))
+    .join("");
+}
+
+/**
+ * Append query parameters (e.g. apiKey credentials) to a URL
+ */
+function appendQueryParameters(url, query = {}) {
+  if (Object.keys(query).length === 0) {
+    return url;
+  }
+
+  const queryString = Object.entries(query)
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeTemplateValue(value)}`)
+    .join("&");
+  return `${url}${url.includes("?") ? "&" : "?"}${queryString}`;
+}
+
+/**
+ * Merge cookies into an existing Cookie header value
+ */
+function mergeCookieHeader(cookieHeader, cookies = {}) {
+  const pairs = Object.entries(cookies).map(
+    ([name, value]) => `${name}=${encodeTemplateValue(value)}`
+  );
+  return [cookieHeader, ...pairs].filter(Boolean).join("; ");
+}
+
+export {
+  resolveOperationAuth,
+  extractCredentialSecrets,
+  decryptAuthConfig,
+  appendQueryParameters,
+  mergeCookieHeader,
+};
@@ -0,0 +1,202 @@
+import { HttpError } from "./errors.js";
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * Fill OAS3 server variables ("https://{region}.example.com/{version}") from
+ * the caller's values, falling back to each variable's default
+ */
+function substituteServerVariables(server, values = {}) {
+  const variables = server.variables || {};
+
+  return server.url.replace(/\{([^}]+)\}/g, (placeholder, name) => {
+    const variable = variables[name] || {};
+    const value = values[name] ?? variable.default;
+
+    if (value === undefined || value === null) {
+      throw new HttpError(400, `No value for server variable "${name}" in ${server.url}.`);
+    }
+
+    if (Array.isArray(variable.enum) && !variable.enum.map(String).includes(String(value))) {
+      throw new HttpError(
+        400,
+        `Server variable "${name}" must be one of: ${variable.enum.join(", ")}.`
+      );
+    }
+
+    return encodeURI(String(value));
+  });
+}
+
+/**
+ * Server URLs may be relative to the document's own URL (e.g. "/api/v1");
+ * without a document URL they can't be resolved
+ */
+function resolveServerUrl(url, docUrl) {
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(url)) {
+    return url;
+  }
+
+  if (!docUrl) {
+    return null;
+  }
+
+  try {
+    return new URL(url, docUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match a URL against a server's template; each {variable} matches any text
+ * within a path segment. Returns the variable values taken from the URL, or
+ * null when it's not this server.
+ */
+function matchServerUrl(server, url) {
+  const names = [];
+  const source = trimTrailingSlash(server.url)
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const variable = part.match(/^\{([^}]+)\}$/);
+      if (variable) {
+        names.push(variable[1]);
+        return "([^/]*)";
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  const match = trimTrailingSlash(url).match(new RegExp(`^${source}$`, "i"));
+
+  if (!match) {
+    return null;
+  }
+
+  return Object.fromEntries(names.map((name, i) => [name, decodeURI(match[i + 1])]));
+}
+
+/**
+ * Pick a server by `serverIndex` or `serverUrl` (its template or its URL with
+ * variables filled), else the first. With `strict` an unknown choice is a
+ * 400; otherwise (operation-level lists) it falls back to the first server.
+ */
+function selectServer(servers, options = {}, strict = true) {
+  const { serverIndex, serverUrl } = options;
+
+  if (serverIndex !== undefined && serverIndex !== null) {
+    if (servers[serverIndex]) return servers[serverIndex];
+    if (strict) {
+      throw new HttpError(
+        400,
+        `"serverIndex" ${serverIndex} is out of range; the spec declares ${servers.length} server(s).`
+      );
+    }
+  }
+
+  if (serverUrl) {
+    const wanted = trimTrailingSlash(serverUrl);
+    const match =
+      servers.find((server) => trimTrailingSlash(server.url) === wanted) ||
+      servers.find((server) => matchServerUrl(server, wanted));
+
+    if (match) return match;
+    if (strict) {
+      throw new HttpError(
+        400,
+        `"serverUrl" ${serverUrl} is not one of the spec's servers: ${servers.map((server) => server.url).join(", ")}.`
+      );
+    }
+  }
+
+  return servers[0];
+}
+
+/**
+ * Guess the API base from the URL the spec was served at, dropping the docs
+ * endpoint: ".../v3/api-docs", ".../swagger.json", ".../openapi.yaml" etc.
+ * Only the docs segments themselves are removed, so prefixes such as
+ * "/api/v3" survive.
+ */
+function extractBaseUrl(swaggerUrl) {
+  try {
+    const url = new URL(swaggerUrl);
+    const segments = url.pathname.split("/");
+    let docsIndex = segments.findIndex((segment) =>
+      /^(api-docs|swagger-ui(\.html)?|swagger-resources|(swagger|openapi)(\.(json|ya?ml))?)$/i.test(segment)
+    );
+
+    // springdoc/springfox serve "/v2/api-docs" and "/v3/api-docs"
+    if (docsIndex > 0 && segments[docsIndex] === "api-docs" && /^v\d+$/i.test(segments[docsIndex - 1])) {
+      docsIndex--;
+    }
+
+    // Any other spec file: its directory is the best guess
+    if (docsIndex === -1 && /\.(json|ya?ml)$/i.test(segments[segments.length - 1])) {
+      docsIndex = segments.length - 1;
+    }
+
+    const basePath = docsIndex === -1 ? "" : segments.slice(0, docsIndex).join("/");
+    return trimTrailingSlash(`${url.protocol}//${url.host}${basePath}`);
+  } catch (error) {
+    console.error("Error extracting base URL:", error);
+    return "";
+  }
+}
+
+/**
+ * Base URL for requests: the caller's `baseUrl` override, else the chosen
+ * server with its variables filled (relative servers resolved against the
+ * doc URL), else a guess from the doc URL. Returns the selected server too.
+ */
+function resolveServerBaseUrl(servers = [], options = {}, strict = true) {
+  if (options.baseUrl) {
+    return { baseUrl: trimTrailingSlash(options.baseUrl), server: null };
+  }
+
+  const chosen = options.serverIndex != null || Boolean(options.serverUrl);
+
+  if (servers.length === 0 && chosen && strict) {
+    throw new HttpError(
+      400,
+      `"${options.serverIndex != null ? "serverIndex" : "serverUrl"}" was given but the spec declares no servers.`
+    );
+  }
+
+  if (servers.length > 0) {
+    let server = selectServer(servers, options, strict);
+
+    // Inline specs can't resolve relative servers; use the first absolute one
+    if (!chosen && !resolveServerUrl(server.url, options.docUrl)) {
+      server = servers.find((entry) => resolveServerUrl(entry.url, null)) || server;
+    }
+
+    // Only the selected server's variables are filled; a URL chosen by
+    // "serverUrl" supplies its own values
+    const variables = {
+      ...options.serverVariables,
+      ...(options.serverUrl && matchServerUrl(server, options.serverUrl)),
+    };
+    const url = resolveServerUrl(substituteServerVariables(server, variables), options.docUrl);
+
+    if (url) {
+      return {
+        baseUrl: trimTrailingSlash(url),
+        server: { index: servers.indexOf(server), url: server.url },
+      };
+    }
+  }
+
+  return {
+    baseUrl: options.docUrl ? extractBaseUrl(options.docUrl) : "",
+    server: null,
+  };
+}
+
+export {
+  substituteServerVariables,
+  selectServer,
+  extractBaseUrl,
+  resolveServerBaseUrl,
+};
@@ -0,0 +1,268 @@
+import axios from "axios";
+import path from "node:path";
+import net from "node:net";
+import { lookup } from "node:dns/promises";
+import YAML from "yaml";
+import { HttpError } from "./errors.js";
+import { splitRef } from "./refResolver.js";
+
+/**
+ * Parse a spec document, auto-detecting JSON or YAML
+ */
+function parseSpecDocument(content) {
+  if (content && typeof content === "object" && !Buffer.isBuffer(content)) {
+    return content;
+  }
+
+  const text = Buffer.isBuffer(content) ? content.toString("utf8") : String(content ?? "");
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+
+  if (!trimmed) {
+    throw new HttpError(400, "Spec document is empty.");
+  }
+
+  let document;
+  try {
+    // YAML is a superset of JSON, but JSON.parse is faster and stricter
+    document = /^[{[]/.test(trimmed) ? JSON.parse(trimmed) : YAML.parse(trimmed);
+  } catch (error) {
+    throw new HttpError(400, `Spec document is neither valid JSON nor YAML: ${error.message}`);
+  }
+
+  if (!document || typeof document !== "object" || Array.isArray(document)) {
+    throw new HttpError(400, "Spec document must be a JSON or YAML object.");
+  }
+
+  return document;
+}
+
+const MAX_SPEC_BYTES = 10 * 1024 * 1024;
+// Remote files one spec may pull in through its $refs
+const MAX_REMOTE_REFS = 20;
+
+/**
+ * Fetch a document over HTTP, keeping the raw text so YAML is parsed as well.
+ * `options.maxRedirects` 0 keeps a checked URL from redirecting elsewhere and
+ * `options.address` pins the connection to an already checked address.
+ */
+async function fetchSpecDocument(url, options = {}) {
+  const { data } = await axios.get(url, {
+    responseType: "text",
+    transformResponse: (raw) => raw,
+    maxContentLength: MAX_SPEC_BYTES,
+    maxRedirects: options.maxRedirects,
+    lookup: options.address
+      ? (hostname, lookupOptions, callback) =>
+          callback(null, options.address.address, options.address.family)
+      : undefined,
+  });
+  return parseSpecDocument(data);
+}
+
+/**
+ * Loopback, private, link-local, CGNAT, multicast and other non-public ranges.
+ * BlockList also matches IPv4-mapped IPv6 forms (e.g. "::ffff:7f00:1", which
+ * is how URL normalizes "[::ffff:127.0.0.1]") against the IPv4 subnets.
+ */
+const privateAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["127.0.0.0", 8], ["100.64.0.0", 10],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 16], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, "ipv6"));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return privateAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Remote $refs are fetched by the server, so a document must not be able to
+ * point it at internal hosts. Refs on the spec URL's own origin are allowed,
+ * since the caller chose that host; any other host must resolve to public
+ * addresses only. The checked address is returned so the fetch connects to it
+ * instead of resolving the name a second time.
+ */
+async function assertRemoteRefAllowed(location, rootLocation) {
+  const url = new URL(location);
+
+  if (isHttpLocation(rootLocation) && new URL(rootLocation).origin === url.origin) {
+    return undefined;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await lookup(hostname, { all: true });
+  } catch {
+    throw new HttpError(400, `Referenced file "${location}" is on a host that can't be resolved.`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new HttpError(400, `Referenced file "${location}" is on a private or local network address.`);
+  }
+
+  return addresses[0];
+}
+
+function isHttpLocation(location) {
+  return /^https?:\/\//i.test(location || "");
+}
+
+/**
+ * Resolve a relative file reference against the file that contains it
+ */
+function resolveLocation(baseLocation, relative) {
+  if (isHttpLocation(relative)) {
+    return relative;
+  }
+
+  if (isHttpLocation(baseLocation)) {
+    return new URL(relative, baseLocation).href;
+  }
+
+  return path.posix.normalize(
+    path.posix.join(path.posix.dirname(baseLocation || "."), relative)
+  );
+}
+
+/**
+ * Inline external $refs (e.g. "common.yaml#/Pet") by loading every referenced
+ * file, either from an uploaded bundle or relative to the spec URL (see
+ * assertRemoteRefAllowed for which hosts may be fetched). All refs are
+ * rewritten to a canonical form: "#/..." for the root document and
+ * "<location>#/..." for external files, so they resolve without a base URI.
+ */
+async function bundleExternalRefs(rootDocument, { rootLocation = "", bundleFiles = {} } = {}) {
+  const document = structuredClone(rootDocument);
+  const files = {};
+  const pending = [{ node: document, location: rootLocation }];
+  // YAML aliases can share nodes; each must be rewritten exactly once
+  const visited = new WeakSet();
+
+  let remoteFetches = 0;
+
+  const loadFile = async (location) => {
+    if (location in files) return;
+    files[location] = undefined;
+
+    const remote = bundleFiles[location] === undefined && isHttpLocation(location);
+    let address;
+    if (remote) {
+      if (++remoteFetches > MAX_REMOTE_REFS) {
+        throw new HttpError(400, `Spec references more than ${MAX_REMOTE_REFS} remote files.`);
+      }
+      address = await assertRemoteRefAllowed(location, rootLocation);
+    }
+
+    try {
+      if (bundleFiles[location] !== undefined) {
+        files[location] = parseSpecDocument(bundleFiles[location]);
+      } else if (remote) {
+        files[location] = await fetchSpecDocument(location, { maxRedirects: 0, address });
+      }
+    } catch (error) {
+      console.warn(`Failed to load referenced file "${location}":`, error.message);
+    }
+
+    if (files[location] === undefined) {
+      console.warn(`Referenced file "${location}" is not available; its refs stay unresolved.`);
+      return;
+    }
+
+    pending.push({ node: files[location], location });
+  };
+
+  while (pending.length > 0) {
+    const { node: root, location } = pending.shift();
+    const stack = [root];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node !== "object" || visited.has(node)) continue;
+      visited.add(node);
+
+      if (typeof node.$ref === "string") {
+        const { location: refLocation, pointer } = splitRef(node.$ref);
+        const target = refLocation ? resolveLocation(location, refLocation) : location;
+
+        if (target === rootLocation) {
+          node.$ref = `#${pointer}`;
+        } else {
+          node.$ref = `${target}#${pointer}`;
+          await loadFile(target);
+        }
+      }
+
+      stack.push(...Object.values(node));
+    }
+  }
+
+  return { document, files };
+}
+
+/**
+ * Normalize a spec source: a URL string or { url, document }
+ */
+function normalizeSpecSource(source) {
+  return typeof source === "string" ? { url: source } : source || {};
+}
+
+/**
+ * Load a spec document from an inline document or by fetching its URL
+ */
+async function loadSpecDocument(source) {
+  const { url, document } = normalizeSpecSource(source);
+
+  if (document !== undefined && document !== null) {
+    return parseSpecDocument(document);
+  }
+
+  if (!url) {
+    throw new HttpError(400, "A spec URL or document is required.");
+  }
+
+  return fetchSpecDocument(url);
+}
+
+/**
+ * Load a spec document together with every external file its $refs point at.
+ * Uploaded bundles pass the extra files as { [relativePath]: content }; a
+ * source marked `bundled` (e.g. a stored spec version) is used as is.
+ */
+async function loadSpecBundle(source) {
+  const { url, fileName, files: bundleFiles = {}, bundled } = normalizeSpecSource(source);
+
+  if (bundled) {
+    return { document: parseSpecDocument(source.document), files: bundleFiles };
+  }
+
+  const rootDocument = await loadSpecDocument(source);
+  const rootLocation = fileName ? path.posix.normalize(fileName) : url || "";
+
+  const normalizedFiles = Object.fromEntries(
+    Object.entries(bundleFiles).map(([name, content]) => [
+      isHttpLocation(name) ? name : path.posix.normalize(name),
+      content,
+    ])
+  );
+
+  return bundleExternalRefs(rootDocument, { rootLocation, bundleFiles: normalizedFiles });
+}
+
+export {
+  parseSpecDocument,
+  isPrivateAddress,
+  normalizeSpecSource,
+  loadSpecDocument,
+  bundleExternalRefs,
+  loadSpecBundle,
+};
@@ -0,0 +1,193 @@
+/**
+ * Swagger 2.0 keeps parameter schema keywords on the parameter itself
+ */
+const SWAGGER2_SCHEMA_KEYS = [
+  "type",
+  "format",
+  "items",
+  "enum",
+  "default",
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "minItems",
+  "maxItems",
+  "uniqueItems",
+  "multipleOf",
+];
+
+/**
+ * Whether the document is a Swagger 2.0 (rather than OpenAPI 3.x) spec
+ */
+function isSwagger2(document) {
+  return typeof document?.swagger === "string" && document.swagger.startsWith("2");
+}
+
+/**
+ * Pull the schema keywords of a Swagger 2.0 non-body parameter into a schema
+ */
+function toParameterSchema(parameter) {
+  const schema = {};
+
+  for (const key of SWAGGER2_SCHEMA_KEYS) {
+    if (parameter[key] !== undefined) schema[key] = parameter[key];
+  }
+
+  // "file" only exists in Swagger 2.0 formData
+  if (schema.type === "file") {
+    return { type: "string", format: "binary" };
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a Swagger 2.0 path/query/header parameter to the OAS3 shape
+ */
+function toOas3Parameter(parameter) {
+  if (parameter.$ref || parameter.schema) {
+    return parameter;
+  }
+
+  const { name, in: location, description, required, ...rest } = parameter;
+  return {
+    ...rest,
+    name,
+    in: location,
+    description,
+    required,
+    schema: toParameterSchema(parameter),
+  };
+}
+
+/**
+ * Build an OAS3 requestBody from Swagger 2.0 "body" or "formData" parameters
+ */
+function buildRequestBody(parameters, consumes) {
+  const bodyParameter = parameters.find((param) => param.in === "body");
+
+  if (bodyParameter) {
+    const mediaTypes = consumes.length > 0 ? consumes : ["application/json"];
+    return {
+      description: bodyParameter.description,
+      required: Boolean(bodyParameter.required),
+      content: Object.fromEntries(
+        mediaTypes.map((mediaType) => [mediaType, { schema: bodyParameter.schema || {} }])
+      ),
+    };
+  }
+
+  const formParameters = parameters.filter((param) => param.in === "formData");
+
+  if (formParameters.length === 0) {
+    return null;
+  }
+
+  const schema = {
+    type: "object",
+    properties: Object.fromEntries(
+      formParameters.map((param) => [
+        param.name,
+        { ...toParameterSchema(param), description: param.description },
+      ])
+    ),
+    required: formParameters.filter((param) => param.required).map((param) => param.name),
+  };
+  const hasFile = formParameters.some((param) => param.type === "file");
+  const mediaType =
+    consumes.find((type) => type === "multipart/form-data" || type === "application/x-www-form-urlencoded") ||
+    (hasFile ? "multipart/form-data" : "application/x-www-form-urlencoded");
+
+  return {
+    required: schema.required.length > 0,
+    content: { [mediaType]: { schema } },
+  };
+}
+
+/**
+ * Move Swagger 2.0 response schemas under OAS3 "content", one entry per
+ * media type the operation produces
+ */
+function buildResponses(responses, produces) {
+  const mediaTypes = produces.length > 0 ? produces : ["application/json"];
+
+  return Object.fromEntries(
+    Object.entries(responses).map(([status, response]) => {
+      const { schema, examples, ...rest } = response || {};
+      if (!schema) return [status, rest];
+
+      return [
+        status,
+        {
+          ...rest,
+          content: Object.fromEntries(
+            mediaTypes.map((mediaType) => [
+              mediaType,
+              { schema, ...(examples?.[mediaType] !== undefined ? { example: examples[mediaType] } : {}) },
+            ])
+          ),
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Normalize a Swagger 2.0 operation so it looks like an OAS3 operation
+ */
+function normalizeSwagger2Operation(details, document) {
+  const parameters = details.parameters || [];
+  const consumes = details.consumes || document.consumes || [];
+  const produces = details.produces || document.produces || [];
+
+  return {
+    ...details,
+    parameters: parameters
+      .filter((param) => param.in !== "body" && param.in !== "formData")
+      .map(toOas3Parameter),
+    requestBody: buildRequestBody(parameters, consumes),
+    responses: buildResponses(details.responses || {}, produces),
+  };
+}
+
+/**
+ * Build OAS3-style servers from Swagger 2.0 host, basePath and schemes.
+ * A missing host or scheme is taken from the URL the document was served from.
+ */
+function buildSwagger2Servers(document, swaggerUrl) {
+  let docUrl = null;
+  try {
+    docUrl = swaggerUrl ? new URL(swaggerUrl) : null;
+  } catch {
+    docUrl = null;
+  }
+
+  const host = document.host || docUrl?.host;
+  const basePath = (document.basePath || "").replace(/\/+$/, "");
+
+  if (!host) {
+    return basePath ? [{ url: basePath }] : [];
+  }
+
+  const docScheme = docUrl?.protocol.replace(":", "");
+  const schemes =
+    document.schemes?.length > 0 ? document.schemes : [docScheme || "https"];
+
+  // Prefer https when the API is served over both
+  const ordered = schemes.includes("https")
+    ? ["https", ...schemes.filter((scheme) => scheme !== "https")]
+    : schemes;
+
+  return ordered.map((scheme) => ({ url: `${scheme}://${host}${basePath}` }));
+}
+
+export {
+  isSwagger2,
+  toOas3Parameter,
+  normalizeSwagger2Operation,
+  buildSwagger2Servers,
+};
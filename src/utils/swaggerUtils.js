@@ -1,34 +1,57 @@
+import crypto from "node:crypto";
+import { getRefName, toRefResolver } from "./refResolver.js";
+import { createRandom, pickRandom } from "./random.js";
+import { isPlainObject } from "./templateUtils.js";
+import {
+  generateString,
+  generateNumber,
+  getDeclaredValue,
+} from "./valueGenerators.js";
+
 /**
- * Recursively create dummy data from schema while tracking required/optional fields
+ * Recursively create dummy data from schema while tracking required/optional fields.
+ * `definitions` is a ref resolver (see createRefResolver) or a plain definitions map.
+ * Spec examples/defaults win; otherwise values satisfy the declared constraints,
+ * drawn from `options.random` (seeded for reproducible output).
  */
 function createDummyDataFromSchema(
   schema,
   definitions = {},
   visited = new Set(),
-  path = ""
+  path = "",
+  options = {}
 ) {
+  const resolver = toRefResolver(definitions);
+
   // Handle reference to another schema
   if (schema.$ref) {
-    const refName = schema.$ref.split("/").pop();
+    const refName = getRefName(schema.$ref);
 
-    // Prevent infinite recursion
-    if (visited.has(refName)) {
+    // Prevent infinite recursion; only refs open on the current branch count,
+    // so a schema reused by sibling properties is still expanded each time
+    if (visited.has(schema.$ref)) {
       return {
         dummyData: { dummy_reference: refName },
         fieldInfo: { type: "reference", required: false, path: path },
       };
     }
 
-    visited.add(refName);
-    const refSchema = definitions[refName];
+    const refSchema = resolver.resolve(schema.$ref);
 
     if (refSchema) {
-      const result = createDummyDataFromSchema(
-        refSchema,
-        definitions,
-        visited,
-        path
-      );
+      visited.add(schema.$ref);
+      let result;
+      try {
+        result = createDummyDataFromSchema(
+          refSchema,
+          resolver,
+          visited,
+          path,
+          options
+        );
+      } finally {
+        visited.delete(schema.$ref);
+      }
       result.fieldInfo.referenceName = refName;
       return result;
     }
@@ -44,8 +67,218 @@ function createDummyDataFromSchema(
     };
   }
 
-  // Handle different schema types
-  switch (schema.type) {
+  let result;
+  if (schema.allOf) {
+    result = createAllOfData(schema, resolver, visited, path, options);
+  } else if (getComposition(schema)) {
+    result = createAlternativeData(schema, resolver, visited, path, options);
+  } else {
+    result = createDummyDataForType(schema, resolver, visited, path, options);
+  }
+
+  if (isNullableSchema(schema)) {
+    result.fieldInfo.nullable = true;
+  }
+
+  // Values declared by the spec beat generated ones
+  const declared = getDeclaredValue(schema);
+  const enumValues = (schema.enum || []).filter((value) => value !== null);
+  if (declared.found) {
+    result.dummyData = declared.value;
+  } else if (enumValues.length > 0) {
+    result.dummyData = pickRandom(options.random || Math.random, enumValues);
+  }
+
+  if (schema.enum) result.fieldInfo.enum = schema.enum;
+  if (schema.default !== undefined) result.fieldInfo.default = schema.default;
+  if (schema.example !== undefined) result.fieldInfo.example = schema.example;
+
+  return result;
+}
+
+/**
+ * Effective type of a schema: OAS 3.1 type arrays use their first non-null
+ * entry, and type-less schemas are inferred from their keywords
+ */
+function getSchemaType(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find((type) => type !== "null") || "null";
+  }
+
+  if (schema.type) return schema.type;
+  if (schema.properties || schema.additionalProperties) return "object";
+  if (schema.items) return "array";
+  return undefined;
+}
+
+/**
+ * OAS 3.0 "nullable: true" or an OAS 3.1 type array containing "null"
+ */
+function isNullableSchema(schema) {
+  return (
+    schema.nullable === true ||
+    (Array.isArray(schema.type) && schema.type.includes("null"))
+  );
+}
+
+/**
+ * Merge the objects produced by each allOf part (including sibling keywords
+ * such as properties declared next to allOf)
+ */
+function createAllOfData(schema, resolver, visited, path, options) {
+  const { allOf, nullable, ...rest } = schema;
+  const hasOwnShape = ["type", "properties", "required", "additionalProperties"]
+    .some((key) => rest[key] !== undefined);
+  const parts = hasOwnShape ? [...allOf, rest] : allOf;
+  const results = parts.map((part) =>
+    createDummyDataFromSchema(part, resolver, visited, path, options)
+  );
+  const objectResults = results.filter((result) => isPlainObject(result.dummyData));
+
+  // allOf of non-object schemas (e.g. a string with extra constraints)
+  if (objectResults.length === 0) {
+    return results[results.length - 1] || {
+      dummyData: "dummy_value",
+      fieldInfo: { type: "unknown", required: false, path: path },
+    };
+  }
+
+  const dummyData = {};
+  const properties = {};
+  for (const result of objectResults) {
+    Object.assign(dummyData, result.dummyData);
+
+    for (const [key, info] of Object.entries(result.fieldInfo.properties || {})) {
+      properties[key] = {
+        ...info,
+        required: Boolean(info.required || properties[key]?.required),
+      };
+    }
+  }
+
+  // "required" may name properties declared in another part
+  for (const key of rest.required || []) {
+    if (properties[key]) properties[key].required = true;
+  }
+
+  return {
+    dummyData,
+    fieldInfo: {
+      type: "object",
+      required: false,
+      path: path,
+      properties,
+      allOf: results
+        .map((result) => result.fieldInfo.referenceName)
+        .filter(Boolean),
+    },
+  };
+}
+
+/**
+ * Value the discriminator property takes for a oneOf/anyOf option
+ */
+function getDiscriminatorValue(discriminator, option) {
+  if (!option.$ref) {
+    return undefined;
+  }
+
+  const optionName = getRefName(option.$ref);
+  const mapped = Object.entries(discriminator.mapping || {}).find(
+    ([, target]) => target === option.$ref || getRefName(target) === optionName
+  );
+
+  return mapped ? mapped[0] : optionName;
+}
+
+/**
+ * "oneOf" or "anyOf" when the schema has a non-empty list of branches; an
+ * empty list offers nothing to pick, so the schema is generated without it
+ */
+function getComposition(schema) {
+  if (schema.oneOf?.length > 0) return "oneOf";
+  if (schema.anyOf?.length > 0) return "anyOf";
+  return undefined;
+}
+
+/**
+ * Pick one oneOf/anyOf branch for the dummy data, and describe every branch
+ * in fieldInfo.alternatives so a form can offer the others
+ */
+function createAlternativeData(schema, resolver, visited, path, options) {
+  const composition = getComposition(schema);
+  const { [composition]: branches, discriminator, nullable, ...rest } = schema;
+  const alternatives = branches.map((option) => ({
+    option,
+    discriminatorValue: discriminator
+      ? getDiscriminatorValue(discriminator, option)
+      : undefined,
+    result: createDummyDataFromSchema(option, resolver, visited, path, options),
+  }));
+
+  // With a mapping, the first mapped branch is the canonical choice
+  const firstMapped = Object.keys(discriminator?.mapping || {})[0];
+  const selectedIndex = Math.max(
+    0,
+    alternatives.findIndex((alt) => alt.discriminatorValue === firstMapped)
+  );
+  const selected = alternatives[selectedIndex];
+  let dummyData = selected.result.dummyData;
+
+  if (isPlainObject(dummyData)) {
+    // Shared properties declared next to oneOf/anyOf apply to every branch
+    if (rest.properties) {
+      const shared = createDummyDataFromSchema(
+        { type: "object", ...rest },
+        resolver,
+        visited,
+        path,
+        options
+      );
+      dummyData = { ...shared.dummyData, ...dummyData };
+    }
+
+    if (discriminator?.propertyName && selected.discriminatorValue !== undefined) {
+      dummyData = {
+        ...dummyData,
+        [discriminator.propertyName]: selected.discriminatorValue,
+      };
+    }
+  }
+
+  return {
+    dummyData,
+    fieldInfo: {
+      ...selected.result.fieldInfo,
+      required: false,
+      path: path,
+      composition,
+      selectedAlternative: selectedIndex,
+      discriminator: discriminator
+        ? {
+            propertyName: discriminator.propertyName,
+            mapping: discriminator.mapping,
+          }
+        : undefined,
+      alternatives: alternatives.map((alt, index) => ({
+        ...alt.result.fieldInfo,
+        title:
+          alt.option.title ||
+          alt.result.fieldInfo.referenceName ||
+          `Option ${index + 1}`,
+        discriminatorValue: alt.discriminatorValue,
+      })),
+    },
+  };
+}
+
+/**
+ * Create dummy data for a plain (non-composed) schema based on its type
+ */
+function createDummyDataForType(schema, resolver, visited, path, options) {
+  const type = getSchemaType(schema);
+
+  switch (type) {
     case "object": {
       const properties = schema.properties || {};
       const required = schema.required || [];
@@ -62,9 +295,10 @@ function createDummyDataFromSchema(
         const newPath = path ? `${path}.${key}` : key;
         const result = createDummyDataFromSchema(
           propSchema,
-          definitions,
+          resolver,
           visited,
-          newPath
+          newPath,
+          options
         );
 
         dummyData[key] = result.dummyData;
@@ -74,67 +308,107 @@ function createDummyDataFromSchema(
         };
       }
 
+      // Free-form maps: describe the value schema, and add a sample entry
+      // when the object declares no fixed properties of its own
+      const additional = schema.additionalProperties;
+      if (additional) {
+        const valueResult =
+          typeof additional === "object"
+            ? createDummyDataFromSchema(
+                additional,
+                resolver,
+                visited,
+                path ? `${path}.*` : "*",
+                options
+              )
+            : { dummyData: "dummy_value", fieldInfo: { type: "unknown" } };
+
+        if (Object.keys(properties).length === 0) {
+          dummyData.additionalProp1 = valueResult.dummyData;
+        }
+        fieldInfo.additionalProperties = valueResult.fieldInfo;
+      }
+
       return { dummyData, fieldInfo };
     }
 
     case "array": {
-      let itemResult = {
-        dummyData: "dummy_array_item",
-        fieldInfo: { type: "unknown" },
-      };
-
-      if (schema.items) {
-        // Just get the structure of a single item
-        itemResult = createDummyDataFromSchema(
-          schema.items,
-          definitions,
-          visited,
-          path ? `${path}[]` : "[]"
-        );
+      const minItems = Math.max(schema.minItems ?? 1, 1);
+      const itemCount = Math.min(minItems, schema.maxItems ?? Infinity);
+      const generateItem = () =>
+        schema.items
+          ? createDummyDataFromSchema(
+              schema.items,
+              resolver,
+              visited,
+              path ? `${path}[]` : "[]",
+              options
+            )
+          : { dummyData: "dummy_array_item", fieldInfo: { type: "unknown" } };
+
+      const itemResult = generateItem();
+      const items = itemCount > 0 ? [itemResult.dummyData] : [];
+      const seen = new Set(items.map((item) => JSON.stringify(item)));
+
+      // Retry a few times per slot so uniqueItems can be honoured
+      for (let attempt = 0; items.length < itemCount && attempt < itemCount * 5; attempt++) {
+        const { dummyData } = generateItem();
+        const key = JSON.stringify(dummyData);
+        if (schema.uniqueItems && seen.has(key)) continue;
+        seen.add(key);
+        items.push(dummyData);
       }
 
       return {
-        dummyData: [itemResult.dummyData],
+        dummyData: items,
         fieldInfo: {
           type: "array",
           required: false,
           path: path,
+          minItems: schema.minItems,
+          maxItems: schema.maxItems,
+          uniqueItems: schema.uniqueItems,
           items: itemResult.fieldInfo,
         },
       };
     }
 
-    case "string": {
-      let value = "dummy_string";
-      if (schema.format === "date-time") value = new Date().toISOString();
-      else if (schema.format === "date")
-        value = new Date().toISOString().split("T")[0];
-      else if (schema.format === "email") value = "user@example.com";
-      else if (schema.format === "uuid")
-        value = "00000000-0000-0000-0000-000000000000";
-      else if (schema.enum && schema.enum.length > 0) value = schema.enum[0];
-
+    case "string":
       return {
-        dummyData: value,
+        dummyData: generateString(schema, options.random || Math.random),
         fieldInfo: {
           type: "string",
           format: schema.format || "text",
-          enum: schema.enum,
+          minLength: schema.minLength,
+          maxLength: schema.maxLength,
+          pattern: schema.pattern,
           required: false,
           path: path,
         },
       };
-    }
 
     case "integer":
     case "number":
       return {
-        dummyData: 0,
+        dummyData: generateNumber(schema, type, options.random || Math.random),
         fieldInfo: {
-          type: schema.type,
+          type: type,
           format: schema.format,
           minimum: schema.minimum,
           maximum: schema.maximum,
+          exclusiveMinimum: schema.exclusiveMinimum,
+          exclusiveMaximum: schema.exclusiveMaximum,
+          multipleOf: schema.multipleOf,
+          required: false,
+          path: path,
+        },
+      };
+
+    case "null":
+      return {
+        dummyData: null,
+        fieldInfo: {
+          type: "null",
           required: false,
           path: path,
         },
@@ -142,7 +416,7 @@ function createDummyDataFromSchema(
 
     case "boolean":
       return {
-        dummyData: false,
+        dummyData: (options.random || Math.random)() < 0.5,
         fieldInfo: {
           type: "boolean",
           required: false,
@@ -154,7 +428,7 @@ function createDummyDataFromSchema(
       return {
         dummyData: "dummy_value",
         fieldInfo: {
-          type: schema.type || "unknown",
+          type: type || "unknown",
           required: false,
           path: path,
         },
@@ -162,46 +436,192 @@ function createDummyDataFromSchema(
   }
 }
 
-function extractBaseUrl(swaggerUrl) {
-  try {
-    const url = new URL(swaggerUrl);
-    // Remove /v3/api-docs or similar endpoints to get the base API URL
-    const pathSegments = url.pathname.split("/");
-    const apiDocsIndex = pathSegments.findIndex(
-      (segment) => segment.includes("api-docs") || segment.includes("swagger") || segment.includes("v3")
-    );
-
-    if (apiDocsIndex !== -1) {
-      // Remove API docs segments from the path
-      const basePath = pathSegments.slice(0, apiDocsIndex).join("/");
-      return `${url.protocol}//${url.host}${basePath}`;
+/**
+ * Deterministic id for an operation without a usable operationId
+ */
+function createEndpointHash(method, path) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${method.toUpperCase()} ${path}`)
+    .digest("hex")
+    .slice(0, 12);
+  return `${method.toLowerCase()}_${hash}`;
+}
+
+/**
+ * Header parameters OpenAPI says must be ignored; they come from the body
+ * content type and the security schemes instead
+ */
+const RESERVED_HEADER_PARAMETERS = ["accept", "content-type", "authorization"];
+
+/**
+ * Value for a single parameter: a caller supplied value, then the parameter's
+ * own example(s), then a value generated from its schema
+ */
+function createParameterValue(parameter, options = {}) {
+  const { values = {}, resolver = {}, random = Math.random } = options;
+
+  if (Object.prototype.hasOwnProperty.call(values, parameter.name)) {
+    return values[parameter.name];
+  }
+
+  if (parameter.example !== undefined) {
+    return parameter.example;
+  }
+
+  const firstExample = Object.values(parameter.examples || {})[0];
+  if (firstExample?.value !== undefined) {
+    return firstExample.value;
+  }
+
+  // OAS3 can describe complex parameters with "content" instead of "schema"
+  const schema =
+    parameter.schema ||
+    Object.values(parameter.content || {})[0]?.schema ||
+    { type: "string" };
+
+  return createDummyDataFromSchema(schema, resolver, new Set(), parameter.name, {
+    random,
+  }).dummyData;
+}
+
+/**
+ * Serialize a path or header value using the "simple" style
+ */
+function serializeSimpleValue(value, explode = false) {
+  if (Array.isArray(value)) {
+    return value.map(String).join(",");
+  }
+
+  if (isPlainObject(value)) {
+    return Object.entries(value)
+      .map(([key, entry]) => (explode ? `${key}=${entry}` : `${key},${entry}`))
+      .join(",");
+  }
+
+  return String(value);
+}
+
+/**
+ * Serialize a query parameter into encoded "name=value" pairs honouring
+ * form (default), spaceDelimited, pipeDelimited and deepObject styles
+ */
+function serializeQueryParameter(parameter, value) {
+  const name = encodeURIComponent(parameter.name);
+  const style = parameter.style || "form";
+  const explode = parameter.explode ?? style === "form";
+  const encode = (entry) => encodeURIComponent(String(entry));
+
+  if (Array.isArray(value)) {
+    if (explode) {
+      return value.map((entry) => `${name}=${encode(entry)}`);
     }
+    const separator = { spaceDelimited: "%20", pipeDelimited: "|" }[style] || ",";
+    return [`${name}=${value.map(encode).join(separator)}`];
+  }
 
-    // If we can't identify API docs pattern, just return up to the host
-    return `${url.protocol}//${url.host}`;
-  } catch (error) {
-    console.error("Error extracting base URL:", error);
-    return "";
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value);
+    if (style === "deepObject") {
+      return entries.map(([key, entry]) => `${name}[${encodeURIComponent(key)}]=${encode(entry)}`);
+    }
+    if (explode) {
+      return entries.map(([key, entry]) => `${encodeURIComponent(key)}=${encode(entry)}`);
+    }
+    return [`${name}=${entries.map(([key, entry]) => `${encode(key)},${encode(entry)}`).join(",")}`];
   }
+
+  return [`${name}=${encode(value)}`];
 }
 
-function createPathWithParams(path, parameters = []) {
+/**
+ * Fill path parameters and append query parameters with values typed from
+ * each parameter's schema/example. `options.values` maps parameter names to
+ * explicit values supplied by the caller.
+ */
+function createPathWithParams(path, parameters = [], options = {}) {
   // Handle path parameters
-  let fullPath = path.replace(/{([^}]+)}/g, (_, param) => `dummy_${param}`);
+  let fullPath = path.replace(/{([^}]+)}/g, (_, name) => {
+    const parameter =
+      parameters.find((param) => param.in === "path" && param.name === name) ||
+      { name, in: "path", schema: { type: "string" } };
+    const value = createParameterValue(parameter, options);
+    return encodeURIComponent(serializeSimpleValue(value, parameter.explode));
+  });
 
   // Add query parameters if they exist
-  const queryParams = parameters.filter((param) => param.in === "query");
-
-  if (queryParams.length > 0) {
+  const queryPairs = parameters
+    .filter((param) => param.in === "query")
+    .flatMap((param) => {
+      const value = createParameterValue(param, options);
+      return value === undefined || value === null
+        ? []
+        : serializeQueryParameter(param, value);
+    });
+
+  if (queryPairs.length > 0) {
     fullPath += "?";
-    fullPath += queryParams
-      .map((param) => `${param.name}=dummy_value`)
-      .join("&");
+    fullPath += queryPairs.join("&");
   }
 
   return fullPath;
 }
 
+/**
+ * Header and cookie parameters as request headers; cookies are folded into
+ * a single Cookie header
+ */
+function createParameterHeaders(parameters = [], options = {}) {
+  const headers = {};
+  const cookies = [];
+
+  for (const param of parameters) {
+    if (param.in === "header" && !RESERVED_HEADER_PARAMETERS.includes(param.name.toLowerCase())) {
+      const value = createParameterValue(param, options);
+      if (value !== undefined && value !== null) {
+        headers[param.name] = serializeSimpleValue(value, param.explode);
+      }
+    } else if (param.in === "cookie") {
+      const value = createParameterValue(param, options);
+      if (value !== undefined && value !== null) {
+        cookies.push(`${param.name}=${encodeURIComponent(serializeSimpleValue(value))}`);
+      }
+    }
+  }
+
+  if (cookies.length > 0) {
+    headers.Cookie = cookies.join("; ");
+  }
+
+  return headers;
+}
+
+/**
+ * Pick the media type and schema to generate a request body for, preferring JSON
+ */
+function selectRequestBodyContent(requestBody) {
+  const content = requestBody?.content || {};
+  const mediaTypes = Object.keys(content);
+  const contentType =
+    mediaTypes.find((type) => type === "application/json") ||
+    mediaTypes.find((type) => /[/+]json\b/.test(type)) ||
+    mediaTypes[0];
+
+  if (!contentType) {
+    return null;
+  }
+
+  // Media type level examples: OAS3 "example" or the first of "examples"
+  const mediaType = content[contentType] || {};
+  const firstExample = Object.values(mediaType.examples || {})[0];
+
+  return {
+    contentType,
+    schema: mediaType.schema || null,
+    example: mediaType.example !== undefined ? mediaType.example : firstExample?.value,
+  };
+}
+
 /**
  * Create a request body based on endpoint details with correct schema keys
  */
@@ -212,16 +632,14 @@ function createDummyRequestBody(endpoint, definitions = {}) {
 
   try {
     // Get the request body content
-    const content = endpoint.requestBody.content || {};
-    const jsonContent =
-      content["application/json"] || Object.values(content)[0];
+    const bodyContent = selectRequestBodyContent(endpoint.requestBody);
 
-    if (!jsonContent || !jsonContent.schema) {
+    if (!bodyContent || !bodyContent.schema) {
       return JSON.stringify({ dummy_data: "value" });
     }
 
     // Extract schema
-    const schema = jsonContent.schema;
+    const schema = bodyContent.schema;
 
     // Create dummy data and field info based on schema
     const result = createSchemaBasedRequestBody(schema, definitions);
@@ -235,11 +653,16 @@ function createDummyRequestBody(endpoint, definitions = {}) {
 /**
  * Process schema to extract both dummy data and field metadata
  */
-function createSchemaBasedRequestBody(schema, definitions = {}) {
+function createSchemaBasedRequestBody(schema, definitions = {}, options = {}) {
+  const random = options.random || createRandom(options.seed);
+
   // Extract the schema fields and create dummy data
   const { dummyData, fieldInfo } = createDummyDataFromSchema(
     schema,
-    definitions
+    definitions,
+    new Set(),
+    "",
+    { ...options, random }
   );
 
   return {
@@ -251,8 +674,11 @@ function createSchemaBasedRequestBody(schema, definitions = {}) {
 
 export {
   createDummyDataFromSchema,
-  extractBaseUrl,
+  createEndpointHash,
+  createParameterValue,
   createPathWithParams,
+  createParameterHeaders,
   createDummyRequestBody,
   createSchemaBasedRequestBody,
+  selectRequestBodyContent,
 };
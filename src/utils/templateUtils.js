@@ -0,0 +1,49 @@
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * An object that isn't an array (or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Names of the {{placeholders}} used anywhere in a string, array or object
+ */
+function findPlaceholders(value, names = new Set()) {
+  if (typeof value === "string") {
+    for (const match of value.matchAll(PLACEHOLDER)) names.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => findPlaceholders(item, names));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => findPlaceholders(item, names));
+  }
+
+  return names;
+}
+
+/**
+ * Replace {{placeholders}} in strings (deeply, for arrays and objects) with
+ * `variables`; unknown names are left in place
+ */
+function renderTemplate(value, variables = {}) {
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER, (placeholder, name) =>
+      variables[name] === undefined || variables[name] === null ? placeholder : String(variables[name])
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => renderTemplate(item, variables));
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderTemplate(item, variables)])
+    );
+  }
+
+  return value;
+}
+
+export { isPlainObject, findPlaceholders, renderTemplate };
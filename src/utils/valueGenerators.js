@@ -0,0 +1,344 @@
+import { randomInt, pickRandom } from "./random.js";
+
+const LOWER = "abcdefghijklmnopqrstuvwxyz";
+const UPPER = LOWER.toUpperCase();
+const DIGITS = "0123456789";
+const WORD = `${LOWER}${UPPER}${DIGITS}_`;
+const ALPHANUMERIC = `${LOWER}${DIGITS}`;
+const MAX_UNBOUNDED_REPEAT = 8;
+const ESCAPE_CLASSES = {
+  d: DIGITS,
+  w: WORD,
+  s: " ",
+};
+
+/**
+ * Random string of `length` characters drawn from `alphabet`
+ */
+function randomString(random, length, alphabet = ALPHANUMERIC) {
+  let value = "";
+  for (let i = 0; i < length; i++) value += pickRandom(random, alphabet);
+  return value;
+}
+
+/**
+ * Expand a regex character class body such as "a-zA-Z0-9_" into its characters
+ */
+function expandCharacterClass(body) {
+  const chars = [];
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+
+    if (char === "\\" && i + 1 < body.length) {
+      const escaped = body[++i];
+      chars.push(...(ESCAPE_CLASSES[escaped] || escaped));
+      continue;
+    }
+
+    if (body[i + 1] === "-" && i + 2 < body.length) {
+      const end = body[i + 2];
+      for (let code = char.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+        chars.push(String.fromCharCode(code));
+      }
+      i += 2;
+      continue;
+    }
+
+    chars.push(char);
+  }
+
+  return chars;
+}
+
+/**
+ * Parse a regex into a small token tree. Supports literals, ".", escapes,
+ * character classes, groups with alternation and the usual quantifiers;
+ * anything else throws so the caller can fall back.
+ */
+function parsePattern(pattern) {
+  let index = 0;
+
+  const parseAlternation = () => {
+    const branches = [[]];
+
+    while (index < pattern.length && pattern[index] !== ")") {
+      const char = pattern[index];
+
+      if (char === "|") {
+        index++;
+        branches.push([]);
+        continue;
+      }
+
+      const atom = parseAtom();
+      if (atom) branches[branches.length - 1].push(parseQuantifier(atom));
+    }
+
+    return { type: "alternation", branches };
+  };
+
+  const parseAtom = () => {
+    const char = pattern[index++];
+
+    switch (char) {
+      case "^":
+      case "$":
+        return null;
+      case "(": {
+        // Non-capturing and named groups behave like plain groups here
+        if (pattern[index] === "?") {
+          const named = pattern.slice(index).match(/^\?(:|<[^>]+>|P<[^>]+>)/);
+          if (!named) throw new Error("Unsupported group");
+          index += named[0].length;
+        }
+        const group = parseAlternation();
+        if (pattern[index++] !== ")") throw new Error("Unbalanced group");
+        return group;
+      }
+      case "[": {
+        const end = pattern.indexOf("]", index + 1);
+        if (end === -1) throw new Error("Unbalanced class");
+        const body = pattern.slice(index, end);
+        index = end + 1;
+        if (body.startsWith("^")) {
+          const excluded = new Set(expandCharacterClass(body.slice(1)));
+          return { type: "set", chars: [...ALPHANUMERIC].filter((c) => !excluded.has(c)) };
+        }
+        return { type: "set", chars: expandCharacterClass(body) };
+      }
+      case ".":
+        return { type: "set", chars: [...ALPHANUMERIC] };
+      case "\\": {
+        const escaped = pattern[index++];
+        if (ESCAPE_CLASSES[escaped]) {
+          return { type: "set", chars: [...ESCAPE_CLASSES[escaped]] };
+        }
+        if (/[DWSbB]/.test(escaped)) throw new Error("Unsupported escape");
+        return { type: "literal", value: escaped };
+      }
+      default:
+        return { type: "literal", value: char };
+    }
+  };
+
+  const parseQuantifier = (atom) => {
+    const rest = pattern.slice(index);
+    const braces = rest.match(/^\{(\d+)(,(\d*))?\}/);
+    let min = 1;
+    let max = 1;
+
+    if (braces) {
+      min = Number(braces[1]);
+      max = braces[2] ? (braces[3] ? Number(braces[3]) : min + MAX_UNBOUNDED_REPEAT) : min;
+      index += braces[0].length;
+    } else if (rest[0] === "*") {
+      [min, max] = [0, MAX_UNBOUNDED_REPEAT];
+      index++;
+    } else if (rest[0] === "+") {
+      [min, max] = [1, MAX_UNBOUNDED_REPEAT];
+      index++;
+    } else if (rest[0] === "?") {
+      [min, max] = [0, 1];
+      index++;
+    } else {
+      return atom;
+    }
+
+    // Lazy/possessive suffixes don't change what matches
+    if (pattern[index] === "?" || pattern[index] === "+") index++;
+    return { type: "repeat", atom, min, max };
+  };
+
+  const tree = parseAlternation();
+  if (index < pattern.length) throw new Error("Unbalanced group");
+  return tree;
+}
+
+function renderToken(token, random) {
+  switch (token.type) {
+    case "literal":
+      return token.value;
+    case "set":
+      return pickRandom(random, token.chars);
+    case "repeat": {
+      const count = randomInt(random, token.min, token.max);
+      let value = "";
+      for (let i = 0; i < count; i++) value += renderToken(token.atom, random);
+      return value;
+    }
+    case "alternation":
+      return pickRandom(random, token.branches)
+        .map((child) => renderToken(child, random))
+        .join("");
+    default:
+      return "";
+  }
+}
+
+/**
+ * Generate a string matching `pattern`, or null when the pattern uses
+ * features the generator does not understand
+ */
+function generateFromPattern(pattern, random) {
+  try {
+    const regex = new RegExp(pattern, "u");
+    const tree = parsePattern(pattern);
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const value = renderToken(tree, random);
+      if (regex.test(value)) return value;
+    }
+  } catch {
+    // Unsupported syntax; the caller falls back to a format/length based value
+  }
+
+  return null;
+}
+
+// Dates are drawn from the two years after this instant, so seeded runs
+// produce the same values whenever they run
+const BASE_DATE_MS = Date.UTC(2024, 0, 1);
+const DATE_RANGE_S = 2 * 365 * 24 * 60 * 60;
+
+function randomDate(random) {
+  return new Date(BASE_DATE_MS + randomInt(random, 0, DATE_RANGE_S) * 1000);
+}
+
+/**
+ * Sample values for string formats
+ */
+function generateFormattedString(format, random) {
+  switch (format) {
+    case "date-time":
+      return randomDate(random).toISOString();
+    case "date":
+      return randomDate(random).toISOString().split("T")[0];
+    case "time":
+      return randomDate(random).toISOString().split("T")[1].replace("Z", "");
+    case "email":
+      return `user${randomInt(random, 1, 9999)}@example.com`;
+    case "uuid": {
+      const hex = randomString(random, 32, "0123456789abcdef");
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${pickRandom(random, "89ab")}${hex.slice(17, 20)}-${hex.slice(20)}`;
+    }
+    case "uri":
+    case "url":
+    case "uri-reference":
+    case "iri":
+      return `https://example.com/${randomString(random, 8)}`;
+    case "hostname":
+    case "idn-hostname":
+      return `host-${randomString(random, 6)}.example.com`;
+    case "ipv4":
+      return Array.from({ length: 4 }, () => randomInt(random, 1, 254)).join(".");
+    case "ipv6":
+      return Array.from({ length: 8 }, () => randomString(random, 4, "0123456789abcdef")).join(":");
+    case "byte":
+      return Buffer.from(randomString(random, 12)).toString("base64");
+    case "binary":
+      return randomString(random, 16);
+    case "password":
+      return `P@ss-${randomString(random, 10)}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generate a string honouring format, pattern, minLength and maxLength
+ */
+function generateString(schema, random) {
+  const minLength = schema.minLength ?? 0;
+  const maxLength = schema.maxLength ?? Infinity;
+
+  if (schema.pattern) {
+    const value = generateFromPattern(schema.pattern, random);
+    if (value !== null && value.length >= minLength && value.length <= maxLength) {
+      return value;
+    }
+  }
+
+  let value = generateFormattedString(schema.format, random) ?? `dummy_${randomString(random, 6)}`;
+
+  if (value.length < minLength) {
+    value += randomString(random, minLength - value.length);
+  }
+
+  if (value.length > maxLength) {
+    value = value.slice(0, maxLength);
+  }
+
+  return value;
+}
+
+/**
+ * Inclusive numeric bounds from minimum/maximum, supporting both the OAS 3.0
+ * boolean and the OAS 3.1 numeric form of exclusiveMinimum/exclusiveMaximum
+ */
+function getNumericBounds(schema, isInteger) {
+  const step = isInteger ? 1 : 1e-6;
+  let min = schema.minimum;
+  let max = schema.maximum;
+
+  if (typeof schema.exclusiveMinimum === "number") min = schema.exclusiveMinimum + step;
+  else if (schema.exclusiveMinimum === true && min !== undefined) min += step;
+
+  if (typeof schema.exclusiveMaximum === "number") max = schema.exclusiveMaximum - step;
+  else if (schema.exclusiveMaximum === true && max !== undefined) max -= step;
+
+  if (min === undefined && max === undefined) return { min: 1, max: 100 };
+  if (min === undefined) return { min: max > 0 ? 0 : max - 100, max };
+  if (max === undefined) return { min, max: min + 100 };
+  return { min, max };
+}
+
+/**
+ * Generate a number or integer honouring bounds and multipleOf
+ */
+function generateNumber(schema, type, random) {
+  const isInteger = type === "integer";
+  const { min, max } = getNumericBounds(schema, isInteger);
+
+  if (schema.multipleOf > 0) {
+    const step = schema.multipleOf;
+    const first = Math.ceil(min / step);
+    const last = Math.floor(max / step);
+    if (first <= last) {
+      const value = randomInt(random, first, last) * step;
+      // Avoid floating point noise such as 0.30000000000000004
+      return Number(value.toPrecision(12));
+    }
+  }
+
+  if (isInteger) {
+    const low = Math.ceil(min);
+    const high = Math.floor(max);
+    return low <= high ? randomInt(random, low, high) : low;
+  }
+
+  const value = Number((min + random() * (max - min)).toFixed(2));
+  return value < min || value > max ? min : value;
+}
+
+/**
+ * Value declared by the spec itself: const, example, examples or default
+ */
+function getDeclaredValue(schema) {
+  if (schema.const !== undefined) return { found: true, value: schema.const };
+  if (schema.example !== undefined) return { found: true, value: schema.example };
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return { found: true, value: schema.examples[0] };
+  }
+  if (schema.default !== undefined) return { found: true, value: schema.default };
+  return { found: false };
+}
+
+export {
+  randomString,
+  generateFromPattern,
+  generateFormattedString,
+  generateString,
+  generateNumber,
+  getDeclaredValue,
+};
@@ -0,0 +1,73 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+} from "../src/utils/authCrypto.js";
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+beforeEach(() => {
+  process.env.AUTH_TOKEN_SECRET = "test-secret";
+});
+
+test("verifyAccessToken returns the payload of a valid token", () => {
+  const payload = { sub: 7, exp: inOneHour() };
+
+  assert.deepEqual(verifyAccessToken(signAccessToken(payload)), payload);
+});
+
+test("verifyAccessToken rejects tampered and foreign tokens", () => {
+  const token = signAccessToken({ sub: 7, exp: inOneHour() });
+  const [, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ sub: 1, exp: inOneHour() })).toString("base64url");
+
+  assert.equal(verifyAccessToken(`${forged}.${signature}`), null);
+  assert.equal(verifyAccessToken(`${token.slice(0, -1)}${token.endsWith("A") ? "B" : "A"}`), null);
+  assert.equal(verifyAccessToken(`${token}.extra`), null);
+  assert.equal(verifyAccessToken("not-a-token"), null);
+  assert.equal(verifyAccessToken(undefined), null);
+
+  process.env.AUTH_TOKEN_SECRET = "another-secret";
+  assert.equal(verifyAccessToken(token), null);
+});
+
+test("verifyAccessToken rejects expired tokens and tokens without exp", () => {
+  const past = Math.floor(Date.now() / 1000) - 1;
+
+  assert.equal(verifyAccessToken(signAccessToken({ sub: 7, exp: past })), null);
+  assert.equal(verifyAccessToken(signAccessToken({ sub: 7 })), null);
+  assert.equal(verifyAccessToken(signAccessToken(null)), null);
+});
+
+test("signAccessToken requires AUTH_TOKEN_SECRET", () => {
+  delete process.env.AUTH_TOKEN_SECRET;
+
+  assert.throws(() => signAccessToken({ sub: 7, exp: inOneHour() }), {
+    status: 500,
+    message: /AUTH_TOKEN_SECRET is not configured/,
+  });
+});
+
+test("verifyPassword accepts only the hashed password", async () => {
+  const hash = await hashPassword("correct horse");
+
+  assert.match(hash, /^scrypt\$[\w+/=]+\$[\w+/=]+$/);
+  assert.equal(await verifyPassword("correct horse", hash), true);
+  assert.equal(await verifyPassword("wrong horse", hash), false);
+  assert.equal(await verifyPassword("correct horse", "plain"), false);
+});
+
+test("generateApiKey returns a prefixed key with its hash", () => {
+  const { key, prefix, hash } = generateApiKey();
+
+  assert.ok(isApiKey(key));
+  assert.ok(key.startsWith(prefix));
+  assert.equal(hash, hashApiKey(key));
+  assert.equal(isApiKey("eyJhbGciOi.sig"), false);
+});
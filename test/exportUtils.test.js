@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toK6Script, toJMeterPlan } from "../src/utils/exportUtils.js";
+
+const endpoint = (overrides = {}) => ({
+  id: 1,
+  summary: "Create pet",
+  method: "post",
+  full_path: "https://api.example.com/pets?api_key=abc123&limit=5",
+  request_headers: JSON.stringify({
+    "Content-Type": "application/json",
+    Authorization: "Bearer real-token",
+  }),
+  request_body: JSON.stringify({ name: "Rex" }),
+  threads: 4,
+  total_requests: 10,
+  load_profile: null,
+  ...overrides,
+});
+
+test("toK6Script shares iterations between VUs without a load profile", () => {
+  const script = toK6Script([endpoint({ threads: 20 })]);
+
+  assert.match(script, /endpoint_1: \{\n\s+executor: "shared-iterations",\n\s+vus: 10,\n\s+iterations: 10,/);
+  assert.match(script, /export function endpoint_1\(\) \{/);
+  assert.match(script, /import \{ check \} from "k6";/);
+});
+
+test("toK6Script masks credentials and reads them from the environment", () => {
+  const script = toK6Script([endpoint()]);
+
+  assert.doesNotMatch(script, /real-token|abc123/);
+  assert.match(script, /"Authorization": `Bearer \$\{__ENV\["Authorization"\]\}`/);
+  assert.match(script, /`https:\/\/api\.example\.com\/pets\?api_key=\$\{__ENV\["api_key"\]\}&limit=5`/);
+  assert.match(script, /k6 run -e Authorization=\.\.\. -e api_key=\.\.\. script\.js/);
+});
+
+test("toK6Script follows ramping and arrival-rate profiles", () => {
+  const script = toK6Script([
+    endpoint({
+      id: 1,
+      load_profile: {
+        executor: "ramping",
+        stages: [
+          { duration: 10, target: 5 },
+          { duration: 20, target: 0 },
+        ],
+        thinkTimeMs: { min: 100, max: 300 },
+      },
+    }),
+    endpoint({
+      id: 2,
+      load_profile: { executor: "arrival-rate", arrivalRate: 0.5, duration: 60, timeoutMs: 2000 },
+    }),
+  ]);
+
+  assert.match(script, /executor: "ramping-vus",/);
+  assert.match(script, /\{ duration: "10s", target: 5 \},\n\s+\{ duration: "20s", target: 0 \},/);
+  assert.match(script, /sleep\(0\.1 \+ Math\.random\(\) \* 0\.2\);/);
+  assert.match(script, /import \{ check, sleep \} from "k6";/);
+  // Fractional rates per second are expressed per minute
+  assert.match(script, /rate: 30,\n\s+timeUnit: "1m",/);
+  assert.match(script, /timeout: "2000ms",/);
+});
+
+test("toK6Script escapes template syntax in literal values", () => {
+  const script = toK6Script([
+    endpoint({ request_body: "{\"id\": \"{{petId}}\", \"note\": \"${x}`\"}" }),
+  ]);
+
+  assert.match(script, /`\{"id": "\$\{__ENV\["petId"\]\}", "note": "\\\$\{x\}\\`"\}`/);
+});
+
+test("toJMeterPlan loops each thread over its share of requests", () => {
+  const plan = toJMeterPlan([endpoint({ threads: 4, total_requests: 10 })], "Pets & more");
+
+  assert.match(plan, /testname="Pets &amp; more"/);
+  assert.match(plan, /<stringProp name="LoopController.loops">3<\/stringProp>/);
+  assert.match(plan, /<stringProp name="ThreadGroup.num_threads">4<\/stringProp>/);
+  assert.doesNotMatch(plan, /ThreadGroup.scheduler/);
+  assert.match(plan, /<boolProp name="HTTPSampler.postBodyRaw">true<\/boolProp>/);
+  assert.match(plan, /<stringProp name="Argument.value">\{&quot;name&quot;:&quot;Rex&quot;\}<\/stringProp>/);
+});
+
+test("toJMeterPlan turns placeholders into properties and masks credentials", () => {
+  const plan = toJMeterPlan([endpoint()], "Pets");
+
+  assert.doesNotMatch(plan, /real-token|abc123/);
+  assert.match(plan, /<stringProp name="Header.value">Bearer \$\{__P\(Authorization,\)\}<\/stringProp>/);
+  assert.match(plan, /api_key=\$\{__P\(api_key,\)\}&amp;limit=5/);
+});
+
+test("toJMeterPlan schedules time-bound profiles with their timers", () => {
+  const plan = toJMeterPlan(
+    [
+      endpoint({
+        method: "get",
+        load_profile: {
+          executor: "ramping",
+          stages: [
+            { duration: 10, target: 5 },
+            { duration: 20.5, target: 0 },
+          ],
+          thinkTimeMs: 250,
+        },
+      }),
+      endpoint({
+        id: 2,
+        load_profile: { executor: "arrival-rate", arrivalRate: 2, duration: 30 },
+      }),
+    ],
+    "Pets"
+  );
+
+  assert.match(plan, /<stringProp name="LoopController.loops">-1<\/stringProp>/);
+  assert.match(plan, /<stringProp name="ThreadGroup.ramp_time">10<\/stringProp>/);
+  assert.match(plan, /<stringProp name="ThreadGroup.duration">31<\/stringProp>/);
+  assert.match(plan, /<stringProp name="ThreadGroup.duration">30<\/stringProp>/);
+  assert.match(plan, /<stringProp name="ConstantTimer.delay">250<\/stringProp>/);
+  assert.match(plan, /<name>throughput<\/name>\s+<value>120<\/value>/);
+  // GET requests are sent without a body
+  assert.match(plan, /<boolProp name="HTTPSampler.postBodyRaw">false<\/boolProp>/);
+});
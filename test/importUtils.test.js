@@ -0,0 +1,224 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePostmanCollection, parseHar } from "../src/utils/importUtils.js";
+
+const collection = (item, extra = {}) => ({
+  info: {
+    name: "Pets",
+    schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json",
+  },
+  item,
+  ...extra,
+});
+
+const harEntry = (request, extra = {}) => ({
+  request: { method: "GET", headers: [], ...request },
+  ...extra,
+});
+
+test("parsePostmanCollection flattens folders and substitutes variables", () => {
+  const { name, requests, secrets } = parsePostmanCollection(
+    collection(
+      [
+        {
+          name: "Pets",
+          item: [
+            {
+              name: "Get pet",
+              request: {
+                method: "get",
+                url: {
+                  raw: "{{baseUrl}}/pets/:id?verbose=true",
+                  host: ["{{baseUrl}}"],
+                  path: ["pets", ":id"],
+                  query: [
+                    { key: "verbose", value: "true" },
+                    { key: "debug", value: "1", disabled: true },
+                  ],
+                  variable: [{ key: "id", value: "42" }],
+                },
+                header: [{ key: "X-Trace", value: "{{traceId}}" }],
+              },
+            },
+          ],
+        },
+      ],
+      { variable: [{ key: "baseUrl", value: "https://api.example.com" }] }
+    )
+  );
+
+  assert.equal(name, "Pets");
+  assert.deepEqual(requests, [
+    {
+      name: "Pets / Get pet",
+      method: "GET",
+      url: "https://api.example.com/pets/42?verbose=true",
+      headers: { "X-Trace": "{{traceId}}" },
+      body: null,
+    },
+  ]);
+  assert.deepEqual(secrets, {});
+});
+
+test("parsePostmanCollection turns inherited auth into secret placeholders", () => {
+  const { requests, secrets } = parsePostmanCollection(
+    collection(
+      [
+        { name: "List", request: { method: "GET", url: "https://api.example.com/pets" } },
+        {
+          name: "Keyed",
+          request: {
+            method: "GET",
+            url: "https://api.example.com/stats",
+            auth: {
+              type: "apikey",
+              apikey: [
+                { key: "in", value: "query" },
+                { key: "key", value: "api_key" },
+                { key: "value", value: "{{key}}" },
+              ],
+            },
+          },
+        },
+        {
+          name: "Login",
+          request: {
+            method: "POST",
+            url: "https://api.example.com/login",
+            auth: {
+              type: "basic",
+              basic: [
+                { key: "username", value: "admin" },
+                { key: "password", value: "hunter2" },
+              ],
+            },
+          },
+        },
+      ],
+      {
+        auth: { type: "bearer", bearer: [{ key: "token", value: "real-token" }] },
+        variable: [{ key: "key", value: "k-123" }],
+      }
+    )
+  );
+
+  assert.equal(requests[0].headers.Authorization, "Bearer {{authorization}}");
+  // Collection variables holding credentials are collected too
+  assert.equal(requests[1].url, "https://api.example.com/stats?api_key={{apiKey}}");
+  assert.equal(requests[2].headers.Authorization, "Basic {{authorization_2}}");
+  assert.deepEqual(secrets, {
+    authorization: "real-token",
+    apiKey: "k-123",
+    authorization_2: Buffer.from("admin:hunter2").toString("base64"),
+  });
+});
+
+test("parsePostmanCollection reports malformed items by their index path", () => {
+  assert.throws(() => parsePostmanCollection({ item: [] }), {
+    status: 400,
+    message: /Not a Postman v2\.x collection/,
+  });
+  assert.throws(() => parsePostmanCollection(collection([{ name: "Folder", item: [{}, "oops"] }])), {
+    status: 400,
+    message: "Postman item[0].item[1] must be an object.",
+  });
+  assert.throws(() => parsePostmanCollection(collection([{ name: "Bad", request: { url: 42 } }])), {
+    status: 400,
+    message: 'Postman item[0] has a malformed "request".',
+  });
+});
+
+test("parseHar skips static assets, duplicates and client-managed headers", () => {
+  const { requests, warnings } = parseHar({
+    log: {
+      entries: [
+        harEntry({
+          url: "https://api.example.com/pets",
+          headers: [
+            { name: ":authority", value: "api.example.com" },
+            { name: "Host", value: "api.example.com" },
+            { name: "Accept", value: "application/json" },
+          ],
+        }),
+        harEntry({ url: "https://api.example.com/pets" }),
+        harEntry({ url: "https://cdn.example.com/app.js" }),
+        harEntry({ url: "https://api.example.com/logo" }, { _resourceType: "image" }),
+        harEntry({ url: "data:text/plain,hi" }),
+        harEntry({
+          method: "post",
+          url: "https://api.example.com/pets",
+          postData: { mimeType: "application/json", text: '{"name":"Rex"}' },
+        }),
+      ],
+    },
+  });
+
+  assert.deepEqual(requests, [
+    {
+      name: "GET /pets",
+      method: "GET",
+      url: "https://api.example.com/pets",
+      headers: { Accept: "application/json" },
+      body: null,
+    },
+    {
+      name: "POST /pets",
+      method: "POST",
+      url: "https://api.example.com/pets",
+      headers: { "Content-Type": "application/json" },
+      body: '{"name":"Rex"}',
+    },
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test("parseHar replaces Authorization and Cookie values with placeholders", () => {
+  const { requests, secrets } = parseHar({
+    log: {
+      entries: [
+        harEntry({
+          url: "https://api.example.com/me",
+          headers: [
+            { name: "Authorization", value: "Bearer real-token" },
+            { name: "Cookie", value: "session=abc" },
+          ],
+        }),
+        harEntry({
+          url: "https://api.example.com/orders",
+          headers: [{ name: "authorization", value: "Bearer real-token" }],
+        }),
+      ],
+    },
+  });
+
+  assert.deepEqual(requests[0].headers, {
+    Authorization: "Bearer {{authorization}}",
+    Cookie: "{{cookie}}",
+  });
+  // The same credential maps to the same secret
+  assert.deepEqual(requests[1].headers, { authorization: "Bearer {{authorization}}" });
+  assert.deepEqual(secrets, { authorization: "real-token", cookie: "session=abc" });
+});
+
+test("parseHar reports malformed entries by their index", () => {
+  const parse = (entry) => () => parseHar({ log: { entries: [harEntry({ url: "https://a.example" }), entry] } });
+
+  assert.throws(() => parseHar({}), { status: 400, message: 'Not a HAR file: expected "log.entries".' });
+  assert.throws(parse({}), { status: 400, message: 'HAR entry 1 has no "request" object.' });
+  assert.throws(parse(harEntry({ url: 42 })), {
+    status: 400,
+    message: 'HAR entry 1 has a non-string "request.url".',
+  });
+  assert.throws(parse(harEntry({ url: "https://exa mple.com/" })), {
+    status: 400,
+    message: 'HAR entry 1 has an invalid URL "https://exa mple.com/".',
+  });
+  assert.throws(parse(harEntry({ url: "https://b.example", headers: {} })), {
+    status: 400,
+    message: 'HAR entry 1 has a non-array "request.headers".',
+  });
+  assert.throws(parse(harEntry({ url: "https://b.example", headers: [{ value: "x" }] })), {
+    status: 400,
+    message: 'HAR entry 1 has a header without a "name".',
+  });
+});
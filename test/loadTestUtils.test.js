@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculatePercentile,
+  buildTimeline,
+  summarizeSamples,
+} from "../src/utils/loadTestUtils.js";
+
+const sample = (status, offsetMs, latencyMs) => ({ status, offsetMs, latencyMs });
+
+test("calculatePercentile uses the nearest rank", () => {
+  const latencies = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+  assert.equal(calculatePercentile(latencies, 50), 50);
+  assert.equal(calculatePercentile(latencies, 90), 90);
+  assert.equal(calculatePercentile(latencies, 95), 100);
+  assert.equal(calculatePercentile(latencies, 99), 100);
+  assert.equal(calculatePercentile(latencies, 0), 10);
+});
+
+test("calculatePercentile of no latencies is 0", () => {
+  assert.equal(calculatePercentile([], 95), 0);
+});
+
+test("buildTimeline buckets samples by the second they completed", () => {
+  const timeline = buildTimeline([
+    sample(200, 900, 200),
+    sample(500, 100, 100),
+    sample(null, 0, 50),
+    sample(200, 2000, 10),
+  ]);
+
+  assert.deepEqual(timeline, [
+    { second: 0, requests: 2, errors: 2, avg_latency_ms: 75 },
+    { second: 1, requests: 1, errors: 0, avg_latency_ms: 200 },
+    { second: 2, requests: 1, errors: 0, avg_latency_ms: 10 },
+  ]);
+});
+
+test("summarizeSamples counts failures and network errors", () => {
+  const summary = summarizeSamples(
+    [sample(200, 0, 10), sample(302, 0, 20), sample(404, 0, 30), sample(null, 0, 40)],
+    2000
+  );
+
+  assert.equal(summary.total_requests, 4);
+  assert.equal(summary.success_count, 2);
+  assert.equal(summary.error_count, 2);
+  assert.equal(summary.avg_latency_ms, 25);
+  assert.equal(summary.rps, 2);
+  assert.equal(summary.fastest_ms, 10);
+  assert.equal(summary.slowest_ms, 40);
+  assert.deepEqual(summary.status_code, { 200: 1, 302: 1, 404: 1, error: 1 });
+  assert.equal(summary.p50_ms, 20);
+  assert.equal(summary.p99_ms, 40);
+});
+
+test("summarizeSamples of an empty run is all zeros", () => {
+  const summary = summarizeSamples([], 0);
+
+  assert.equal(summary.total_requests, 0);
+  assert.equal(summary.avg_latency_ms, 0);
+  assert.equal(summary.rps, 0);
+  assert.equal(summary.p95_ms, 0);
+  assert.deepEqual(summary.timeline, []);
+});
@@ -0,0 +1,91 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { payloadService } from "../src/services/payloadService.js";
+import { createRefResolver } from "../src/utils/refResolver.js";
+
+const document = {
+  components: {
+    schemas: {
+      Pet: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string" }, age: { type: "integer", minimum: 0 } },
+      },
+    },
+  },
+};
+
+const createPet = {
+  id: 1,
+  method: "post",
+  path: "/pets",
+  parameters: [
+    { name: "limit", in: "query", schema: { type: "integer", maximum: 10 } },
+    { name: "verbose", in: "query", schema: { type: "boolean" } },
+  ],
+  requestBody: {
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Pet" } } },
+  },
+};
+
+afterEach(() => payloadService.setPayloadProvider(null));
+
+test("generatePayloads keeps the parts that match their schemas", async () => {
+  payloadService.setPayloadProvider(
+    payloadService.createStubProvider({
+      "POST /pets": { body: { name: "Rex", age: 3 }, parameters: { limit: 50, verbose: true } },
+    })
+  );
+
+  const { provider, payloads } = await payloadService.generatePayloads([createPet], {
+    resolver: createRefResolver(document),
+  });
+
+  assert.equal(provider, "stub");
+  assert.deepEqual(payloads.get(1), {
+    body: { name: "Rex", age: 3 },
+    parameters: { verbose: true },
+    rejected: ["$.parameters.limit greater than maximum 10"],
+  });
+});
+
+test("generatePayloads rejects replies that aren't JSON objects or fail", async () => {
+  payloadService.setPayloadProvider({
+    name: "flaky",
+    async generatePayload({ endpoint }) {
+      if (endpoint.id === 2) throw new Error("quota exceeded");
+      return "[]";
+    },
+  });
+
+  const { payloads } = await payloadService.generatePayloads(
+    [createPet, { ...createPet, id: 2 }],
+    { resolver: createRefResolver(document) }
+  );
+
+  assert.deepEqual(payloads.get(1), {
+    parameters: {},
+    rejected: ["flaky did not reply with a JSON object."],
+  });
+  assert.deepEqual(payloads.get(2), { parameters: {}, rejected: ["flaky failed: quota exceeded"] });
+});
+
+test("generatePayloads rejects parts whose schema can't be validated", async () => {
+  payloadService.setPayloadProvider(
+    payloadService.createStubProvider({ 1: { body: { name: "Rex" }, parameters: { verbose: true } } })
+  );
+  // Refs are left as they are for the prompt but fail once validation follows them
+  const resolver = {
+    resolve(ref) {
+      throw new Error(`Cannot resolve ${ref}.`);
+    },
+    deref: (value) => value,
+  };
+
+  const { payloads } = await payloadService.generatePayloads([createPet], { resolver });
+
+  assert.deepEqual(payloads.get(1), {
+    parameters: { verbose: true },
+    rejected: ["$.body could not be validated: Cannot resolve #/components/schemas/Pet."],
+  });
+});
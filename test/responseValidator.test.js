@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateSchema, validateResponse } from "../src/utils/responseValidator.js";
+
+const definitions = {
+  Pet: {
+    type: "object",
+    required: ["id", "name"],
+    properties: {
+      id: { type: "integer", minimum: 1 },
+      name: { type: "string", minLength: 1 },
+      status: { type: "string", enum: ["available", "sold"] },
+      tags: { type: "array", maxItems: 2, items: { type: "string" } },
+    },
+    additionalProperties: false,
+  },
+};
+
+test("validateSchema accepts a matching value", () => {
+  const pet = { id: 1, name: "Rex", status: "sold", tags: ["dog"] };
+
+  assert.deepEqual(validateSchema(pet, { $ref: "#/components/schemas/Pet" }, definitions), []);
+});
+
+test("validateSchema reports each violation with its path", () => {
+  const errors = validateSchema(
+    { id: 0, status: "lost", tags: ["a", 2, "c"], color: "brown" },
+    { $ref: "#/components/schemas/Pet" },
+    definitions
+  );
+
+  assert.deepEqual(errors, [
+    { path: "$.name", message: "required property is missing" },
+    { path: "$.id", message: "less than minimum 1" },
+    { path: "$.status", message: '"lost" is not one of "available", "sold"' },
+    { path: "$.tags", message: "more than maxItems 2" },
+    { path: "$.tags[1]", message: "expected string, got integer" },
+    { path: "$.color", message: "property is not allowed" },
+  ]);
+});
+
+test("validateSchema handles nullable, oneOf and OAS 3.1 exclusive bounds", () => {
+  assert.deepEqual(validateSchema(null, { type: "string", nullable: true }), []);
+  assert.deepEqual(validateSchema(null, { type: ["string", "null"] }), []);
+  assert.deepEqual(validateSchema(5, { type: "number", exclusiveMaximum: 5 }), [
+    { path: "$", message: "must be less than 5" },
+  ]);
+  assert.deepEqual(validateSchema(3, { oneOf: [{ type: "integer" }, { type: "number" }] }), [
+    { path: "$", message: "matches 2 oneOf schemas, expected exactly one" },
+  ]);
+  // An empty oneOf is ignored
+  assert.deepEqual(validateSchema("x", { type: "string", oneOf: [] }), []);
+});
+
+test("validateSchema checks patterns and formats", () => {
+  const schema = { type: "string", pattern: "^[A-Z]{3}$" };
+
+  assert.deepEqual(validateSchema("ABC", schema), []);
+  assert.deepEqual(validateSchema("abc", schema), [
+    { path: "$", message: "does not match pattern ^[A-Z]{3}$" },
+  ]);
+  // The compiled pattern is reused for the same schema
+  assert.deepEqual(validateSchema("XYZ", schema), []);
+  assert.deepEqual(validateSchema("not-a-uuid", { type: "string", format: "uuid" }), [
+    { path: "$", message: "is not a valid uuid" },
+  ]);
+});
+
+test("validateSchema skips invalid and catastrophic patterns", () => {
+  const started = performance.now();
+
+  assert.deepEqual(validateSchema(`${"a".repeat(40)}!`, { type: "string", pattern: "^(a+)+$" }), []);
+  assert.deepEqual(validateSchema("x", { type: "string", pattern: "(" }), []);
+  assert.deepEqual(validateSchema("x", { type: "string", pattern: "a".repeat(201) }), []);
+  assert.ok(performance.now() - started < 1000);
+});
+
+test("validateSchema stops after ten errors", () => {
+  const errors = validateSchema(Array(20).fill(1), { type: "array", items: { type: "string" } });
+
+  assert.equal(errors.length, 10);
+});
+
+test("validateResponse checks status, content type and body", () => {
+  const responses = {
+    200: {
+      content: { "application/json": { schema: { $ref: "#/components/schemas/Pet" } } },
+    },
+    "4XX": { description: "Client error" },
+  };
+  const headers = { "content-type": "application/json; charset=utf-8" };
+
+  assert.deepEqual(validateResponse(responses, { status: 200, headers, data: { id: 1, name: "Rex" } }, definitions), []);
+  assert.deepEqual(validateResponse(responses, { status: 404, headers, data: "" }, definitions), []);
+  assert.deepEqual(validateResponse(responses, { status: 200, headers, data: "{" }, definitions), [
+    { type: "schema", path: "$", message: "Response body is not valid JSON." },
+  ]);
+  assert.equal(validateResponse(responses, { status: 500, headers, data: "" }, definitions)[0].type, "status");
+  assert.deepEqual(
+    validateResponse(responses, { status: 200, headers: { "content-type": "text/html" }, data: "<p>" }, definitions),
+    [
+      {
+        type: "content_type",
+        message: "Content-Type text/html is not declared for 200; expected application/json.",
+      },
+    ]
+  );
+});
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { flattenFieldInfo, diffFieldInfo } from "../src/utils/schemaDiff.js";
+
+const object = (properties, extra = {}) => ({ type: "object", properties, ...extra });
+
+const changeTypes = (changes) =>
+  changes.map((change) => [change.type, change.field, change.breaking]);
+
+test("flattenFieldInfo keys nested fields by path", () => {
+  const fields = flattenFieldInfo(
+    object({
+      tags: { type: "array", items: { type: "string" } },
+      meta: { type: "object", additionalProperties: { type: "integer" } },
+      owner: object({ name: { type: "string", required: true } }),
+    })
+  );
+
+  assert.deepEqual([...fields.keys()], [
+    "",
+    "tags",
+    "tags[]",
+    "meta",
+    "meta.*",
+    "owner",
+    "owner.name",
+  ]);
+  assert.equal(fields.get("owner.name").required, true);
+  assert.equal(fields.get("tags").nullable, false);
+});
+
+test("added fields only break requests when required", () => {
+  const base = object({ name: { type: "string" } });
+  const head = object({
+    name: { type: "string" },
+    age: { type: "integer", required: true },
+    nickname: { type: "string" },
+  });
+
+  assert.deepEqual(changeTypes(diffFieldInfo(base, head, "request")), [
+    ["request.field.required-added", "age", true],
+    ["request.field.added", "nickname", false],
+  ]);
+  assert.deepEqual(changeTypes(diffFieldInfo(base, head, "response")), [
+    ["response.field.added", "age", false],
+    ["response.field.added", "nickname", false],
+  ]);
+});
+
+test("removed fields break responses but not requests", () => {
+  const base = object({ name: { type: "string" }, owner: object({ id: { type: "integer" } }) });
+  const head = object({ name: { type: "string" } });
+
+  // The nested owner.id is covered by its removed parent
+  assert.deepEqual(changeTypes(diffFieldInfo(base, head, "request")), [
+    ["request.field.removed", "owner", false],
+  ]);
+  assert.deepEqual(changeTypes(diffFieldInfo(base, head, "response")), [
+    ["response.field.removed", "owner", true],
+  ]);
+});
+
+test("type changes are breaking and imply format and enum changes", () => {
+  const base = object({ id: { type: "integer", format: "int64", enum: [1, 2] } });
+  const head = object({ id: { type: "string", format: "uuid" } });
+  const [change, ...rest] = diffFieldInfo(base, head, "response");
+
+  assert.equal(change.type, "response.field.type-changed");
+  assert.equal(change.breaking, true);
+  assert.equal(change.message, 'Type of "id" changed from integer to string.');
+  assert.deepEqual(rest, []);
+});
+
+test("required and nullable changes break the side that relies on them", () => {
+  const base = object({ name: { type: "string" }, note: { type: "string", nullable: true } });
+  const head = object({ name: { type: "string", required: true }, note: { type: "string" } });
+
+  assert.deepEqual(changeTypes(diffFieldInfo(base, head, "request")), [
+    ["request.field.became-required", "name", true],
+    ["request.field.became-non-nullable", "note", true],
+  ]);
+  assert.deepEqual(changeTypes(diffFieldInfo(base, head, "response")), [
+    ["response.field.became-required", "name", false],
+    ["response.field.became-non-nullable", "note", false],
+  ]);
+  assert.deepEqual(changeTypes(diffFieldInfo(head, base, "response")), [
+    ["response.field.became-optional", "name", true],
+    ["response.field.became-nullable", "note", true],
+  ]);
+});
+
+test("narrowed enums break requests, widened enums break responses", () => {
+  const base = object({ status: { type: "string", enum: ["a", "b"] } });
+  const head = object({ status: { type: "string", enum: ["b", "c"] } });
+
+  assert.deepEqual(changeTypes(diffFieldInfo(base, head, "request")), [
+    ["request.enum.narrowed", "status", true],
+    ["request.enum.widened", "status", false],
+  ]);
+  const [narrowed, widened] = diffFieldInfo(base, head, "response");
+  assert.equal(narrowed.breaking, false);
+  assert.equal(narrowed.message, 'Enum of "status" no longer allows "a".');
+  assert.equal(widened.breaking, true);
+  assert.equal(widened.message, 'Enum of "status" now also allows "c".');
+});
+
+test("adding or dropping an enum narrows or widens the field", () => {
+  const free = object({ status: { type: "string" } });
+  const restricted = object({ status: { type: "string", enum: ["a"] } });
+
+  assert.deepEqual(changeTypes(diffFieldInfo(free, restricted, "request")), [
+    ["request.enum.narrowed", "status", true],
+  ]);
+  assert.deepEqual(changeTypes(diffFieldInfo(restricted, free, "response")), [
+    ["response.enum.widened", "status", true],
+  ]);
+});
+
+test("root changes are described with the root name", () => {
+  const [change] = diffFieldInfo({ type: "string" }, { type: "integer" }, "request", 'parameter "id"');
+
+  assert.equal(change.field, "");
+  assert.equal(change.message, 'Type of parameter "id" changed from string to integer.');
+});
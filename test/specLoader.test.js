@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isPrivateAddress, bundleExternalRefs } from "../src/utils/specLoader.js";
+
+test("isPrivateAddress flags loopback, private and link-local ranges", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["::1", "::", "fe80::1", "fd00::1", "ff02::1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test("isPrivateAddress flags IPv4-mapped IPv6 in dotted and hex form", () => {
+  assert.equal(isPrivateAddress("::ffff:127.0.0.1"), true);
+  // How URL normalizes [::ffff:127.0.0.1]
+  assert.equal(isPrivateAddress("::ffff:7f00:1"), true);
+  assert.equal(isPrivateAddress("0:0:0:0:0:ffff:a00:1"), true);
+});
+
+test("isPrivateAddress allows public addresses", () => {
+  for (const address of ["8.8.8.8", "1.1.1.1", "2606:4700::1111", "::ffff:808:808"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("bundleExternalRefs refuses refs to a mapped loopback host", async () => {
+  const document = { schema: { $ref: "http://[::ffff:127.0.0.1]:8080/common.yaml#/Pet" } };
+
+  await assert.rejects(
+    bundleExternalRefs(document, { rootLocation: "https://example.com/openapi.yaml" }),
+    { status: 400, message: /private or local network address/ }
+  );
+});
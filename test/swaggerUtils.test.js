@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDummyDataFromSchema } from "../src/utils/swaggerUtils.js";
+import { createRandom } from "../src/utils/random.js";
+
+const definitions = {
+  Pet: {
+    type: "object",
+    properties: {
+      parent: { $ref: "#/components/schemas/Pet" },
+      weight: { type: "number", default: 1.5 },
+    },
+  },
+};
+
+const petOrder = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "integer", minimum: 5, maximum: 9 },
+    name: { type: "string", minLength: 3, maxLength: 5 },
+    status: { type: "string", enum: ["placed", "shipped"] },
+    tag: { type: "string", example: "dog" },
+    pet: { $ref: "#/components/schemas/Pet" },
+  },
+};
+
+const generate = (schema, seed) =>
+  createDummyDataFromSchema(schema, definitions, new Set(), "", { random: createRandom(seed) });
+
+test("createDummyDataFromSchema honours examples, defaults, enums and bounds", () => {
+  const { dummyData } = generate(petOrder, 42);
+
+  assert.ok(Number.isInteger(dummyData.id) && dummyData.id >= 5 && dummyData.id <= 9);
+  assert.ok(dummyData.name.length >= 3 && dummyData.name.length <= 5);
+  assert.ok(["placed", "shipped"].includes(dummyData.status));
+  assert.equal(dummyData.tag, "dog");
+  assert.equal(dummyData.pet.weight, 1.5);
+});
+
+test("createDummyDataFromSchema stops at recursive refs", () => {
+  const { dummyData, fieldInfo } = generate(petOrder, 42);
+
+  assert.deepEqual(dummyData.pet.parent, { dummy_reference: "Pet" });
+  assert.equal(fieldInfo.properties.pet.referenceName, "Pet");
+});
+
+test("createDummyDataFromSchema is reproducible for a seed", () => {
+  assert.deepEqual(generate(petOrder, "seed").dummyData, generate(petOrder, "seed").dummyData);
+});
+
+test("createDummyDataFromSchema records required fields", () => {
+  const { fieldInfo } = generate(petOrder, 1);
+
+  assert.equal(fieldInfo.properties.id.required, true);
+  assert.equal(fieldInfo.properties.name.required, false);
+});
+
+test("createDummyDataFromSchema merges allOf and picks one oneOf branch", () => {
+  const merged = generate(
+    {
+      allOf: [
+        { type: "object", properties: { a: { type: "string" } } },
+        { properties: { b: { type: "boolean" } } },
+      ],
+    },
+    1
+  ).dummyData;
+  assert.equal(typeof merged.a, "string");
+  assert.equal(typeof merged.b, "boolean");
+
+  const alternative = generate({ oneOf: [{ type: "string", format: "email" }, { type: "integer" }] }, 1).dummyData;
+  assert.ok(Number.isInteger(alternative) || /^[^@\s]+@[^@\s]+$/.test(alternative));
+});